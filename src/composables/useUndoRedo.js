@@ -14,8 +14,10 @@ export function useUndoRedo() {
   const fieldState = computed({
     get: () => ({
       fieldName: store.getters['field/fieldName'],
+      scene: store.getters['field/scene'],
       rows: store.getters['field/rows'],
-      cannons: [...(store.getters['field/cannons'] || [])] // Clone array to ensure reactivity
+      cannons: [...(store.getters['field/cannons'] || [])], // Clone array to ensure reactivity
+      pots: [...(store.getters['field/pots'] || [])]
     }),
     set: (value) => {
       // This will be handled by the restore action
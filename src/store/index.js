@@ -26,8 +26,10 @@ const getters = {
   exportData: (state, getters) => {
     return {
       fieldName: getters['field/fieldName'],
+      scene: getters['field/scene'],
       rows: getters['field/rows'],
       cannons: getters['field/cannons'],
+      pots: getters['field/pots'],
       waves: getters['waves/waves']
     };
   }
@@ -51,12 +53,18 @@ const actions = {
     if (importedState.fieldName !== undefined) {
       dispatch('field/setFieldName', importedState.fieldName);
     }
+    if (importedState.scene !== undefined) {
+      dispatch('field/setScene', importedState.scene);
+    }
     if (importedState.rows !== undefined) {
       dispatch('field/setRows', importedState.rows);
     }
     if (importedState.cannons !== undefined) {
       dispatch('field/setCannons', importedState.cannons);
     }
+    if (importedState.pots !== undefined) {
+      dispatch('field/setPots', importedState.pots);
+    }
     if (importedState.waves !== undefined) {
       dispatch('waves/setWaves', importedState.waves);
     }
@@ -72,8 +80,10 @@ const actions = {
   // Clear all data
   clearAllData({ dispatch }) {
     dispatch('field/setFieldName', '');
+    dispatch('field/setScene', 'roof');
     dispatch('field/setRows', 5);
     dispatch('field/clearCannons');
+    dispatch('field/setPots', []);
     dispatch('waves/clearWaves');
   },
   
@@ -88,12 +98,18 @@ const actions = {
     if (fieldState.fieldName !== undefined) {
       dispatch('field/setFieldName', fieldState.fieldName);
     }
+    if (fieldState.scene !== undefined) {
+      dispatch('field/setScene', fieldState.scene);
+    }
     if (fieldState.rows !== undefined) {
       dispatch('field/setRows', fieldState.rows);
     }
     if (fieldState.cannons !== undefined) {
       dispatch('field/setCannons', fieldState.cannons);
     }
+    if (fieldState.pots !== undefined) {
+      dispatch('field/setPots', fieldState.pots);
+    }
   },
   
   // Restore waves state for undo/redo functionality
@@ -3,16 +3,22 @@
  * Manages field configuration and cannon placement
  */
 
-import { getFieldName, setFieldName, getRows, setRows, getCannons, setCannons } from '../../utils/storage.js';
+import { getFieldName, setFieldName, getScene, setScene, getRows, setRows, getCannons, setCannons, getPots, setPots } from '../../utils/storage.js';
+import { getSceneRows, isValidScene } from '../../utils/scenes.js';
 
 const state = () => ({
   fieldName: getFieldName(),
+  scene: getScene(),
   rows: getRows(),
-  cannons: getCannons()
+  cannons: getCannons(),
+  // Tiles with a flower pot besides those under the cannons (only used on the roof)
+  pots: getPots()
 });
 
 const getters = {
   fieldName: (state) => state.fieldName,
+  scene: (state) => state.scene,
+  maxRows: (state) => getSceneRows(state.scene),
   rows: (state) => state.rows,
   cannons: (state) => state.cannons,
   cannonCount: (state) => state.cannons.length,
@@ -26,6 +32,10 @@ const getters = {
     return state.cannons.some(c => 
       c.row === row && (c.col === col || c.col === col - 1)
     );
+  },
+  pots: (state) => state.pots,
+  hasPotAt: (state) => (row, col) => {
+    return state.pots.some(p => p.row === row && p.col === col);
   }
 };
 
@@ -34,16 +44,25 @@ const mutations = {
     state.fieldName = fieldName;
     setFieldName(fieldName);
   },
+  SET_SCENE(state, scene) {
+    state.scene = scene;
+    setScene(scene);
+  },
   SET_ROWS(state, rows) {
     state.rows = rows;
     setRows(rows);
     
-    // Remove cannons that are now out of bounds
+    // Remove cannons and pots that are now out of bounds
     const validCannons = state.cannons.filter(c => c.row <= rows);
     if (validCannons.length !== state.cannons.length) {
       state.cannons = validCannons;
       setCannons(state.cannons);
     }
+    const validPots = state.pots.filter(p => p.row <= rows);
+    if (validPots.length !== state.pots.length) {
+      state.pots = validPots;
+      setPots(state.pots);
+    }
   },
   SET_CANNONS(state, cannons) {
     state.cannons = cannons;
@@ -64,6 +83,17 @@ const mutations = {
   CLEAR_CANNONS(state) {
     state.cannons = [];
     setCannons(state.cannons);
+  },
+  SET_POTS(state, pots) {
+    state.pots = pots;
+    setPots(pots);
+  },
+  TOGGLE_POT(state, { row, col }) {
+    const exists = state.pots.some(p => p.row === row && p.col === col);
+    state.pots = exists
+      ? state.pots.filter(p => !(p.row === row && p.col === col))
+      : [...state.pots, { row, col }];
+    setPots(state.pots);
   }
 };
 
@@ -71,8 +101,14 @@ const actions = {
   setFieldName({ commit }, fieldName) {
     commit('SET_FIELD_NAME', fieldName);
   },
-  setRows({ commit }, rows) {
-    const validRows = Math.max(1, Math.min(10, rows));
+  setScene({ commit }, scene) {
+    if (!isValidScene(scene)) return;
+    commit('SET_SCENE', scene);
+    // Every scene has a fixed number of rows
+    commit('SET_ROWS', getSceneRows(scene));
+  },
+  setRows({ commit, getters }, rows) {
+    const validRows = Math.max(1, Math.min(getters.maxRows, rows));
     commit('SET_ROWS', validRows);
   },
   setCannons({ commit }, cannons) {
@@ -87,6 +123,12 @@ const actions = {
   clearCannons({ commit }) {
     commit('CLEAR_CANNONS');
   },
+  setPots({ commit }, pots) {
+    commit('SET_POTS', pots);
+  },
+  togglePot({ commit }, { row, col }) {
+    commit('TOGGLE_POT', { row, col });
+  },
   // Toggle cannon at position (add if doesn't exist, remove if exists)
   toggleCannon({ commit, getters }, { row, col }) {
     if (getters.hasCannonAt(row, col)) {
@@ -0,0 +1,124 @@
+/**
+ * AvZ1 Export Utility
+ * Converts calculation results to classic AvZ (AvZ1) code: each group of operations
+ * at the same time follows a SetTime(time, wave) call.
+ */
+
+import { groupOperationsByWave, getTimeExpression } from './avz2Export.js';
+import { SCENES, DEFAULT_SCENE } from './scenes.js';
+
+// AvZ1 plant types of the cards a card operation can use
+const CARD_TYPES = {
+  ice: 'ICE_SHROOM',
+  jalapeno: 'JALAPENO',
+  doom: 'DOOM_SHROOM',
+  cherry: 'CHERRY_BOMB'
+};
+
+/**
+ * Generate AvZ1 code from calculation results
+ * Takes the same inputs as generateAvZ2Code, plus the scene. Results of the cob queue
+ * simulation (see cobQueue.js) fire from the queue, which is set up ahead of the waves;
+ * other results name every cannon. On the roof the shots are roofPao() and rawRoofPao(),
+ * elsewhere pao() and rawPao(). As in the AvZ2 export, failed shots are left out. Times
+ * keep their entered expression as in the AvZ2 export; AvZ1 has no TrigAt(), so trigger
+ * timings are plain SetTime() calls.
+ * @param {Object} calculationResult - Result from solver
+ * @param {Array} waves - Wave configuration from store
+ * @param {boolean} includeNotes - Whether to include notes as comments
+ * @param {string} scene - Scene the plan is for
+ * @returns {string} Generated AvZ1 code
+ */
+export function generateAvZ1Code(calculationResult, waves, includeNotes = false, scene = DEFAULT_SCENE) {
+  if (!calculationResult || calculationResult.successCount === 0) {
+    return '// No successful operations to export';
+  }
+
+  const operationsByWave = groupOperationsByWave(calculationResult.operations, waves);
+  const queued = Array.isArray(calculationResult.queue);
+  const roof = (SCENES[scene] || SCENES[DEFAULT_SCENE]).roof;
+
+  const waveBlocks = queued ? [generateQueueSetup(calculationResult.queue)] : [];
+  for (let waveIndex = 0; waveIndex < waves.length; waveIndex++) {
+    const waveOps = operationsByWave[waveIndex] || [];
+    if (waveOps.length > 0) {
+      waveBlocks.push(generateWaveBlock(waveIndex + 1, waveOps, waves[waveIndex], includeNotes, queued, roof));
+    }
+  }
+
+  return waveBlocks.join('\n\n');
+}
+
+/**
+ * Generate the setup of the cob queue, to be called before the waves
+ */
+function generateQueueSetup(queue) {
+  const list = queue.map(cannon => `{${cannon.row}, ${cannon.col}}`).join(', ');
+  return [
+    '// Cob queue, set up before the waves:',
+    `pao_operator.resetPaoList({${list}});`,
+    'pao_operator.setSequentialMode(PaoOperator::SPACE);'
+  ].join('\n');
+}
+
+/**
+ * Generate code block for a single wave
+ */
+function generateWaveBlock(waveNumber, operations, waveConfig, includeNotes = false, queued = false, roof = true) {
+  // Operations arrive sorted by relative time, so the groups come out in time order
+  const operationsByTime = new Map();
+  operations.forEach(op => {
+    const { time } = getTimeExpression(op, waveConfig);
+    if (!operationsByTime.has(time)) {
+      operationsByTime.set(time, []);
+    }
+    operationsByTime.get(time).push(op);
+  });
+
+  const lines = [];
+  if (includeNotes && waveConfig.notes && waveConfig.notes.trim()) {
+    lines.push(`// ${waveConfig.notes.trim()}`);
+  }
+  operationsByTime.forEach((ops, time) => {
+    lines.push(`SetTime(${time}, ${waveNumber});`);
+    ops.forEach(op => lines.push(...generateOperationCommands(op, queued, roof)));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate the statements of a single operation
+ */
+function generateOperationCommands(operation, queued = false, roof = true) {
+  switch (operation.type) {
+    case 'fire':
+      if (queued) {
+        return [`pao_operator.${roof ? 'roofPao' : 'pao'}(${operation.row}, ${operation.targetCol});`];
+      }
+      return [`pao_operator.${roof ? 'rawRoofPao' : 'rawPao'}(${operation.cannonRow}, ${operation.cannonCol}, ${operation.row}, ${operation.targetCol});`];
+
+    case 'plant':
+      return [`Card(COB_CANNON, ${operation.row}, ${operation.targetCol});`];
+
+    case 'remove':
+      if (operation.removePots) {
+        // The first shovel takes the cob, the others the pots left in both tiles
+        return [operation.targetCol, operation.targetCol, operation.targetCol + 1]
+          .map(col => `Shovel(${operation.row}, ${col});`);
+      }
+      return [`Shovel(${operation.row}, ${operation.targetCol});`];
+
+    case 'pot':
+      return [`Card(FLOWER_POT, ${operation.row}, ${operation.targetCol});`];
+
+    case 'card':
+      return [`Card(${CARD_TYPES[operation.card]}, ${operation.row}, ${operation.targetCol});`];
+
+    case 'shovel':
+      return [`Shovel(${operation.row}, ${operation.targetCol});`];
+
+    default:
+      return [`// Unknown operation: ${operation.type}`];
+  }
+}
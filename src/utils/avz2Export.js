@@ -3,8 +3,20 @@
  * Converts calculation results to AvZ2 DSL format
  */
 
+// AvZ2 plant types of the cards a card operation can use
+export const CARD_TYPES = {
+  ice: 'AICE_SHROOM',
+  jalapeno: 'AJALAPENO',
+  doom: 'ADOOM_SHROOM',
+  cherry: 'ACHERRY_BOMB'
+};
+
 /**
  * Generate AvZ2 DSL code from calculation results
+ * Results of the cob queue simulation (see cobQueue.js) fire with P() from the queue,
+ * which is set up ahead of the waves; other results name every cannon with RP(). Failed
+ * shots are left out, and the simulation does not give them a turn of the queue.
+ * Operations keep the time expression they were entered with (see getTimeCommand).
  * @param {Object} calculationResult - Result from solver
  * @param {Array} waves - Wave configuration from store
  * @param {boolean} includeNotes - Whether to include notes as comments
@@ -15,26 +27,135 @@ export function generateAvZ2Code(calculationResult, waves, includeNotes = false)
     return '// No successful operations to export';
   }
 
-  // Group operations by wave
+  const queued = Array.isArray(calculationResult.queue);
+  const waveBlocks = generateWaveBlocks(calculationResult, waves, includeNotes);
+  if (queued) {
+    waveBlocks.unshift(['// Cob queue, set up before the waves:', ...generateQueueSetup(calculationResult.queue)].join('\n'));
+  }
+
+  return waveBlocks.join('\n\n');
+}
+
+/**
+ * Generate a complete AvZ2 script that compiles as it is
+ * The wave blocks of generateAvZ2Code go into AScript(), after the card selection (the
+ * cards the plan's plant, pot and card operations use), comments describing the field
+ * the plan starts from, and the cob queue setup for results of the queue simulation.
+ * @param {Object} calculationResult - Result from solver
+ * @param {Array} waves - Wave configuration from store
+ * @param {Object} field - Field the plan starts from: `cannons`, `pots` and `scene`
+ * @param {boolean} includeNotes - Whether to include notes as comments
+ * @returns {string} Generated AvZ2 script
+ */
+export function generateAvZ2Script(calculationResult, waves, field = {}, includeNotes = false) {
+  if (!calculationResult || calculationResult.successCount === 0) {
+    return '// No successful operations to export';
+  }
+
+  const body = [];
+  const cards = getSelectedCards(calculationResult.operations);
+  if (cards.length > 0) {
+    body.push(`ASelectCards({${cards.join(', ')}});`, '');
+  }
+
+  body.push(...generateFieldComments(field), '');
+
+  if (Array.isArray(calculationResult.queue)) {
+    body.push(...generateQueueSetup(calculationResult.queue), '');
+  }
+
+  generateWaveBlocks(calculationResult, waves, includeNotes).forEach((block, index) => {
+    if (index > 0) body.push('');
+    body.push(...block.split('\n'));
+  });
+
+  const indented = body.map(line => (line === '' ? '' : `    ${line}`));
+  return [
+    '#include <avz.h>',
+    '#include <dsl/shorthand.h>',
+    '',
+    'void AScript()',
+    '{',
+    ...indented,
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Generate the code block of every wave with successful operations
+ */
+function generateWaveBlocks(calculationResult, waves, includeNotes) {
   const operationsByWave = groupOperationsByWave(calculationResult.operations, waves);
-  
-  // Generate code for each wave
+  const queued = Array.isArray(calculationResult.queue);
+
   const waveBlocks = [];
   for (let waveIndex = 0; waveIndex < waves.length; waveIndex++) {
     const waveOps = operationsByWave[waveIndex] || [];
     if (waveOps.length > 0) {
-      const waveCode = generateWaveBlock(waveIndex + 1, waveOps, waves[waveIndex], includeNotes);
-      waveBlocks.push(waveCode);
+      waveBlocks.push(generateWaveBlock(waveIndex + 1, waveOps, waves[waveIndex], includeNotes, queued));
     }
   }
+  return waveBlocks;
+}
 
-  return waveBlocks.join('\n\n');
+/**
+ * Get the cards the successful operations need, cob cannon first
+ * A cob goes on two kernel-pults, so planting one takes the kernel-pult card as well.
+ */
+function getSelectedCards(operations) {
+  const cards = [];
+  const add = card => {
+    if (!cards.includes(card)) cards.push(card);
+  };
+
+  const succeeded = operations.filter(op => op.success);
+  if (succeeded.some(op => op.type === 'plant')) {
+    add('ACOB_CANNON');
+    add('AKERNEL_PULT');
+  }
+  if (succeeded.some(op => op.type === 'pot')) {
+    add('AFLOWER_POT');
+  }
+  succeeded.filter(op => op.type === 'card' && CARD_TYPES[op.card]).forEach(op => add(CARD_TYPES[op.card]));
+  return cards;
+}
+
+/**
+ * Describe the field the plan starts from, as comments
+ */
+function generateFieldComments(field) {
+  const cannons = field.cannons || [];
+  const pots = field.pots || [];
+  const lines = [`// Field${field.scene ? ` (${field.scene})` : ''}, set up before the first wave:`];
+  lines.push(cannons.length > 0
+    ? `//   Cob cannons (left tile): ${cannons.map(c => `${c.row}-${c.col}`).join(', ')}`
+    : '//   No cob cannons');
+  if (pots.length > 0) {
+    lines.push(`//   Flower pots besides those under the cannons: ${pots.map(p => `${p.row}-${p.col}`).join(', ')}`);
+  }
+  return lines;
+}
+
+/**
+ * Generate the setup of the cob queue, to be called before the waves
+ */
+function generateQueueSetup(queue) {
+  const list = queue.map(cannon => `{${cannon.row}, ${cannon.col}}`).join(', ');
+  return [
+    `aCobManager.SetList({${list}});`,
+    'aCobManager.SetSequentialMode(ACobManager::SPACE);'
+  ];
 }
 
 /**
- * Group operations by wave index
+ * Group the successful operations by wave index
+ * Each operation gets its `relativeTime` in the wave (the landing time the solver chose
+ * for fire operations with a tolerance), and each wave's operations are sorted by it.
+ * @param {Array} operations - Operations of a calculation result
+ * @param {Array} waves - Wave configuration
+ * @returns {Object} Operations by wave index
  */
-function groupOperationsByWave(operations, waves) {
+export function groupOperationsByWave(operations, waves) {
   const grouped = {};
   
   // Calculate cumulative wave start times
@@ -52,9 +173,11 @@ function groupOperationsByWave(operations, waves) {
         grouped[op.waveIndex] = [];
       }
       
-      // Calculate relative time within the wave
+      // Calculate relative time within the wave, using the landing time the solver
+      // chose for fire operations with a tolerance
       const waveStartTime = waveStartTimes[op.waveIndex] || 0;
-      const relativeTime = op.absoluteTime - waveStartTime;
+      const time = typeof op.landTime === 'number' ? op.landTime : op.absoluteTime;
+      const relativeTime = time - waveStartTime;
       
       grouped[op.waveIndex].push({
         ...op,
@@ -74,28 +197,23 @@ function groupOperationsByWave(operations, waves) {
 /**
  * Generate code block for a single wave
  */
-function generateWaveBlock(waveNumber, operations, waveConfig, includeNotes = false) {
-  // Group operations by time
-  const operationsByTime = {};
+function generateWaveBlock(waveNumber, operations, waveConfig, includeNotes = false, queued = false) {
+  // Group operations by time command; operations arrive sorted by relative time, so
+  // the groups come out in time order
+  const operationsByTime = new Map();
   
   operations.forEach(op => {
-    const timeKey = op.relativeTime;
-    if (!operationsByTime[timeKey]) {
-      operationsByTime[timeKey] = [];
+    const timeCommand = getTimeCommand(op, waveConfig);
+    if (!operationsByTime.has(timeCommand)) {
+      operationsByTime.set(timeCommand, []);
     }
-    operationsByTime[timeKey].push(op);
+    operationsByTime.get(timeCommand).push(op);
   });
 
   // Generate time blocks
   const timeBlocks = [];
-  const sortedTimes = Object.keys(operationsByTime)
-    .map(t => parseInt(t))
-    .sort((a, b) => a - b);
-
-  sortedTimes.forEach(time => {
-    const ops = operationsByTime[time];
-    const timeCommand = getTimeCommand(time, waveConfig);
-    const operationCommands = ops.map(generateOperationCommand);
+  operationsByTime.forEach((ops, timeCommand) => {
+    const operationCommands = ops.map(op => generateOperationCommand(op, queued));
     const combinedOps = operationCommands.join(' & ');
     timeBlocks.push(`    ${timeCommand} ${combinedOps}`);
   });
@@ -116,28 +234,72 @@ function generateWaveBlock(waveNumber, operations, waveConfig, includeNotes = fa
 /**
  * Determine whether to use At() or TrigAt() based on the original time expression
  */
-function getTimeCommand(relativeTime, waveConfig) {
-  // Check if this time corresponds to a w-200 type expression
-  const trigTime = waveConfig.duration - 200;
-  if (Math.abs(relativeTime - trigTime) < 1) {
-    return `TrigAt(${waveConfig.duration - 200})`;
+function getTimeCommand(operation, waveConfig) {
+  const { time, trigger } = getTimeExpression(operation, waveConfig);
+  return trigger ? `TrigAt(${time})` : `At(${time})`;
+}
+
+/**
+ * Get the time of an operation in its wave as the script should write it
+ * An integer expression such as "341+25" or "w-200" is kept, with w replaced by the wave
+ * duration since the script has no such variable, and `trigger` marks an expression relative
+ * to w that lands on the wave's w-200 trigger. Shots the solver moved within their tolerance,
+ * and operations without an expression, use the numeric time; only the latter still guess
+ * the trigger from the number.
+ * @param {Object} operation - Operation with its `relativeTime` (see groupOperationsByWave)
+ * @param {Object} waveConfig - Wave configuration
+ * @returns {Object} { time, trigger } where time is a string
+ */
+export function getTimeExpression(operation, waveConfig) {
+  const { relativeTime } = operation;
+  const moved = typeof operation.landTime === 'number' && operation.landTime !== operation.absoluteTime;
+  const hasExpression = operation.time !== undefined && operation.time !== null && operation.time.toString().trim() !== '';
+
+  if (!hasExpression || moved) {
+    return {
+      time: relativeTime.toString(),
+      trigger: !hasExpression && relativeTime === waveConfig.duration - 200
+    };
   }
-  
-  return `At(${relativeTime})`;
+
+  const expression = operation.time.toString().trim();
+  // Sums and products of integers read the same in C++ (division rounds differently); anything else is emitted as its value
+  const time = /^-?\d+$/.test(expression) || !/^[\dw\s+\-*()]+$/.test(expression)
+    ? relativeTime.toString()
+    : expression.replace(/w/g, waveConfig.duration);
+  return { time, trigger: isTriggerTiming(expression, relativeTime, waveConfig.duration) };
 }
 
 /**
  * Generate command for a single operation
  */
-function generateOperationCommand(operation) {
+function generateOperationCommand(operation, queued = false) {
   switch (operation.type) {
     case 'fire':
+      if (queued) {
+        return `P(${operation.row}, ${operation.targetCol})`;
+      }
       return `RP(${operation.cannonRow}, ${operation.cannonCol}, ${operation.row}, ${operation.targetCol})`;
     
     case 'plant':
       return `Card(ACOB_CANNON, ${operation.row}, ${operation.targetCol})`;
     
     case 'remove':
+      if (operation.removePots) {
+        // The first shovel takes the cob, the others the pots left in both tiles
+        return [operation.targetCol, operation.targetCol, operation.targetCol + 1]
+          .map(col => `Shovel(${operation.row}, ${col})`)
+          .join(' & ');
+      }
+      return `Shovel(${operation.row}, ${operation.targetCol})`;
+    
+    case 'pot':
+      return `Card(AFLOWER_POT, ${operation.row}, ${operation.targetCol})`;
+    
+    case 'card':
+      return `Card(${CARD_TYPES[operation.card]}, ${operation.row}, ${operation.targetCol})`;
+    
+    case 'shovel':
       return `Shovel(${operation.row}, ${operation.targetCol})`;
     
     default:
@@ -146,19 +308,10 @@ function generateOperationCommand(operation) {
 }
 
 /**
- * Check if a time expression represents a trigger timing (w-offset)
+ * Check if a time expression represents the trigger timing of its wave
+ * The expression has to be relative to the wave duration (e.g. "w-200" or "w - 200"); a
+ * plain number that happens to equal duration-200 is an ordinary timing.
  */
-function isTriggerTiming(timeExpression, waveDuration) {
-  if (typeof timeExpression !== 'string') return false;
-  
-  // Check for expressions like "w-200", "w - 200", etc.
-  const triggerPattern = /^w\s*-\s*(\d+)$/;
-  const match = timeExpression.match(triggerPattern);
-  
-  if (match) {
-    const offset = parseInt(match[1]);
-    return waveDuration - offset;
-  }
-  
-  return false;
+function isTriggerTiming(timeExpression, relativeTime, waveDuration) {
+  return /w/.test(timeExpression) && relativeTime === waveDuration - 200;
 }
\ No newline at end of file
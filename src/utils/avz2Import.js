@@ -0,0 +1,430 @@
+/**
+ * AvZ2 DSL Import Utility
+ * Reads the OnWave blocks of an AvZ2 script back into waves, the reverse of avz2Export.js.
+ * Each `At(time)` or `TrigAt(time)` entry of a block becomes operations of that wave:
+ * RP() and P() fire, Card() plants a cob, places a pot or uses a card, and Shovel() removes
+ * a cob or shovels another plant. The cob queue set up with aCobManager.SetList() is read
+ * as well. Lines the parser does not understand are reported and skipped.
+ */
+
+import { CARD_TYPES } from './avz2Export.js';
+
+// Script scaffolding around the waves, skipped without a report
+const SCAFFOLDING = [
+  /^#include\b/,
+  /^void\s+AScript\s*\(\s*\)\s*\{?$/,
+  /^[{}];?$/,
+  /^ASelectCards\s*\(.*\)\s*;$/
+];
+
+const DEFAULT_DURATION = 601;
+
+// Cannon columns of an imported fire operation, any column as for a new operation
+const DEFAULT_COLUMNS = '1-8';
+
+// Integer sums and products, the only time expressions read back
+const TIME_PATTERN = /^[\d\s+\-*()]+$/;
+
+/**
+ * Parse an AvZ2 script into waves and cannons
+ * Fire operations from RP() pin the cannon they name. The initial cannons are the RP()
+ * sources that fire before any Card(ACOB_CANNON) plants a cob there, and the cannons of
+ * the SetList() queue unless a cob is planted there before one is shoveled. A wave's
+ * duration follows from its TrigAt() entries, which land on w-200 and are imported as
+ * "w-200"; other waves get the default of 601, extended to their latest entry. Fire
+ * operations may use any cannon column. The comment right above an OnWave block becomes the
+ * wave's notes, and removes that shovel the pots after the cob (see avz2Export.js) are
+ * read back as one remove with `removePots`. A Shovel() removes a cob when one of the
+ * initial cannons or planted cobs stands there, and is a shovel operation otherwise.
+ * @param {string} source - AvZ2 script
+ * @returns {Object} { cannons, queue, waves, unparsed } where queue is the cob queue of
+ *   SetList() ({ row, col } in firing order, empty without one) and unparsed lists the
+ *   skipped lines as { line, text, reason } with 1-based line numbers
+ */
+export function parseAvZ2Script(source) {
+  const waves = [];
+  const unparsed = [];
+  const queue = [];
+  const entries = [];
+  let current = null;
+  let comment = '';
+
+  (source || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const commentMatch = rawLine.match(/^\s*\/\/\s?(.*)$/);
+    if (commentMatch) {
+      comment = current ? comment : commentMatch[1].trim();
+      return;
+    }
+    const text = rawLine.replace(/\/\/.*$/, '').trim();
+    if (text === '') {
+      comment = '';
+      return;
+    }
+
+    if (!current) {
+      const waveMatch = text.match(/^OnWave\s*\(\s*(\d+)\s*\)\s*\{?(.*)$/);
+      if (waveMatch && parseInt(waveMatch[1]) >= 1) {
+        current = getWave(waves, parseInt(waveMatch[1]) - 1);
+        if (comment && !current.wave.notes) {
+          current.wave.notes = comment;
+        }
+        comment = '';
+        const rest = waveMatch[2].trim();
+        if (rest !== '') {
+          current = parseWaveLine(rest, line, current, entries, unparsed);
+        }
+      } else if (/^aCobManager\./.test(text)) {
+        const error = parseCobManagerCall(text, queue);
+        if (error) {
+          unparsed.push({ line, text, reason: error });
+        }
+      } else if (!SCAFFOLDING.some(pattern => pattern.test(text))) {
+        unparsed.push({ line, text, reason: 'Not inside an OnWave block' });
+      }
+      comment = '';
+      return;
+    }
+
+    current = parseWaveLine(text, line, current, entries, unparsed);
+  });
+
+  inferDurations(waves, entries, unparsed);
+  const cannons = inferCannons(waves, entries, queue);
+  inferShovels(cannons, waves, entries);
+  entries.forEach(entry => {
+    waves[entry.waveIndex].operations.push(...entry.operations.map(op => ({ ...op, time: entry.time })));
+  });
+
+  return {
+    cannons,
+    queue,
+    waves,
+    unparsed: unparsed.sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Get the wave with an index, adding empty waves up to it
+ */
+function getWave(waves, waveIndex) {
+  while (waves.length <= waveIndex) {
+    waves.push({ duration: DEFAULT_DURATION, notes: '', operations: [] });
+  }
+  return { wave: waves[waveIndex], waveIndex };
+}
+
+/**
+ * Parse one line inside an OnWave block, returning the block still open (or null)
+ */
+function parseWaveLine(text, line, current, entries, unparsed) {
+  // The brace opening the block may be on a line of its own
+  let body = text.replace(/^\{/, '').trim();
+  let closed = false;
+  const closeMatch = body.match(/^(.*?)\}\s*;?$/);
+  if (closeMatch) {
+    body = closeMatch[1].trim();
+    closed = true;
+  }
+
+  splitTopLevel(body, ',').filter(part => part !== '').forEach(part => {
+    const parsed = parseEntry(part);
+    if (parsed.error) {
+      unparsed.push({ line, text: part, reason: parsed.error });
+    } else {
+      entries.push({ ...parsed, waveIndex: current.waveIndex, line });
+    }
+  });
+
+  return closed ? null : current;
+}
+
+/**
+ * Parse a call of the cob manager outside the waves, reading the queue of SetList()
+ * @returns {string|null} Why the call is skipped, or null
+ */
+function parseCobManagerCall(text, queue) {
+  const match = text.match(/^aCobManager\.(\w+)\s*\((.*)\)\s*;$/);
+  if (!match) {
+    return 'Unbalanced parentheses';
+  }
+  const [, name, args] = match;
+
+  if (name === 'SetList') {
+    const list = args.trim();
+    const pair = /\{\s*(\d+)\s*,\s*(\d+)\s*\}/g;
+    if (!/^\{\s*(\{\s*\d+\s*,\s*\d+\s*\}\s*(,\s*\{\s*\d+\s*,\s*\d+\s*\}\s*)*)?\}$/.test(list)) {
+      return `Invalid arguments: SetList(${args})`;
+    }
+    queue.splice(0, queue.length, ...[...list.slice(1, -1).matchAll(pair)].map(([, row, col]) => ({
+      row: parseInt(row),
+      col: parseInt(col)
+    })));
+    return null;
+  }
+  // The queue fires in list order only in the SPACE mode the export sets
+  if (name === 'SetSequentialMode' && args.trim() === 'ACobManager::SPACE') {
+    return null;
+  }
+  return `Unsupported cob manager call: ${name}(${args.trim()})`;
+}
+
+/**
+ * Parse an `At(time) command & command` entry
+ */
+function parseEntry(text) {
+  const match = text.match(/^(At|TrigAt)\s*\(/);
+  if (!match) {
+    return { error: 'Expected At() or TrigAt()' };
+  }
+  const close = findClosingParen(text, match[0].length - 1);
+  if (close < 0) {
+    return { error: 'Unbalanced parentheses' };
+  }
+  const time = text.slice(match[0].length, close).trim();
+  if (!TIME_PATTERN.test(time)) {
+    return { error: `Unsupported time expression: ${time}` };
+  }
+  const value = evaluateTime(time);
+  if (value === null) {
+    return { error: `Unsupported time expression: ${time}` };
+  }
+
+  const commands = splitTopLevel(text.slice(close + 1).trim(), '&');
+  if (commands.length === 0 || commands[0] === '') {
+    return { error: 'Missing command' };
+  }
+  const operations = [];
+  for (const command of commands) {
+    const op = parseCommand(command);
+    if (op.error) {
+      return { error: op.error };
+    }
+    operations.push(op);
+  }
+
+  return { time, value, trigger: match[1] === 'TrigAt', operations: mergePotShovels(operations) };
+}
+
+/**
+ * Parse one command of an entry into an operation
+ */
+function parseCommand(command) {
+  const match = command.match(/^(\w+)\s*\((.*)\)$/);
+  if (!match) {
+    return { error: `Unknown command: ${command}` };
+  }
+  const [, name, argText] = match;
+  const args = argText.split(',').map(arg => arg.trim());
+  const numbers = args.map(Number);
+  const integers = list => list.every(n => Number.isInteger(n) && n >= 1);
+
+  switch (name) {
+    case 'RP':
+      if (args.length === 4 && integers(numbers.slice(0, 3)) && Number.isFinite(numbers[3])) {
+        const [cannonRow, cannonCol, row, targetCol] = numbers;
+        return { type: 'fire', row, targetCol, columns: DEFAULT_COLUMNS, cannon: `${cannonRow}-${cannonCol}` };
+      }
+      break;
+
+    case 'P':
+      if (args.length === 2 && integers(numbers.slice(0, 1)) && Number.isFinite(numbers[1])) {
+        return { type: 'fire', row: numbers[0], targetCol: numbers[1], columns: DEFAULT_COLUMNS };
+      }
+      break;
+
+    case 'Card': {
+      if (args.length !== 3 || !integers(numbers.slice(1))) break;
+      const [, row, targetCol] = numbers;
+      if (args[0] === 'ACOB_CANNON') {
+        return { type: 'plant', row, targetCol };
+      }
+      if (args[0] === 'AFLOWER_POT') {
+        return { type: 'pot', row, targetCol };
+      }
+      const card = Object.keys(CARD_TYPES).find(key => CARD_TYPES[key] === args[0]);
+      if (card) {
+        return { type: 'card', card, row, targetCol };
+      }
+      return { error: `Unsupported card: ${args[0]}` };
+    }
+
+    case 'Shovel':
+      if (args.length === 2 && integers(numbers)) {
+        return { type: 'remove', row: numbers[0], targetCol: numbers[1] };
+      }
+      break;
+
+    default:
+      return { error: `Unknown command: ${name}` };
+  }
+  return { error: `Invalid arguments: ${command}` };
+}
+
+/**
+ * Read `Shovel(r, c) & Shovel(r, c) & Shovel(r, c + 1)` back as one remove with its pots
+ */
+function mergePotShovels(operations) {
+  const merged = [];
+  for (let i = 0; i < operations.length; i++) {
+    const [op, second, third] = operations.slice(i, i + 3);
+    const isShovel = (o, row, col) => o && o.type === 'remove' && o.row === row && o.targetCol === col;
+    if (op.type === 'remove' && isShovel(second, op.row, op.targetCol) && isShovel(third, op.row, op.targetCol + 1)) {
+      merged.push({ ...op, removePots: true });
+      i += 2;
+    } else {
+      merged.push(op);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Set each wave's duration from its first TrigAt() entry and turn those entries into "w-200"
+ * A wave without TrigAt() keeps the default duration, or lasts until its latest entry.
+ */
+function inferDurations(waves, entries, unparsed) {
+  const inferred = new Set();
+  entries.forEach(entry => {
+    if (!entry.trigger) return;
+    const wave = waves[entry.waveIndex];
+    if (!inferred.has(entry.waveIndex)) {
+      wave.duration = entry.value + 200;
+      inferred.add(entry.waveIndex);
+    }
+    if (entry.value === wave.duration - 200) {
+      entry.time = 'w-200';
+    } else {
+      unparsed.push({
+        line: entry.line,
+        text: `TrigAt(${entry.time})`,
+        reason: `Trigger time ${entry.value} disagrees with wave duration ${wave.duration}; imported as At()`
+      });
+    }
+  });
+
+  entries.forEach(entry => {
+    const wave = waves[entry.waveIndex];
+    if (!inferred.has(entry.waveIndex) && entry.value > wave.duration) {
+      wave.duration = entry.value;
+    }
+  });
+}
+
+/**
+ * Get the entries in the order they happen
+ */
+function sortEntries(waves, entries) {
+  const starts = [];
+  let start = 0;
+  waves.forEach(wave => {
+    starts.push(start);
+    start += wave.duration;
+  });
+
+  return entries
+    .map((entry, order) => ({ entry, order, time: starts[entry.waveIndex] + entry.value }))
+    .sort((a, b) => a.time - b.time || a.order - b.order)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Get the cannons that fire before any cob is planted in their place, and those of the
+ * queue unless a cob is planted there before one is shoveled
+ */
+function inferCannons(waves, entries, queue) {
+  const cannons = [];
+  const planted = new Set();
+  const plantedFirst = new Set();
+  const seen = new Set();
+  sortEntries(waves, entries).forEach(entry => {
+    entry.operations.forEach(op => {
+      const tile = `${op.row}-${op.targetCol}`;
+      if ((op.type === 'plant' || op.type === 'remove') && !seen.has(tile)) {
+        seen.add(tile);
+        if (op.type === 'plant') {
+          plantedFirst.add(tile);
+        }
+      }
+      if (op.type === 'plant') {
+        planted.add(tile);
+      } else if (op.type === 'fire' && op.cannon && !planted.has(op.cannon) &&
+        !cannons.some(c => `${c.row}-${c.col}` === op.cannon)) {
+        const [row, col] = op.cannon.split('-').map(Number);
+        cannons.push({ row, col });
+      }
+    });
+  });
+  queue.forEach(({ row, col }) => {
+    const tile = `${row}-${col}`;
+    if (!plantedFirst.has(tile) && !cannons.some(c => `${c.row}-${c.col}` === tile)) {
+      cannons.push({ row, col });
+    }
+  });
+  return cannons.sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+/**
+ * Turn the Shovel() calls that hit no known cob into shovel operations
+ * A Shovel() on the left tile of a cob standing at its time removes the cob; any other
+ * shovels a plant that is not a cob.
+ */
+function inferShovels(cannons, waves, entries) {
+  const cobs = new Set(cannons.map(c => `${c.row}-${c.col}`));
+  sortEntries(waves, entries).forEach(entry => {
+    entry.operations = entry.operations.map(op => {
+      const tile = `${op.row}-${op.targetCol}`;
+      if (op.type === 'plant') {
+        cobs.add(tile);
+      } else if (op.type === 'remove' && cobs.has(tile)) {
+        cobs.delete(tile);
+      } else if (op.type === 'remove' && !op.removePots) {
+        return { type: 'shovel', row: op.row, targetCol: op.targetCol };
+      }
+      return op;
+    });
+  });
+}
+
+/**
+ * Split on a separator outside parentheses
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === separator && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+}
+
+/**
+ * Find the parenthesis closing the one at `open`, or -1
+ */
+function findClosingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Evaluate an integer time expression, or null when it is not one
+ */
+function evaluateTime(expression) {
+  try {
+    const value = Function(`return (${expression});`)();
+    return Number.isInteger(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
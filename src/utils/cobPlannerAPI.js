@@ -3,8 +3,18 @@
  * Provides a unified interface for sanity checking, solving, and exporting cob cannon reuse calculations
  */
 
-import { solveReuse, getRoofFlyTime, preprocessOperations, isColumnInSet } from './solver.js';
-import { generateAvZ2Code } from './avz2Export.js';
+import { solveReuse, enumerateReuse, getRoofFlyTime, preprocessOperations, isColumnInSet, parseTolerance } from './solver.js';
+import { MAX_TOLERANCE } from './validation.js';
+import { DEFAULT_SCENE, getSceneRows, isValidScene } from './scenes.js';
+import { resolveMechanics } from './mechanics.js';
+import { checkRobustness, hasDurationCandidates, parseDurations } from './robustness.js';
+import { analyzeResources, OPERATION_CARDS } from './resources.js';
+import { analyzeCycle } from './cycle.js';
+import { verifyPlan } from './verifier.js';
+import { simulateCobQueue } from './cobQueue.js';
+import { getExporter, resolveExportOptions } from './exporters.js';
+import { parseAvZ2Script } from './avz2Import.js';
+import { solveReuseAsync } from './solverClient.js';
 
 /**
  * Configuration options for the CobPlanner API
@@ -14,7 +24,9 @@ const DEFAULT_CONFIG = {
   includeDetailedErrors: true,
   maxOperations: 100,
   maxWaves: 20,
-  maxCannons: 45 // 5 rows * 9 columns
+  maxCannons: 45, // 5 rows * 9 columns
+  scene: DEFAULT_SCENE, // Decides row limits and fly times
+  mechanics: 'default' // Mechanics profile id or overrides, see mechanics.js
 };
 
 /**
@@ -42,7 +54,10 @@ export class CobPlannerAPI {
         totalOperations: 0,
         fireOperations: 0,
         plantOperations: 0,
-        removeOperations: 0
+        removeOperations: 0,
+        potOperations: 0,
+        cardOperations: 0,
+        shovelOperations: 0
       }
     };
 
@@ -73,6 +88,15 @@ export class CobPlannerAPI {
               case 'remove':
                 result.summary.removeOperations++;
                 break;
+              case 'pot':
+                result.summary.potOperations++;
+                break;
+              case 'card':
+                result.summary.cardOperations++;
+                break;
+              case 'shovel':
+                result.summary.shovelOperations++;
+                break;
             }
           });
         }
@@ -96,54 +120,190 @@ export class CobPlannerAPI {
    * Solve the cob cannon reuse problem
    * @param {Array} cannons - Array of cannon objects
    * @param {Array} waves - Array of wave objects
+   * @param {Object} options - Solver options
+   * @param {string} options.mode - 'prefix' stops at the first failed fire operation (default),
+   *   'skip' leaves failed operations out and keeps going, 'maximize' satisfies as many as possible,
+   *   'queue' fires every shot from the next cannon of `options.queue` instead of solving
+   * @param {Array} options.queue - Cannon positions in firing order for 'queue' mode, defaults to `cannons`
+   * @param {Array} options.pots - Tiles ({ row, col }) with a flower pot before the first wave; on the
+   *   roof a plant operation needs pots in both tiles (the initial cannons stand in pots anyway)
+   * @param {boolean} options.diagnose - Explain why the first failed fire operation failed
+   * @param {Object} options.cards - Card cost and recharge overrides for the resource check (see resources.js)
+   * @param {string} options.scene - Scene for fly times, defaults to the configured scene
+   * @param {string|Object} options.mechanics - Mechanics profile, defaults to the configured profile
    * @returns {Object} Comprehensive solve result with success status and detailed information
    */
-  solve(cannons, waves) {
+  solve(cannons, waves, options = {}) {
+    const result = this._createSolveResult();
+
+    try {
+      // First perform sanity check
+      if (!this._checkBeforeSolve(cannons, waves, result)) {
+        return result;
+      }
+
+      // Perform the solve operation
+      result.solveResult = this._solveInThread(cannons, waves, options);
+      this._completeSolveResult(result, cannons, waves, options);
+
+    } catch (error) {
+      result.errors.push(`Solve operation failed: ${error.message}`);
+    } finally {
+      this._finishTiming(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Solve the cob cannon reuse problem in a Web Worker
+   * Same result as solve(); falls back to the current thread when workers are unavailable
+   * @param {Array} cannons - Array of cannon objects
+   * @param {Array} waves - Array of wave objects
+   * @param {Object} options - Solver options as for solve(), plus:
+   * @param {Function} options.onProgress - Called with { processed, total } while solving
+   * @param {AbortSignal} options.signal - Cancels the solve when aborted
+   * @param {number} options.timeout - Milliseconds before the solve is abandoned
+   * @returns {Promise<Object>} Comprehensive solve result with success status and detailed information
+   */
+  async solveAsync(cannons, waves, options = {}) {
+    const result = this._createSolveResult();
+
+    try {
+      if (!this._checkBeforeSolve(cannons, waves, result)) {
+        return result;
+      }
+
+      // The queue simulation is cheap enough for the current thread
+      result.solveResult = options.mode === 'queue'
+        ? this._solveInThread(cannons, waves, options)
+        : await solveReuseAsync(cannons, waves, this._solverOptions(options));
+      this._completeSolveResult(result, cannons, waves, options);
+
+    } catch (error) {
+      result.errors.push(`Solve operation failed: ${error.message}`);
+    } finally {
+      this._finishTiming(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a range of waves can be repeated as a cycle
+   * @param {Array} cannons - Array of cannon objects
+   * @param {Array} waves - Array of wave objects
+   * @param {Object} cycle - { start, end } indices of the first and last wave of the cycle
+   * @param {Object} options - Solver options as for solve(), plus:
+   * @param {number} options.maxRepetitions - Most repetitions unrolled when the steady state
+   *   cannot follow the waves before the cycle (default 10)
+   * @returns {Object} Result with the sanity check and `cycleResult` (see analyzeCycle in cycle.js)
+   */
+  analyzeCycle(cannons, waves, cycle, options = {}) {
     const result = {
       success: false,
       sanityCheck: null,
-      solveResult: null,
-      performance: {
-        startTime: Date.now(),
-        endTime: null,
-        duration: null
-      },
+      cycleResult: null,
       errors: [],
       warnings: []
     };
 
     try {
-      // First perform sanity check
-      result.sanityCheck = this.sanityCheck(cannons, waves);
-      
-      if (!result.sanityCheck.success) {
-        result.errors.push('Sanity check failed - cannot proceed with solving');
+      if (!this._checkBeforeSolve(cannons, waves, result)) {
         return result;
       }
 
-      // Perform the solve operation
-      result.solveResult = solveReuse(cannons, waves);
-      
-      // Analyze results
-      const analysis = this._analyzeResults(result.solveResult, waves);
-      result.analysis = analysis;
+      result.cycleResult = analyzeCycle(cannons, waves, cycle, this._solverOptions(options));
+      const { steadyState, repetitions } = result.cycleResult;
+      if (!steadyState.feasible) {
+        result.warnings.push(`Cycle has no steady state (complete repetitions: ${repetitions})`);
+      } else if (!steadyState.enterable) {
+        result.warnings.push(`Steady state cannot follow the waves before the cycle (complete repetitions: ${repetitions})`);
+      }
+      result.success = true;
+
+    } catch (error) {
+      result.errors.push(`Cycle analysis failed: ${error.message}`);
+    }
 
-      // Check for warnings
-      if (analysis.successRate < 1.0) {
-        result.warnings.push(`Only ${Math.round(analysis.successRate * 100)}% of fire operations succeeded`);
+    return result;
+  }
+
+  /**
+   * Check a cannon assignment against cooldowns, plant readiness and shovel times
+   * Works independently of the solver, so hand-written or imported plans can be checked too.
+   * @param {Array} cannons - Array of cannon objects
+   * @param {Array} waves - Array of wave objects
+   * @param {Array|Object} plan - Shots ({ waveIndex, opIndex, cannonRow, cannonCol, landTime }),
+   *   or a result of solve() whose successful shots are checked
+   * @param {Object} options - `scene` and `mechanics`, defaulting to the configured ones
+   * @returns {Object} Result with `valid` and the `violations` found (see verifySchedule in verifier.js)
+   */
+  verify(cannons, waves, plan, options = {}) {
+    const result = {
+      success: false,
+      valid: false,
+      violations: [],
+      errors: []
+    };
+
+    try {
+      const shots = Array.isArray(plan) ? plan : plan?.solveResult?.operations;
+      if (!Array.isArray(shots)) {
+        result.errors.push('Invalid plan provided');
+        return result;
       }
 
-      if (analysis.unusedCannons > 0) {
-        result.warnings.push(`${analysis.unusedCannons} cannons were not used`);
+      const verification = verifyPlan(cannons, waves, shots, this._solverOptions(options));
+      result.valid = verification.valid;
+      result.violations = verification.violations;
+      result.success = true;
+
+    } catch (error) {
+      result.errors.push(`Verification failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * List alternative cannon assignments that complete the plan
+   * Two assignments differ when at least one shot uses another cannon position.
+   * @param {Array} cannons - Array of cannon objects
+   * @param {Array} waves - Array of wave objects
+   * @param {number} limit - Most assignments to list (default 10)
+   * @param {Object} options - Solver options as for solve(); `mode` is always 'prefix'
+   * @returns {Object} Result with the `solutions` found, `forced` telling per shot whether only one
+   *   cannon position can fire it, and `exhausted` when no further assignment exists
+   *   (see enumerateReuse in solver.js)
+   */
+  enumerateSolutions(cannons, waves, limit = 10, options = {}) {
+    const result = {
+      success: false,
+      sanityCheck: null,
+      solutions: [],
+      forced: null,
+      exhausted: false,
+      errors: []
+    };
+
+    try {
+      if (!Number.isInteger(limit) || limit < 1) {
+        result.errors.push(`Invalid limit: ${limit}`);
+        return result;
+      }
+      if (!this._checkBeforeSolve(cannons, waves, result)) {
+        return result;
       }
 
+      const enumeration = enumerateReuse(cannons, waves, limit, this._solverOptions(options));
+      result.solutions = enumeration.solutions;
+      result.forced = enumeration.forced;
+      result.exhausted = enumeration.exhausted;
       result.success = true;
 
     } catch (error) {
-      result.errors.push(`Solve operation failed: ${error.message}`);
-    } finally {
-      result.performance.endTime = Date.now();
-      result.performance.duration = result.performance.endTime - result.performance.startTime;
+      result.errors.push(`Enumeration failed: ${error.message}`);
     }
 
     return result;
@@ -153,8 +313,12 @@ export class CobPlannerAPI {
    * Export solve results to specified format
    * @param {Object} solveResult - Result from solve() method
    * @param {Array} waves - Original wave configuration
-   * @param {string} format - Export format ('avz2' supported)
-   * @param {Object} options - Export options
+   * @param {string} format - Id of a registered export format ('avz2' and 'avz1' are built in, see exporters.js)
+   * @param {Object} options - Values of the format's options, e.g. { includeNotes: true }; 'avz2' also
+   *   takes `fullScript` to export a complete script with includes, AScript() and the card selection
+   * @param {Array} options.cannons - Initial cannons the full script describes
+   * @param {Array} options.pots - Initial flower pots the full script describes
+   * @param {string} options.scene - Scene the full script describes, defaults to the configured scene
    * @returns {Object} Export result with generated code
    */
   export(solveResult, waves, format = 'avz2', options = {}) {
@@ -182,20 +346,23 @@ export class CobPlannerAPI {
         return result;
       }
 
-      // Generate export based on format
-      switch (format.toLowerCase()) {
-        case 'avz2':
-          result.code = generateAvZ2Code(
-            solveResult.solveResult,
-            waves,
-            options.includeNotes !== false
-          );
-          break;
-        
-        default:
-          result.errors.push(`Unsupported export format: ${format}`);
-          return result;
+      // Generate export with the registered format
+      const exporter = getExporter(format);
+      if (!exporter) {
+        result.errors.push(`Unsupported export format: ${format}`);
+        return result;
       }
+      result.format = exporter.id;
+      result.code = exporter.generate(
+        solveResult.solveResult,
+        waves,
+        resolveExportOptions(exporter, options),
+        {
+          cannons: options.cannons || [],
+          pots: options.pots || [],
+          scene: options.scene || this.config.scene
+        }
+      );
 
       // Calculate metadata
       const operations = solveResult.solveResult.operations || [];
@@ -214,13 +381,14 @@ export class CobPlannerAPI {
   /**
    * Load configuration from JSON data
    * @param {string|Object} jsonData - JSON string or parsed object
-   * @returns {Object} Parsed configuration with cannons and waves
+   * @returns {Object} Parsed configuration with cannons, waves, pots and scene
    */
   loadFromJSON(jsonData) {
     const result = {
       success: false,
       cannons: [],
       waves: [],
+      pots: [],
       errors: []
     };
 
@@ -235,6 +403,12 @@ export class CobPlannerAPI {
         result.waves = data.waves;
       }
 
+      if (data.pots && Array.isArray(data.pots)) {
+        result.pots = data.pots;
+      }
+
+      result.scene = data.scene || DEFAULT_SCENE;
+
       result.success = true;
 
     } catch (error) {
@@ -244,13 +418,59 @@ export class CobPlannerAPI {
     return result;
   }
 
+  /**
+   * Import the waves of an AvZ2 script
+   * See parseAvZ2Script for what is read back; the initial cannons are inferred from the RP()
+   * sources and the SetList() queue.
+   * @param {string} source - AvZ2 script
+   * @returns {Object} Parsed configuration with cannons and waves, the cob `queue` of SetList()
+   *   (empty without one), which 'queue' solves take as `queue`, plus the `unparsed` lines
+   *   ({ line, text, reason }) that were skipped
+   */
+  importScript(source) {
+    const result = {
+      success: false,
+      cannons: [],
+      queue: [],
+      waves: [],
+      unparsed: [],
+      errors: []
+    };
+
+    try {
+      if (typeof source !== 'string') {
+        result.errors.push('Script must be a string');
+        return result;
+      }
+
+      const parsed = parseAvZ2Script(source);
+      result.cannons = parsed.cannons;
+      result.queue = parsed.queue;
+      result.waves = parsed.waves;
+      result.unparsed = parsed.unparsed;
+
+      if (parsed.waves.length === 0) {
+        result.errors.push('No OnWave blocks found');
+        return result;
+      }
+
+      result.success = true;
+
+    } catch (error) {
+      result.errors.push(`Failed to import script: ${error.message}`);
+    }
+
+    return result;
+  }
+
   /**
    * Save configuration to JSON format
    * @param {Array} cannons - Cannon configuration
    * @param {Array} waves - Wave configuration
+   * @param {Array} pots - Tiles with a flower pot before the first wave
    * @returns {Object} JSON export result
    */
-  saveToJSON(cannons, waves) {
+  saveToJSON(cannons, waves, pots = []) {
     const result = {
       success: false,
       json: '',
@@ -259,7 +479,9 @@ export class CobPlannerAPI {
 
     try {
       const data = {
+        scene: this.config.scene,
         cannons: cannons || [],
+        pots: pots || [],
         waves: waves || [],
         metadata: {
           version: '1.0',
@@ -293,6 +515,20 @@ export class CobPlannerAPI {
       return false;
     }
 
+    if (!isValidScene(this.config.scene)) {
+      result.errors.push(`Unknown scene: ${this.config.scene}`);
+      result.success = false;
+      return false;
+    }
+
+    try {
+      resolveMechanics(this.config.mechanics);
+    } catch (error) {
+      result.errors.push(error.message);
+      result.success = false;
+      return false;
+    }
+
     if (cannons.length > this.config.maxCannons) {
       result.errors.push(`Too many cannons (${cannons.length}), maximum is ${this.config.maxCannons}`);
       result.success = false;
@@ -317,8 +553,9 @@ export class CobPlannerAPI {
         return;
       }
 
-      if (!Number.isInteger(cannon.row) || cannon.row < 1 || cannon.row > 5) {
-        result.errors.push(`Cannon ${index} has invalid row (${cannon.row}), must be 1-5`);
+      const maxRows = getSceneRows(this.config.scene);
+      if (!Number.isInteger(cannon.row) || cannon.row < 1 || cannon.row > maxRows) {
+        result.errors.push(`Cannon ${index} has invalid row (${cannon.row}), must be 1-${maxRows}`);
       }
 
       if (!Number.isInteger(cannon.col) || cannon.col < 1 || cannon.col > 9) {
@@ -357,6 +594,12 @@ export class CobPlannerAPI {
         result.errors.push(`Wave ${waveIndex} has invalid duration (${wave.duration})`);
       }
 
+      try {
+        parseDurations(wave.durations);
+      } catch (error) {
+        result.errors.push(`Wave ${waveIndex} has invalid durations (${wave.durations})`);
+      }
+
       if (!Array.isArray(wave.operations)) {
         result.errors.push(`Wave ${waveIndex} operations must be an array`);
         return;
@@ -375,13 +618,14 @@ export class CobPlannerAPI {
 
   _validateOperation(op, waveIndex, opIndex, wave, result) {
     const opId = `Wave ${waveIndex}, Operation ${opIndex}`;
+    const maxRows = getSceneRows(this.config.scene);
 
     if (!op || typeof op !== 'object') {
       result.errors.push(`${opId}: Invalid operation object`);
       return;
     }
 
-    if (!['fire', 'plant', 'remove'].includes(op.type)) {
+    if (!['fire', 'plant', 'remove', 'pot', 'card', 'shovel'].includes(op.type)) {
       result.errors.push(`${opId}: Invalid operation type (${op.type})`);
     }
 
@@ -403,7 +647,7 @@ export class CobPlannerAPI {
     // Validate based on operation type
     switch (op.type) {
       case 'fire':
-        if (!Number.isInteger(op.row) || op.row < 1 || op.row > 5) {
+        if (!Number.isInteger(op.row) || op.row < 1 || op.row > maxRows) {
           result.errors.push(`${opId}: Invalid target row (${op.row})`);
         }
         
@@ -416,16 +660,31 @@ export class CobPlannerAPI {
             result.errors.push(`${opId}: Target column must be multiple of 1/80 (0.0125)`);
           }
         }
+
+        try {
+          const tolerance = parseTolerance(op.tolerance);
+          if (tolerance.min < -MAX_TOLERANCE || tolerance.max > MAX_TOLERANCE) {
+            result.errors.push(`${opId}: Tolerance must be within ±${MAX_TOLERANCE} (${op.tolerance})`);
+          }
+        } catch (error) {
+          result.errors.push(`${opId}: Invalid tolerance (${op.tolerance})`);
+        }
         break;
 
       case 'plant':
       case 'remove':
-        if (!Number.isInteger(op.row) || op.row < 1 || op.row > 5) {
+      case 'pot':
+      case 'card':
+      case 'shovel':
+        if (!Number.isInteger(op.row) || op.row < 1 || op.row > maxRows) {
           result.errors.push(`${opId}: Invalid row (${op.row})`);
         }
         if (!Number.isInteger(op.targetCol) || op.targetCol < 1 || op.targetCol > 9) {
           result.errors.push(`${opId}: Invalid column (${op.targetCol})`);
         }
+        if (op.type === 'card' && !OPERATION_CARDS.includes(op.card)) {
+          result.errors.push(`${opId}: Invalid card (${op.card})`);
+        }
         break;
     }
   }
@@ -462,6 +721,85 @@ export class CobPlannerAPI {
     });
   }
 
+  _createSolveResult() {
+    return {
+      success: false,
+      sanityCheck: null,
+      solveResult: null,
+      performance: {
+        startTime: Date.now(),
+        endTime: null,
+        duration: null
+      },
+      errors: [],
+      warnings: []
+    };
+  }
+
+  _checkBeforeSolve(cannons, waves, result) {
+    result.sanityCheck = this.sanityCheck(cannons, waves);
+    
+    if (!result.sanityCheck.success) {
+      result.errors.push('Sanity check failed - cannot proceed with solving');
+      return false;
+    }
+
+    return true;
+  }
+
+  // Fill in the configured scene and mechanics unless the caller overrides them
+  _solverOptions(options) {
+    return { scene: this.config.scene, mechanics: this.config.mechanics, ...options };
+  }
+
+  _solveInThread(cannons, waves, options) {
+    if (options.mode === 'queue') {
+      return simulateCobQueue(cannons, waves, options.queue || cannons, this._solverOptions(options));
+    }
+    return solveReuse(cannons, waves, this._solverOptions(options));
+  }
+
+  _completeSolveResult(result, cannons, waves, options) {
+    // Analyze results
+    const analysis = this._analyzeResults(result.solveResult, waves);
+    result.analysis = analysis;
+
+    // Check the plan with the other candidate wave durations; a failed check keeps the plan
+    if (hasDurationCandidates(waves)) {
+      try {
+        result.robustness = checkRobustness(cannons, waves, result.solveResult, this._solverOptions(options));
+        if (!result.robustness.robust) {
+          const broken = result.robustness.failures.reduce((count, failure) => count + failure.shots.length, 0);
+          result.warnings.push(`${broken} shots break under some of the ${result.robustness.combinations} wave duration combinations`);
+        }
+      } catch (error) {
+        result.warnings.push(`Robustness check failed: ${error.message}`);
+      }
+    }
+
+    // Card recharge and sun spent by the plant and pot operations
+    result.resources = analyzeResources(waves, result.solveResult, { cards: options.cards });
+    if (result.resources.conflicts.length > 0) {
+      result.warnings.push(`${result.resources.conflicts.length} operations use a card before it recharges`);
+    }
+
+    // Check for warnings
+    if (analysis.successRate < 1.0) {
+      result.warnings.push(`Only ${Math.round(analysis.successRate * 100)}% of fire operations succeeded`);
+    }
+
+    if (analysis.unusedCannons > 0) {
+      result.warnings.push(`${analysis.unusedCannons} cannons were not used`);
+    }
+
+    result.success = true;
+  }
+
+  _finishTiming(result) {
+    result.performance.endTime = Date.now();
+    result.performance.duration = result.performance.endTime - result.performance.startTime;
+  }
+
   _analyzeResults(solveResult, waves) {
     const analysis = {
       successRate: 0,
@@ -522,9 +860,9 @@ export const CobPlannerHelpers = {
   /**
    * Quick solve without creating API instance
    */
-  quickSolve: (cannons, waves) => {
+  quickSolve: (cannons, waves, options = {}) => {
     const api = new CobPlannerAPI();
-    return api.solve(cannons, waves);
+    return api.solve(cannons, waves, options);
   },
 
   /**
@@ -0,0 +1,62 @@
+/**
+ * Cob queue simulation for CobPlanner
+ * AvZ scripts often fire from a cob queue: the cannons are listed once and every shot
+ * takes the next cannon in the list, wrapping around at the end. Instead of searching
+ * for an assignment like solveCobReuse, the simulation follows that order and reports
+ * the shots whose cannon is not ready when its turn comes.
+ */
+
+import { preprocessOperations } from './solver.js';
+import { verifySchedule, buildCheckedResult, getEarliestLandTime } from './verifier.js';
+import { resolveMechanics } from './mechanics.js';
+
+/**
+ * Fire every fire operation from the next cannon of a queue
+ * A shot with a tolerance lands as early in its window as its cannon allows. A shot that
+ * breaks a rule (see verifySchedule) fails and does not fire, and the next shot takes the
+ * same cannon: the exporters leave failed shots out, so the queue of the exported script
+ * only moves on for the shots it fires.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Array} queue - Cannon positions ({ row, col }) in firing order
+ * @param {Object} options - `scene`, `mechanics` and `pots` as for checkManualPlan
+ * @returns {Object} Result shaped like that of solveReuse (`operations`, `successCount`,
+ *   `nextAvailable`), plus the `violations` of the failed shots and the `queue`
+ */
+export function simulateCobQueue(cannons, waves, queue, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+  const { operations, totalTime } = preprocessOperations(waves);
+  const fireOps = operations.filter(op => op.type === 'fire');
+  if (fireOps.length > 0 && (!Array.isArray(queue) || queue.length === 0)) {
+    throw new Error('Cob queue is empty');
+  }
+
+  const checkOptions = { ...options, mechanics };
+  const assignment = new Map();
+  const violations = [];
+  let turn = 0;
+  fireOps.forEach(op => {
+    const cannon = queue[turn % queue.length];
+    const shot = {
+      opIndex: op.originalIndex,
+      cannonRow: cannon.row,
+      cannonCol: cannon.col,
+      landTime: getEarliestLandTime(op, cannon, operations, assignment, checkOptions)
+    };
+
+    // Only the shots fired so far can conflict with this one
+    const found = verifySchedule(cannons, operations, [...assignment.values(), shot], checkOptions).violations
+      .filter(v => v.waveIndex === op.waveIndex && v.opIndex === op.opIndex);
+    if (found.length > 0) {
+      violations.push(...found);
+    } else {
+      assignment.set(op.originalIndex, shot);
+      turn++;
+    }
+  });
+
+  return {
+    ...buildCheckedResult(cannons, operations, totalTime, assignment, violations, checkOptions),
+    queue: queue.map(c => ({ row: c.row, col: c.col }))
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Cycle analysis for CobPlanner
+ * Most plans repeat a range of waves (e.g. a 6-wave cycle up to wave 20). The analysis
+ * looks for a steady-state assignment: one cannon per shot of the cycle such that the
+ * cycle can be fired again and again, the cannon state at its end feeding its start.
+ * When that assignment can follow the waves before the cycle, the cycle repeats
+ * indefinitely; otherwise the cycle is unrolled to count how often it can be repeated.
+ */
+
+import LogicSolver from 'logic-solver';
+import {
+  preprocessOperations,
+  solveCobReuse,
+  getFlyTime,
+  isCannonInSet,
+  isCannonInList,
+  parseTolerance,
+  addCooldownConstraints
+} from './solver.js';
+import { resolveMechanics } from './mechanics.js';
+
+// Repetitions unrolled when the steady state cannot be entered directly
+export const DEFAULT_MAX_REPETITIONS = 10;
+
+/**
+ * Analyze a range of waves that is repeated as a cycle
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} cycle - { start, end } indices of the first and last wave of the cycle
+ * @param {Object} options - Solve options (`scene`, `mechanics` and `encoding` are used)
+ *   and `maxRepetitions`, the most repetitions unrolled
+ * @returns {Object} { period, prefixSuccess, steadyState, repetitions } where steadyState is
+ *   { feasible, enterable, assignment } with one { waveIndex, opIndex, cannonRow, cannonCol,
+ *   fireTime, landTime } per shot (times relative to the cycle start), and repetitions is
+ *   Infinity when the steady state can be entered, else the number of complete repetitions
+ *   after the waves before the cycle (at most maxRepetitions)
+ */
+export function analyzeCycle(cannons, waves, cycle, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+  const { start, end } = cycle;
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= waves.length) {
+    throw new Error(`Invalid cycle: ${start}-${end}`);
+  }
+
+  // Card, pot and shovel operations leave the cannons alone and are not analyzed
+  const cycleWaves = waves.slice(start, end + 1);
+  if (cycleWaves.some(wave => (wave.operations || []).some(op => op.type === 'plant' || op.type === 'remove'))) {
+    throw new Error('Cycle waves must not plant or remove cannons');
+  }
+
+  const solveOptions = { scene: options.scene, mechanics, encoding: options.encoding };
+  const prefixWaves = waves.slice(0, start);
+  const period = cycleWaves.reduce((sum, wave) => sum + wave.duration, 0);
+
+  // Solve the waves before the cycle to learn when each cannon is ready again
+  const { operations: prefixOps, totalTime: cycleStart } = preprocessOperations(prefixWaves);
+  const prefixResult = solveCobReuse(cannons, prefixOps, solveOptions);
+  const prefixSuccess = prefixResult.failedOps.length === 0;
+  const entryCannons = getCannonsAtCycleStart(cannons, prefixOps, prefixResult.fireResults, mechanics);
+
+  // A cannon fires at most once per cooldown, so the assignment may need several
+  // repetitions before it repeats itself (cannons taking turns)
+  const maxRepetitions = options.maxRepetitions || DEFAULT_MAX_REPETITIONS;
+  const hasShots = cycleWaves.some(wave => (wave.operations || []).some(op => op.type === 'fire'));
+  const minLength = hasShots ? Math.ceil(mechanics.cooldown / period) : 1;
+  const maxLength = Math.max(minLength, maxRepetitions);
+  const context = { entryCannons, prefixWaves, cycleWaves, cycleStart, period, options: solveOptions };
+  const steadyState = (prefixSuccess && findSteadyState(context, minLength, maxLength, true)) ||
+    findSteadyState(context, minLength, maxLength, false) ||
+    { feasible: false, enterable: false, length: null, assignment: null };
+
+  const repetitions = steadyState.enterable
+    ? Infinity
+    : countRepetitions(cannons, prefixWaves, cycleWaves, maxRepetitions, solveOptions);
+
+  return {
+    period,
+    prefixSuccess,
+    steadyState,
+    repetitions
+  };
+}
+
+/**
+ * Replay the waves before the cycle into the cannons present at its start
+ * @returns {Array} { row, col, readyAt } per cannon, readyAt being the earliest fire time
+ */
+function getCannonsAtCycleStart(cannons, prefixOps, fireResults, mechanics) {
+  const present = cannons.map(c => ({ row: c.row, col: c.col, readyAt: -Infinity }));
+  prefixOps.forEach(op => {
+    if (op.type === 'plant') {
+      present.push({ row: op.row, col: op.targetCol, readyAt: op.absoluteTime + mechanics.plantReady });
+    } else if (op.type === 'remove') {
+      const index = present.findIndex(c => c.row === op.row && c.col === op.targetCol);
+      if (index !== -1) {
+        present.splice(index, 1);
+      }
+    }
+  });
+
+  fireResults.forEach(result => {
+    const cannon = present.find(c => c.row === result.cannonRow && c.col === result.cannonCol);
+    if (cannon) {
+      cannon.readyAt = Math.max(cannon.readyAt, result.fireTime + mechanics.cooldown);
+    }
+  });
+  return present;
+}
+
+/**
+ * Try the steady-state lengths in increasing order
+ * @returns {Object|null} { feasible, enterable, length, assignment } for the shortest length found
+ */
+function findSteadyState(context, minLength, maxLength, fromEntry) {
+  for (let length = minLength; length <= maxLength; length++) {
+    const assignment = solveSteadyState(context, length, fromEntry);
+    if (assignment) {
+      return { feasible: true, enterable: fromEntry, length, assignment };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an assignment of the cycle's shots that repeats itself every `length` repetitions
+ * Fire times are taken modulo `length` periods, and every variable gets a twin one such
+ * span later that must agree with it, so the ordinary cooldown encoding also sees the
+ * conflicts between the end of one span and the start of the next.
+ * @param {Object} context - Cannons at the cycle start, the waves and the solve options
+ * @param {number} length - Repetitions of the cycle before the assignment repeats
+ * @param {boolean} fromEntry - Also require each cannon to be ready at its first shot
+ * @returns {Array|null} Assignment per shot, or null when there is none
+ */
+function solveSteadyState(context, length, fromEntry) {
+  const { entryCannons, prefixWaves, cycleWaves, cycleStart, options } = context;
+  const { mechanics } = options;
+  const span = context.period * length;
+
+  // The shots of `length` repetitions, timed as right after the waves before the cycle
+  const unrolled = [...prefixWaves];
+  for (let r = 0; r < length; r++) {
+    unrolled.push(...cycleWaves);
+  }
+  const cycleOps = preprocessOperations(unrolled).operations
+    .filter(op => op.type === 'fire' && op.waveIndex >= prefixWaves.length);
+
+  const solver = new LogicSolver.Solver();
+  const cannonVars = {};
+  const operationVarsList = cycleOps.map((op, i) => {
+    const tolerance = parseTolerance(op.tolerance);
+    const operationVars = [];
+
+    entryCannons.forEach((cannon, j) => {
+      if (!isCannonInSet(cannon.row, cannon.col, op.columns)) return;
+      if (!isCannonInList(cannon.row, cannon.col, op.cannon)) return;
+
+      const flyTime = getFlyTime(cannon.col, op.targetCol, options.scene, mechanics);
+      for (let offset = tolerance.min; offset <= tolerance.max; offset++) {
+        const landTime = op.absoluteTime + offset;
+        const fireTime = landTime - flyTime;
+        if (fromEntry && fireTime < cannon.readyAt) continue;
+
+        const varName = `fire_${i}_${j}_${offset}`;
+        const phase = ((fireTime - cycleStart) % span + span) % span;
+        cannonVars[varName] = { cannonIndex: j, fireTime: phase, shotFireTime: fireTime, landTime };
+        cannonVars[`next_${varName}`] = { cannonIndex: j, fireTime: phase + span };
+        solver.require(LogicSolver.equiv(varName, `next_${varName}`));
+        operationVars.push(varName);
+      }
+    });
+
+    solver.require(LogicSolver.or(...operationVars));
+    return operationVars;
+  });
+
+  addCooldownConstraints(solver, cannonVars, options.encoding, mechanics.cooldown);
+
+  const solution = solver.solve();
+  if (!solution) {
+    return null;
+  }
+
+  return cycleOps.map((op, i) => {
+    const usedVar = operationVarsList[i].find(varName => solution.evaluate(varName));
+    const { cannonIndex, shotFireTime, landTime } = cannonVars[usedVar];
+    const cycleWave = op.waveIndex - prefixWaves.length;
+    return {
+      repetition: Math.floor(cycleWave / cycleWaves.length),
+      waveIndex: prefixWaves.length + cycleWave % cycleWaves.length,
+      opIndex: op.opIndex,
+      cannonRow: entryCannons[cannonIndex].row,
+      cannonCol: entryCannons[cannonIndex].col,
+      fireTime: shotFireTime - cycleStart,
+      landTime: landTime - cycleStart
+    };
+  });
+}
+
+/**
+ * Unroll the cycle after the waves before it and count the complete repetitions
+ * @returns {number} Repetitions whose shots all succeed, stopping at the first failure
+ */
+function countRepetitions(cannons, prefixWaves, cycleWaves, maxRepetitions, options) {
+  const unrolled = [...prefixWaves];
+  for (let r = 0; r < maxRepetitions; r++) {
+    unrolled.push(...cycleWaves);
+  }
+
+  const { operations } = preprocessOperations(unrolled);
+  const result = solveCobReuse(cannons, operations, { ...options, mode: 'prefix' });
+  if (result.failedOps.length === 0) {
+    return maxRepetitions;
+  }
+
+  // Repetitions before the one holding the earliest failed wave
+  const firstFailedWave = Math.min(...result.failedOps.map(index =>
+    operations.find(op => op.originalIndex === index).waveIndex));
+  return Math.max(0, Math.floor((firstFailedWave - prefixWaves.length) / cycleWaves.length));
+}
@@ -0,0 +1,113 @@
+/**
+ * Exporter registry for CobPlanner
+ * Every export format is an exporter: an `id`, the `label` the export dialog shows, the
+ * `options` it takes and a `generate` function. Ids are case-insensitive: they are stored
+ * and looked up in lower case. The dialog and CobPlannerAPI.export look
+ * formats up here, so a new format only needs a module calling registerExporter that is
+ * imported before the export is used.
+ *
+ * An option is { key, label, type: 'boolean', default }. generate(calculationResult,
+ * waves, options, field) returns the code, where options holds a value for every option
+ * and field is the field the plan starts from (`cannons`, `pots` and `scene`).
+ */
+
+import { generateAvZ2Code, generateAvZ2Script } from './avz2Export.js';
+import { generateAvZ1Code } from './avz1Export.js';
+
+const OPTION_TYPES = ['boolean'];
+
+const exporters = new Map();
+
+/**
+ * Get the form an id is stored in
+ */
+function normalizeId(id) {
+  return id.trim().toLowerCase();
+}
+
+/**
+ * Register an export format
+ * @param {Object} exporter - { id, label, options, generate } as described above
+ * @returns {Object} The registered exporter, with its id in lower case
+ */
+export function registerExporter(exporter) {
+  if (!exporter || typeof exporter.id !== 'string' || exporter.id.trim() === '') {
+    throw new Error('Exporter needs an id');
+  }
+  const id = normalizeId(exporter.id);
+  if (exporters.has(id)) {
+    throw new Error(`Exporter already registered: ${id}`);
+  }
+  if (typeof exporter.generate !== 'function') {
+    throw new Error(`Exporter ${id} needs a generate function`);
+  }
+
+  const options = exporter.options || [];
+  options.forEach(option => {
+    if (!option || typeof option.key !== 'string' || !OPTION_TYPES.includes(option.type)) {
+      throw new Error(`Invalid option for exporter ${id}: ${option && option.key}`);
+    }
+  });
+
+  const registered = { ...exporter, id, label: exporter.label || exporter.id, options };
+  exporters.set(id, registered);
+  return registered;
+}
+
+/**
+ * Get a registered export format
+ * @param {string} id - Format id, in any case
+ * @returns {Object|null} The exporter, or null when no format has the id
+ */
+export function getExporter(id) {
+  return (typeof id === 'string' && exporters.get(normalizeId(id))) || null;
+}
+
+/**
+ * Get every registered export format, in registration order
+ * @returns {Array} Exporters
+ */
+export function getExporters() {
+  return [...exporters.values()];
+}
+
+/**
+ * Resolve the option values of an export, filling in the defaults
+ * @param {Object} exporter - Registered exporter
+ * @param {Object} values - Given option values; unknown keys are dropped
+ * @returns {Object} A value for every option of the exporter
+ */
+export function resolveExportOptions(exporter, values = {}) {
+  const resolved = {};
+  exporter.options.forEach(option => {
+    const value = values && values[option.key];
+    resolved[option.key] = value === undefined ? option.default : value;
+  });
+  return resolved;
+}
+
+registerExporter({
+  id: 'avz2',
+  label: 'AvZ2 DSL',
+  options: [
+    { key: 'includeNotes', label: '导出备注（在 OnWave 前添加注释）', type: 'boolean', default: true },
+    { key: 'fullScript', label: '导出完整脚本（包含头文件、AScript() 与选卡）', type: 'boolean', default: false }
+  ],
+  generate(calculationResult, waves, options, field) {
+    if (options.fullScript) {
+      return generateAvZ2Script(calculationResult, waves, field, options.includeNotes);
+    }
+    return generateAvZ2Code(calculationResult, waves, options.includeNotes);
+  }
+});
+
+registerExporter({
+  id: 'avz1',
+  label: 'AvZ1',
+  options: [
+    { key: 'includeNotes', label: '导出备注（在每波前添加注释）', type: 'boolean', default: true }
+  ],
+  generate(calculationResult, waves, options, field) {
+    return generateAvZ1Code(calculationResult, waves, options.includeNotes, field.scene);
+  }
+});
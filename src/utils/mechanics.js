@@ -0,0 +1,71 @@
+/**
+ * Mechanics profiles for CobPlanner
+ * A profile holds the game constants the solver relies on, so game versions, modded
+ * builds or deliberate safety margins can be modeled without changing the solver
+ */
+
+/**
+ * Constants of the current game version (all times in cs)
+ */
+export const DEFAULT_MECHANICS = {
+  // Minimum interval between two fires of the same cannon
+  cooldown: 3475,
+  // Time from planting a cannon until it can fire
+  plantReady: 625,
+  // A cannon cannot fire this long before it is shoveled
+  shovelWindow: 204,
+  // Fly time in every scene except the roof
+  flyTime: 373,
+  // Roof fly times per cannon column: landing at or after minDropX takes minFlyTime
+  roofFlyTimes: [
+    { minDropX: 515, minFlyTime: 359 },
+    { minDropX: 499, minFlyTime: 362 },
+    { minDropX: 515, minFlyTime: 364 },
+    { minDropX: 499, minFlyTime: 367 },
+    { minDropX: 515, minFlyTime: 369 },
+    { minDropX: 499, minFlyTime: 372 },
+    { minDropX: 511, minFlyTime: 373 },
+    { minDropX: 511, minFlyTime: 373 }
+  ]
+};
+
+/**
+ * Named profiles that can be selected by id
+ */
+export const MECHANICS_PROFILES = {
+  default: DEFAULT_MECHANICS
+};
+
+const TIME_KEYS = ['cooldown', 'plantReady', 'shovelWindow', 'flyTime'];
+
+/**
+ * Resolve a mechanics setting into a complete profile
+ * @param {string|Object} mechanics - Profile id, or an object overriding some constants
+ *   of the default profile (e.g. { cooldown: 3480 }); the default profile when omitted
+ * @returns {Object} Complete mechanics profile
+ */
+export function resolveMechanics(mechanics) {
+  if (mechanics === undefined || mechanics === null) {
+    return DEFAULT_MECHANICS;
+  }
+
+  if (typeof mechanics === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(MECHANICS_PROFILES, mechanics)) {
+      throw new Error(`Unknown mechanics profile: ${mechanics}`);
+    }
+    return MECHANICS_PROFILES[mechanics];
+  }
+
+  const profile = { ...DEFAULT_MECHANICS, ...mechanics };
+  TIME_KEYS.forEach(key => {
+    // A zero cooldown would let a cannon fire twice at once
+    const min = key === 'cooldown' ? 1 : 0;
+    if (!Number.isInteger(profile[key]) || profile[key] < min) {
+      throw new Error(`Invalid mechanics value for ${key}: ${profile[key]}`);
+    }
+  });
+  if (!Array.isArray(profile.roofFlyTimes) || profile.roofFlyTimes.length !== 8) {
+    throw new Error('Invalid mechanics value for roofFlyTimes: expected 8 entries');
+  }
+  return profile;
+}
@@ -0,0 +1,75 @@
+/**
+ * Flower pots for CobPlanner
+ * On the roof every plant stands in a flower pot, so a cob needs pots in both of its
+ * tiles. Shoveling a cob leaves its pots behind unless they are shoveled as well.
+ * Tiles are "row-col" strings.
+ */
+
+import { SCENES } from './scenes.js';
+
+/**
+ * Check if plants need flower pots in a scene
+ * @param {string} scene - Scene id
+ * @returns {boolean} True on the roof
+ */
+export function sceneNeedsPots(scene) {
+  return !!(SCENES[scene] && SCENES[scene].roof);
+}
+
+/**
+ * Get the two tiles a cob takes up
+ * @param {number} row - Cob row
+ * @param {number} col - Cob column (its left tile)
+ * @returns {Array} Both tiles, left first
+ */
+export function getCobTiles(row, col) {
+  return [`${row}-${col}`, `${row}-${col + 1}`];
+}
+
+/**
+ * Get the tiles holding a flower pot before the first wave
+ * The initial cannons stand in pots, whether or not those tiles are listed.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} pots - Tiles with a pot ({ row, col })
+ * @returns {Set} Tiles with a pot
+ */
+export function getInitialPots(cannons, pots = []) {
+  const tiles = new Set((pots || []).map(pot => `${pot.row}-${pot.col}`));
+  cannons.forEach(cannon => {
+    getCobTiles(cannon.row, cannon.col).forEach(tile => tiles.add(tile));
+  });
+  return tiles;
+}
+
+/**
+ * Apply one operation to the flower pots
+ * A plant needs pots in both tiles, a card a pot in its tile, a pot needs an empty tile,
+ * and a remove with `removePots` shovels the pots after the cob. A doom-shroom takes the
+ * pot it stands in along with it.
+ * @param {Set} tiles - Tiles with a pot, updated in place
+ * @param {Object} op - Operation with `type`, `row`, `targetCol` and, for removes, `removePots`
+ * @returns {string|null} Tile that breaks the rule for a plant, card or pot, or null
+ */
+export function applyPotOperation(tiles, op) {
+  if (op.type === 'plant') {
+    return getCobTiles(op.row, op.targetCol).find(tile => !tiles.has(tile)) || null;
+  }
+  if (op.type === 'card') {
+    const tile = `${op.row}-${op.targetCol}`;
+    if (!tiles.has(tile)) {
+      return tile;
+    }
+    if (op.card === 'doom') {
+      tiles.delete(tile);
+    }
+  } else if (op.type === 'pot') {
+    const tile = `${op.row}-${op.targetCol}`;
+    if (tiles.has(tile)) {
+      return tile;
+    }
+    tiles.add(tile);
+  } else if (op.type === 'remove' && op.removePots) {
+    getCobTiles(op.row, op.targetCol).forEach(tile => tiles.delete(tile));
+  }
+  return null;
+}
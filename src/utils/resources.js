@@ -0,0 +1,152 @@
+/**
+ * Card and sun tracking for CobPlanner
+ * Planting a cob takes more than its own card: the cob cannon is an upgrade that goes on
+ * two kernel-pults planted next to each other, and every card costs sun and needs to
+ * recharge before it can be used again. The model replays the plant, pot and card operations
+ * of a solved plan and reports the ones whose cards are not ready, and the sun each wave spends.
+ */
+
+/**
+ * Cost (sun) and recharge time (cs) of the cards a plan uses
+ */
+export const DEFAULT_CARDS = {
+  cob: { cost: 500, recharge: 5000 },
+  kernel: { cost: 100, recharge: 750 },
+  pot: { cost: 25, recharge: 750 },
+  ice: { cost: 75, recharge: 5000 },
+  jalapeno: { cost: 125, recharge: 5000 },
+  doom: { cost: 125, recharge: 5000 },
+  cherry: { cost: 150, recharge: 5000 }
+};
+
+/**
+ * Cards a 'card' operation can use; the others go with plant and pot operations
+ */
+export const OPERATION_CARDS = ['ice', 'jalapeno', 'doom', 'cherry'];
+
+/**
+ * Names of the cards as the pages show them
+ */
+export const CARD_LABELS = {
+  cob: '玉米炮',
+  kernel: '玉米投手',
+  pot: '花盆',
+  ice: '寒冰菇',
+  jalapeno: '火爆辣椒',
+  doom: '毁灭菇',
+  cherry: '樱桃炸弹'
+};
+
+/**
+ * Resolve card settings into complete cards
+ * @param {Object} cards - Per card overrides of `cost` and `recharge`, e.g. { cob: { recharge: 3000 } }
+ * @returns {Object} Complete cards
+ */
+export function resolveCards(cards = {}) {
+  const resolved = {};
+  Object.keys(DEFAULT_CARDS).forEach(key => {
+    resolved[key] = { ...DEFAULT_CARDS[key], ...(cards && cards[key]) };
+    ['cost', 'recharge'].forEach(field => {
+      if (!Number.isInteger(resolved[key][field]) || resolved[key][field] < 0) {
+        throw new Error(`Invalid card value for ${key}.${field}: ${resolved[key][field]}`);
+      }
+    });
+  });
+  return resolved;
+}
+
+/**
+ * Replay the card uses of a solved plan
+ * A plant uses the cob card at its time, after two uses of the kernel-pult card, which
+ * can only be planted once the tiles are free (after the cob standing there is shoveled).
+ * Kernel-pults are assumed to be planted as early as the card and the tiles allow. A pot
+ * operation uses the pot card and a card operation the card it names. Failed operations
+ * use no card.
+ * @param {Array} waves - Wave configuration
+ * @param {Object} solveResult - Result of solveReuse (its `operations` are used)
+ * @param {Object} options - `cards` overrides as for resolveCards
+ * @returns {Object} { conflicts, cardUses, waves, totalSun } where each conflict is
+ *   { card, waveIndex, opIndex, time, readyAt, conflictWith, message } for an operation whose
+ *   card is not ready, cardUses counts the uses per card and waves lists the `sun` spent in
+ *   each wave and the `cumulativeSun` up to its end
+ */
+export function analyzeResources(waves, solveResult, options = {}) {
+  const cards = resolveCards(options.cards);
+  const operations = solveResult.operations
+    .filter(op => op.success !== false)
+    .sort((a, b) => a.absoluteTime - b.absoluteTime);
+
+  const conflicts = [];
+  const cardUses = {};
+  const lastUse = {};
+  Object.keys(cards).forEach(card => {
+    cardUses[card] = 0;
+    lastUse[card] = null;
+  });
+  const waveSun = waves.map(() => 0);
+
+  const use = (card, op, time) => {
+    cardUses[card]++;
+    lastUse[card] = { time, op };
+    if (op.waveIndex < waveSun.length) {
+      waveSun[op.waveIndex] += cards[card].cost;
+    }
+  };
+  const check = (card, op, readyAt, message, previous = lastUse[card]) => {
+    conflicts.push({
+      card,
+      waveIndex: op.waveIndex,
+      opIndex: op.opIndex,
+      time: op.absoluteTime,
+      readyAt,
+      conflictWith: previous ? { waveIndex: previous.op.waveIndex, opIndex: previous.op.opIndex } : null,
+      message
+    });
+  };
+  const readyAt = card => (lastUse[card] ? lastUse[card].time + cards[card].recharge : -Infinity);
+
+  operations.forEach(op => {
+    if (op.type === 'plant') {
+      // The tiles are free once the last cob overlapping them is shoveled
+      const freedAt = operations
+        .filter(o => o.type === 'remove' && o.row === op.row && Math.abs(o.targetCol - op.targetCol) <= 1 &&
+          o.absoluteTime <= op.absoluteTime)
+        .reduce((latest, o) => Math.max(latest, o.absoluteTime), -Infinity);
+
+      // The second kernel-pult is the later one, so it alone can be too late
+      const previous = lastUse.kernel;
+      use('kernel', op, Math.max(freedAt, readyAt('kernel')));
+      const secondKernel = Math.max(freedAt, readyAt('kernel'));
+      if (secondKernel > op.absoluteTime) {
+        check('kernel', op, secondKernel, `Kernel-pult card is ready at ${secondKernel}, after the cob is planted at ${op.absoluteTime}`, previous);
+      }
+      use('kernel', op, secondKernel);
+
+      if (readyAt('cob') > op.absoluteTime) {
+        check('cob', op, readyAt('cob'), `Cob cannon card is recharging until ${readyAt('cob')}`);
+      }
+      use('cob', op, op.absoluteTime);
+    } else if (op.type === 'pot') {
+      if (readyAt('pot') > op.absoluteTime) {
+        check('pot', op, readyAt('pot'), `Flower pot card is recharging until ${readyAt('pot')}`);
+      }
+      use('pot', op, op.absoluteTime);
+    } else if (op.type === 'card' && cards[op.card]) {
+      if (readyAt(op.card) > op.absoluteTime) {
+        check(op.card, op, readyAt(op.card), `Card ${op.card} is recharging until ${readyAt(op.card)}`);
+      }
+      use(op.card, op, op.absoluteTime);
+    }
+  });
+
+  let cumulativeSun = 0;
+  return {
+    conflicts,
+    cardUses,
+    waves: waveSun.map(sun => {
+      cumulativeSun += sun;
+      return { sun, cumulativeSun };
+    }),
+    totalSun: cumulativeSun
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Robustness check for CobPlanner
+ * Natural waves vary in length (e.g. 601 normally, 2500 when a refresh fails), which moves
+ * every later wave and every `w`-relative time. The check keeps the cannon assignment of a
+ * solved plan fixed, finds the worst combination of candidate wave durations for every shot
+ * and reports which durations break which shots.
+ */
+
+import { preprocessOperations, getFlyTime } from './solver.js';
+import { resolveMechanics } from './mechanics.js';
+
+/**
+ * Parse the candidate durations of a wave (e.g., "601 2500" or "601 1200~1300")
+ * A range contributes its two ends: with the assignment fixed, every margin is a difference
+ * of times that are linear in the durations (apart from rounding), so its extremes lie at
+ * the ends of each range.
+ * @param {string} durations - Space separated durations and ranges; empty means none
+ * @returns {Array} Candidate durations
+ */
+export function parseDurations(durations) {
+  if (durations === undefined || durations === null || durations.toString().trim() === '') {
+    return [];
+  }
+
+  return durations.toString().trim().split(/\s+/).flatMap(part => {
+    const match = part.match(/^(\d+)(?:~(\d+))?$/);
+    const start = match ? Number(match[1]) : NaN;
+    const end = match && match[2] !== undefined ? Number(match[2]) : start;
+    if (!match || start < 1 || start > end) {
+      throw new Error(`Invalid durations: ${durations}`);
+    }
+    return start === end ? [start] : [start, end];
+  });
+}
+
+/**
+ * Get every duration a wave is checked with, its nominal duration included
+ * @param {Object} wave - Wave with `duration` and optional `durations`
+ * @returns {Array} Sorted unique durations
+ */
+export function getDurationCandidates(wave) {
+  return [...new Set([wave.duration, ...parseDurations(wave.durations)])].sort((a, b) => a - b);
+}
+
+/**
+ * Check if any wave has candidate durations besides its nominal one
+ * @param {Array} waves - Wave configuration
+ * @returns {boolean} True if a robustness check has something to vary
+ */
+export function hasDurationCandidates(waves) {
+  return waves.some(wave => getDurationCandidates(wave).length > 1);
+}
+
+/**
+ * Find the worst case of a solved plan over every combination of candidate wave durations
+ * With the cannon assignment fixed, each margin is the difference of two event times plus a
+ * constant, and an event time is the sum of the durations of the waves before it plus a term
+ * depending on the duration of its own wave. The margin is thus a sum of one term per wave,
+ * and its worst case takes the worst candidate of each wave independently, so the check
+ * never enumerates the combinations.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration with optional `durations` per wave
+ * @param {Object} solveResult - Result of solveReuse for the nominal durations
+ * @param {Object} options - Solve options (`scene` and `mechanics` are used)
+ * @returns {Object} { robust, combinations, failures, worstCase } where combinations counts
+ *   the combinations covered, each failure lists the `durations` per wave of a worst case and
+ *   the `shots` ({ waveIndex, opIndex, reason, margin, conflictWith }) that break worst in it,
+ *   and worstCase is the shot with the smallest margin over all combinations
+ */
+export function checkRobustness(cannons, waves, solveResult, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+  const candidates = waves.map(getDurationCandidates);
+  const combinations = candidates.reduce((count, durations) => count * durations.length, 1);
+
+  // Worst margin of every shot, over its constraints and all combinations
+  const shots = [];
+  collectConstraints(cannons, waves, solveResult, options.scene, mechanics).forEach(constraint => {
+    const { margin, durations } = constraint.earlier
+      ? getWorstCase(constraint, waves, candidates)
+      : { margin: constraint.offset, durations: waves.map(wave => wave.duration) };
+    const shot = shots.find(s => s.waveIndex === constraint.waveIndex && s.opIndex === constraint.opIndex);
+    if (!shot) {
+      shots.push({ durations, ...pickShot(constraint), margin });
+    } else if (margin < shot.margin) {
+      Object.assign(shot, { durations, ...pickShot(constraint), margin });
+    }
+  });
+
+  // Broken shots grouped by the combination they break worst in
+  const failures = [];
+  shots.filter(shot => shot.margin < 0).forEach(({ durations, ...shot }) => {
+    const failure = failures.find(f => f.durations.join(',') === durations.join(','));
+    if (failure) {
+      failure.shots.push(shot);
+    } else {
+      failures.push({ durations, shots: [shot] });
+    }
+  });
+
+  return {
+    robust: failures.length === 0,
+    combinations,
+    failures,
+    worstCase: shots.reduce((worst, shot) => (worst === null || shot.margin < worst.margin ? shot : worst), null)
+  };
+}
+
+/**
+ * Get the fields of a shot result from a constraint
+ */
+function pickShot({ waveIndex, opIndex, reason, conflictWith }) {
+  return { waveIndex, opIndex, reason, conflictWith };
+}
+
+/**
+ * Minimize the margin of a constraint over the candidate durations, one wave at a time
+ * Among equally bad candidates the nominal duration is kept.
+ * @returns {Object} { margin, durations }
+ */
+function getWorstCase(constraint, waves, candidates) {
+  let margin = constraint.offset;
+  const durations = waves.map((wave, i) => {
+    const term = duration => getEventTerm(constraint.later, i, duration) - getEventTerm(constraint.earlier, i, duration);
+    const worst = candidates[i].reduce((best, duration) => (term(duration) < term(best) ? duration : best), wave.duration);
+    margin += term(worst);
+    return worst;
+  });
+  return { margin, durations };
+}
+
+/**
+ * Get the part of an event's absolute time that depends on the duration of one wave
+ */
+function getEventTerm(event, waveIndex, duration) {
+  if (waveIndex < event.waveIndex) {
+    return duration;
+  }
+  return waveIndex === event.waveIndex ? evaluateTime(event.time, duration) : 0;
+}
+
+/**
+ * Evaluate an operation time expression within its wave, as preprocessOperations does
+ */
+function evaluateTime(time, duration) {
+  try {
+    const value = Math.floor(Function(`return ${time.toString().replace(/w/g, duration)}`)());
+    return isFinite(value) ? value : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Collect the constraints every planned shot has to keep, with the cannons of the nominal plan
+ * Every shot keeps its cannon and its offset within any tolerance window. A constraint's
+ * margin is `later - earlier + offset`, where `later` and `earlier` are events ({ waveIndex,
+ * time }) whose absolute times move with the durations; a shot without any cannon gets a
+ * constraint without events and a margin of -Infinity.
+ * @returns {Array} { waveIndex, opIndex, reason, conflictWith, later, earlier, offset } per constraint
+ */
+function collectConstraints(cannons, waves, solveResult, scene, mechanics) {
+  const { operations } = preprocessOperations(waves);
+  const plannedShots = new Map();
+  solveResult.operations.forEach(op => {
+    if (op.type === 'fire' && op.success) {
+      plannedShots.set(`${op.waveIndex}-${op.opIndex}`, op);
+    }
+  });
+
+  // Cannon instances, as the solver builds them
+  const instances = cannons.map(c => ({ row: c.row, col: c.col, fires: [] }));
+  const shots = [];
+  operations.forEach(op => {
+    const event = { waveIndex: op.waveIndex, time: op.time };
+    if (op.type === 'plant') {
+      instances.push({ row: op.row, col: op.targetCol, plantTime: op.absoluteTime, plant: event, fires: [] });
+    } else if (op.type === 'remove') {
+      const instance = instances.find(c => c.row === op.row && c.col === op.targetCol && c.remove === undefined);
+      if (instance) {
+        instance.remove = event;
+      }
+    } else if (op.type === 'fire') {
+      const planned = plannedShots.get(`${op.waveIndex}-${op.opIndex}`);
+      if (!planned) return;
+
+      // Fire time relative to the operation time
+      const fireOffset = (typeof planned.landTime === 'number' ? planned.landTime - planned.absoluteTime : 0) -
+        getFlyTime(planned.cannonCol, op.targetCol, scene, mechanics);
+      shots.push({ op, event, row: planned.cannonRow, col: planned.cannonCol, fireTime: op.absoluteTime + fireOffset, fireOffset });
+    }
+  });
+
+  const constraints = [];
+  shots.sort((a, b) => a.fireTime - b.fireTime).forEach(shot => {
+    const add = (reason, later, earlier, offset, conflictWith = null) => {
+      constraints.push({ waveIndex: shot.op.waveIndex, opIndex: shot.op.opIndex, reason, conflictWith, later, earlier, offset });
+    };
+
+    // The latest cannon planted at the position by fire time, else the first one there
+    const atPosition = instances.filter(c => c.row === shot.row && c.col === shot.col);
+    const planted = atPosition.filter(c => c.plantTime === undefined || c.plantTime <= shot.fireTime);
+    const instance = planted.length > 0 ? planted[planted.length - 1] : atPosition[0];
+    if (!instance) {
+      add('not-planted', null, null, -Infinity);
+      return;
+    }
+
+    if (instance.plant) {
+      add('not-planted', shot.event, instance.plant, shot.fireOffset - mechanics.plantReady);
+    }
+    if (instance.remove) {
+      add('removed', instance.remove, shot.event, -mechanics.shovelWindow - 1 - shot.fireOffset);
+    }
+    const previous = instance.fires[instance.fires.length - 1];
+    if (previous) {
+      add('cooldown', shot.event, previous.event, shot.fireOffset - previous.fireOffset - mechanics.cooldown,
+        { waveIndex: previous.op.waveIndex, opIndex: previous.op.opIndex });
+    }
+    instance.fires.push(shot);
+  });
+
+  return constraints;
+}
@@ -0,0 +1,39 @@
+/**
+ * Scene definitions for CobPlanner
+ * A scene fixes the number of rows on the field and how cob fly time is computed
+ */
+
+/**
+ * Supported scenes, keyed by id
+ * Only the roof has column-dependent fly times; every other scene uses a constant
+ */
+export const SCENES = {
+  day: { name: '白天', rows: 5, roof: false },
+  night: { name: '黑夜', rows: 5, roof: false },
+  pool: { name: '泳池', rows: 6, roof: false },
+  fog: { name: '浓雾', rows: 6, roof: false },
+  roof: { name: '屋顶', rows: 5, roof: true }
+};
+
+/**
+ * Scene assumed by data saved before scenes existed
+ */
+export const DEFAULT_SCENE = 'roof';
+
+/**
+ * Check if a scene id is supported
+ * @param {string} scene - Scene id
+ * @returns {boolean} True if the scene exists
+ */
+export function isValidScene(scene) {
+  return Object.prototype.hasOwnProperty.call(SCENES, scene);
+}
+
+/**
+ * Get the number of rows of a scene
+ * @param {string} scene - Scene id
+ * @returns {number} Row count, falling back to the default scene
+ */
+export function getSceneRows(scene) {
+  return (SCENES[scene] || SCENES[DEFAULT_SCENE]).rows;
+}
@@ -1,30 +1,29 @@
 import LogicSolver from 'logic-solver';
+import { DEFAULT_SCENE, SCENES } from './scenes.js';
+import { DEFAULT_MECHANICS, resolveMechanics } from './mechanics.js';
+import { sceneNeedsPots, getInitialPots, applyPotOperation } from './pots.js';
+import { findBlockedTile, applyCrater } from './tiles.js';
 
 // Get the Solver constructor and utility functions
 const Solver = LogicSolver.Solver;
 const Logic = {
   or: LogicSolver.or,
   and: LogicSolver.and,
-  not: LogicSolver.not
+  not: LogicSolver.not,
+  equiv: LogicSolver.equiv
 };
 
+// Objectives accepted by solveCobReuse, see optimizeAssignment
+const OBJECTIVES = ['nextAvailable', 'flyTime', 'fewestCannons', 'priority'];
+
 // Calculate the fly time for a cob cannon
-export function getRoofFlyTime(cobCol, dropCol) {
+export function getRoofFlyTime(cobCol, dropCol, mechanics = DEFAULT_MECHANICS) {
   // Validate cannon column range
   if (cobCol < 1 || cobCol > 8) {
     throw new Error(`Invalid cannon column: ${cobCol}. Must be between 1 and 8.`);
   }
 
-  const flyTimeData = [
-    { minDropX: 515, minFlyTime: 359 },
-    { minDropX: 499, minFlyTime: 362 },
-    { minDropX: 515, minFlyTime: 364 },
-    { minDropX: 499, minFlyTime: 367 },
-    { minDropX: 515, minFlyTime: 369 },
-    { minDropX: 499, minFlyTime: 372 },
-    { minDropX: 511, minFlyTime: 373 },
-    { minDropX: 511, minFlyTime: 373 }
-  ];
+  const flyTimeData = mechanics.roofFlyTimes;
 
   const dropX = Math.floor(dropCol * 80);
   const minDropX = flyTimeData[cobCol - 1].minDropX;
@@ -40,7 +39,16 @@ export function getRoofFlyTime(cobCol, dropCol) {
   }
 }
 
+// Calculate the fly time for a cob cannon in the given scene
+export function getFlyTime(cobCol, dropCol, scene = DEFAULT_SCENE, mechanics = DEFAULT_MECHANICS) {
+  if (!SCENES[scene]) {
+    throw new Error(`Unknown scene: ${scene}`);
+  }
+  return SCENES[scene].roof ? getRoofFlyTime(cobCol, dropCol, mechanics) : mechanics.flyTime;
+}
+
 // Convert relative times to absolute times and sort operations
+// Every operation keeps its `time` expression, which the exporters emit as it was entered
 export function preprocessOperations(waves) {
   let absoluteTime = 0;
   let operations = [];
@@ -84,38 +92,131 @@ export function preprocessOperations(waves) {
   });
 
   // Sort operations by absolute time
-  operations.sort((a, b) => a.absoluteTime - b.absoluteTime);
+  operations.sort(compareOperations);
 
   return { operations, totalTime: absoluteTime };
 }
 
-// Check if a column is in the required set
-export function isColumnInSet(col, columnSet) {
-  if (!columnSet) return true;
+// Order of the operations at one time: removes and shovels, then pots, then plants and cards,
+// so a plant can use the tiles shoveled and potted at its time; fires come last, and
+// operations of the same rank keep their list order
+const SAME_TIME_RANKS = { remove: 0, shovel: 0, pot: 1, plant: 2, card: 2 };
 
-  // Parse the column set (e.g., "1-5 7" => columns 1,2,3,4,5,7)
-  const parts = columnSet.split(' ').filter(part => part.trim() !== '');
-  for (const part of parts) {
+// Compare two operations with absolute times by the order they happen in
+export function compareOperations(a, b) {
+  const rank = op => (op.type in SAME_TIME_RANKS ? SAME_TIME_RANKS[op.type] : 3);
+  return a.absoluteTime - b.absoluteTime || rank(a) - rank(b);
+}
+
+// Split a cannon set into its row and column parts
+// (e.g., "r1-2 c3-5 7" => rows ["1-2"], columns ["3-5", "7"]; unprefixed parts are columns)
+function splitCannonSet(cannonSet) {
+  const rows = [];
+  const columns = [];
+  cannonSet.split(' ').filter(part => part.trim() !== '').forEach(part => {
     const trimmedPart = part.trim();
-    if (trimmedPart.includes('-')) {
-      const rangeParts = trimmedPart.split('-');
+    const prefix = trimmedPart[0].toLowerCase();
+    if (prefix === 'r') {
+      rows.push(trimmedPart.slice(1));
+    } else if (prefix === 'c') {
+      columns.push(trimmedPart.slice(1));
+    } else {
+      columns.push(trimmedPart);
+    }
+  });
+  return { rows, columns };
+}
+
+// Check if a value matches any of the values or ranges (e.g., ["1-5", "7"])
+function isInRanges(value, parts) {
+  for (const part of parts) {
+    if (part.includes('-')) {
+      const rangeParts = part.split('-');
       if (rangeParts.length !== 2 || rangeParts[0] === '' || rangeParts[1] === '') continue; // Skip invalid ranges
       
       const [start, end] = rangeParts.map(Number);
       if (isNaN(start) || isNaN(end)) continue; // Skip non-numeric ranges
       
-      if (col >= start && col <= end) return true;
+      if (value >= start && value <= end) return true;
     } else {
-      const num = parseInt(trimmedPart);
-      if (!isNaN(num) && col === num) return true;
+      const num = parseInt(part);
+      if (!isNaN(num) && value === num) return true;
     }
   }
 
   return false;
 }
 
+// Check if a column is in the required set
+export function isColumnInSet(col, columnSet) {
+  if (!columnSet) return true;
+
+  // Parse the column set (e.g., "1-5 7" => columns 1,2,3,4,5,7); no column parts means any column
+  const { columns } = splitCannonSet(columnSet);
+  return columns.length === 0 || isInRanges(col, columns);
+}
+
+// Check if a row is in the required set (e.g., "r1-2 c3-5" => rows 1,2); no row parts means any row
+export function isRowInSet(row, cannonSet) {
+  if (!cannonSet) return true;
+
+  const { rows } = splitCannonSet(cannonSet);
+  return rows.length === 0 || isInRanges(row, rows);
+}
+
+// Check if a cannon matches both the row and the column parts of the required set
+export function isCannonInSet(row, col, cannonSet) {
+  return isRowInSet(row, cannonSet) && isColumnInSet(col, cannonSet);
+}
+
+// Check if a cannon is in the pinned cannon list
+export function isCannonInList(row, col, cannonList) {
+  if (!cannonList || cannonList.trim() === '') return true;
+
+  // A malformed list matches no cannon
+  const pinned = parseCannonList(cannonList);
+  return !!pinned && pinned.some(cannon => cannon.row === row && cannon.col === col);
+}
+
+// Parse a cannon list into cannons, or null when a part is not "row-col"
+// (e.g., "3-1  4-1" => [{ row: 3, col: 1 }, { row: 4, col: 1 }], "" => [])
+export function parseCannonList(cannonList) {
+  const parts = (cannonList || '').trim().split(/\s+/).filter(part => part !== '');
+  const cannons = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+)-(\d+)$/);
+    if (!match) return null;
+    cannons.push({ row: Number(match[1]), col: Number(match[2]) });
+  }
+  return cannons;
+}
+
+// Parse the landing time tolerance of a fire operation into offsets from its time
+// (e.g., "" => exact, "15" => -15 to 15, "0~15" => 0 to 15)
+export function parseTolerance(tolerance) {
+  if (tolerance === undefined || tolerance === null || tolerance.toString().trim() === '') {
+    return { min: 0, max: 0 };
+  }
+
+  const text = tolerance.toString().trim();
+  const range = text.match(/^(-?\d+)\s*~\s*(-?\d+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    if (min <= max) {
+      return { min, max };
+    }
+  } else if (/^\d+$/.test(text)) {
+    return { min: -Number(text), max: Number(text) };
+  }
+
+  throw new Error(`Invalid tolerance: ${tolerance}`);
+}
+
 // Main solver function
-export function solveCobReuse(initialCannons, operations) {
+export function solveCobReuse(initialCannons, operations, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+
   // Track the state of each cannon
   let cannons = initialCannons.map(c => ({
     ...c,
@@ -133,8 +234,9 @@ export function solveCobReuse(initialCannons, operations) {
         col: op.targetCol,
         available: false,
         plantTime: op.absoluteTime,
+        plantOpIndex: op.originalIndex,
         lastUsed: -Infinity,
-        nextAvailable: op.absoluteTime + 625
+        nextAvailable: op.absoluteTime + mechanics.plantReady
       };
       cannons.push(newCannon);
     } else if (op.type === 'remove') {
@@ -143,6 +245,7 @@ export function solveCobReuse(initialCannons, operations) {
       if (cannonIndex !== -1) {
         cannons[cannonIndex].available = false;
         cannons[cannonIndex].removeTime = op.absoluteTime;
+        cannons[cannonIndex].removeOpIndex = op.originalIndex;
       }
     }
   }
@@ -154,115 +257,186 @@ export function solveCobReuse(initialCannons, operations) {
     return {
       successCount: 0,
       fireResults: [],
-      nextAvailableTimes: calculateNextAvailableTimes(cannons)
+      failedOps: [],
+      nextAvailableTimes: calculateNextAvailableTimes(cannons, options.scene, mechanics)
     };
   }
 
   // Build the complete SAT problem with ALL variables and time constraints
   const solver = new Solver();
   const cannonVars = {};
+  const operationVarsList = fireOps.map(() => []);
 
   // Generate variables for ALL fire operations
   for (let i = 0; i < fireOps.length; i++) {
     const op = fireOps[i];
+    const tolerance = parseTolerance(op.tolerance);
 
     // Find valid cannons for this fire operation
     for (let j = 0; j < cannons.length; j++) {
       const cannon = cannons[j];
+      if (!isCannonInSet(cannon.row, cannon.col, op.columns)) continue;
+      if (!isCannonInList(cannon.row, cannon.col, op.cannon)) continue;
 
-      // Calculate the fire time first
-      const fireTime = op.absoluteTime - getRoofFlyTime(cannon.col, op.targetCol);
-
-      // Check if cannon is valid for this operation based on fire time
-      const isValid = (
-        // Cannon must be in the required column set
-        isColumnInSet(cannon.col, op.columns) &&
-        // Cannon must be planted and available by fire time
-        (cannon.plantTime === undefined || cannon.plantTime + 625 <= fireTime) &&
-        // Cannon must not be removed or unavailable by fire time
-        (cannon.removeTime === undefined || cannon.removeTime - 204 > fireTime)
-      );
+      const flyTime = getFlyTime(cannon.col, op.targetCol, options.scene, mechanics);
 
-      if (isValid) {
-        // Create a variable for this cannon-operation pair
-        const varName = `fire_${i}_${j}`;
-        cannonVars[varName] = { opIndex: i, cannonIndex: j, fireTime };
-      }
-    }
-  }
-
-  // Add ALL time constraints between operations
-  for (const varName1 in cannonVars) {
-    const { cannonIndex: ci1, fireTime: ft1 } = cannonVars[varName1];
+      // Every landing time in the tolerance window is a separate choice
+      for (let offset = tolerance.min; offset <= tolerance.max; offset++) {
+        const landTime = op.absoluteTime + offset;
+        const fireTime = landTime - flyTime;
 
-    for (const varName2 in cannonVars) {
-      if (varName1 !== varName2) {
-        const { cannonIndex: ci2, fireTime: ft2 } = cannonVars[varName2];
+        // Check if cannon is valid for this operation based on fire time
+        const isValid = (
+          // Cannon must be planted and available by fire time
+          (cannon.plantTime === undefined || cannon.plantTime + mechanics.plantReady <= fireTime) &&
+          // Cannon must not be removed or unavailable by fire time
+          (cannon.removeTime === undefined || cannon.removeTime - mechanics.shovelWindow > fireTime)
+        );
 
-        // If same cannon and fire times are too close, add constraint
-        if (ci1 === ci2 && Math.abs(ft1 - ft2) < 3475) {
-          solver.forbid(Logic.and(varName1, varName2));
+        if (isValid) {
+          // Create a variable for this cannon-operation-time choice
+          const varName = `fire_${i}_${j}_${offset}`;
+          cannonVars[varName] = { opIndex: i, cannonIndex: j, fireTime, flyTime, landTime };
+          operationVarsList[i].push(varName);
         }
       }
     }
   }
 
+  // Add ALL time constraints between operations
+  addCooldownConstraints(solver, cannonVars, options.encoding, mechanics.cooldown);
+
+  // Rule out assignments seen before, so the solve has to find an alternative
+  const positionVars = options.exclude || options.findForced
+    ? addPositionVars(solver, cannons, cannonVars, operationVarsList)
+    : null;
+  (options.exclude || []).forEach(assignment => {
+    excludeAssignment(solver, fireOps, positionVars, assignment);
+  });
+
   // Incrementally add operation constraints
   const fireResults = [];
-  let successCount = 0;
+  const mode = options.mode || 'prefix';
+  if (options.objective && !OBJECTIVES.includes(options.objective)) {
+    throw new Error(`Unknown objective: ${options.objective}`);
+  }
+  const satisfied = fireOps.map(() => false);
+  const reportProgress = (processed) => {
+    if (options.onProgress) {
+      options.onProgress({ processed, total: fireOps.length });
+    }
+  };
   let lastSolution = null;
 
-  for (let i = 0; i < fireOps.length; i++) {
-    // Find variables for this operation
-    const operationVars = Object.keys(cannonVars)
-      .filter(varName => cannonVars[varName].opIndex === i);
+  if (mode === 'prefix') {
+    // Stop at the first operation that cannot be added
+    for (let i = 0; i < fireOps.length; i++) {
+      const operationVars = operationVarsList[i];
 
-    if (operationVars.length === 0) {
-      // No valid cannons for this operation, stop here
-      break;
+      if (operationVars.length === 0) {
+        // No valid cannons for this operation, stop here
+        break;
+      }
+
+      // Test if the problem is still satisfiable with this operation's constraint
+      const newConstraint = Logic.or(...operationVars);
+      const solution = solver.solveAssuming(newConstraint);
+      
+      if (!solution) {
+        // Adding this constraint would make the problem unsatisfiable, stop here
+        break;
+      }
+
+      // Successfully added this operation
+      solver.require(newConstraint);
+      lastSolution = solution;
+      satisfied[i] = true;
+      reportProgress(i + 1);
     }
+  } else if (mode === 'skip') {
+    // Leave out every operation that cannot be added and keep going
+    for (let i = 0; i < fireOps.length; i++) {
+      reportProgress(i);
+      const operationVars = operationVarsList[i];
+      if (operationVars.length === 0) continue;
+
+      const newConstraint = Logic.or(...operationVars);
+      const solution = solver.solveAssuming(newConstraint);
+      if (!solution) continue;
+
+      solver.require(newConstraint);
+      lastSolution = solution;
+      satisfied[i] = true;
+    }
+  } else if (mode === 'maximize') {
+    // Each selector demands its operation; maximize the number of true selectors
+    const selectors = [];
+    operationVarsList.forEach((operationVars, i) => {
+      if (operationVars.length === 0) return;
+      const selector = `satisfy_${i}`;
+      solver.require(Logic.or(Logic.not(selector), ...operationVars));
+      selectors.push(selector);
+    });
 
-    // Add this operation's constraint
-    const newConstraint = Logic.or(...operationVars);
-    solver.require(newConstraint);
-    
-    // Test if the problem is still satisfiable
     const solution = solver.solve();
-    
-    if (!solution) {
-      // Adding this constraint made the problem unsatisfiable, stop here
-      break;
+    if (solution) {
+      lastSolution = solver.minimizeWeightedSum(
+        solution,
+        selectors.map(selector => Logic.not(selector)),
+        selectors.map(() => 1)
+      );
+      operationVarsList.forEach((operationVars, i) => {
+        satisfied[i] = operationVars.some(varName => lastSolution.evaluate(varName));
+      });
     }
+  } else {
+    throw new Error(`Unknown solve mode: ${mode}`);
+  }
+  reportProgress(fireOps.length);
+
+  // Find the shots that have a single possible cannon before the objective fixes every choice
+  const forced = options.findForced && lastSolution
+    ? findForcedOperations(solver, cannons, cannonVars, operationVarsList, positionVars, satisfied, lastSolution)
+    : null;
 
-    // Successfully added this operation
-    lastSolution = solution;
-    successCount++;
+  // Among the assignments that satisfy the same operations, pick the best one
+  if (options.objective && lastSolution) {
+    lastSolution = optimizeAssignment(solver, cannons, cannonVars, operationVarsList, satisfied, lastSolution, options);
   }
 
   // Use the last successful solution
   const finalSolution = lastSolution;
   
+  const assignments = [];
   if (finalSolution) {
     // Extract fire results from the final solution
-    for (let i = 0; i < successCount; i++) {
-      const op = fireOps[i];
-      const operationVars = Object.keys(cannonVars)
-        .filter(varName => cannonVars[varName].opIndex === i);
+    for (let i = 0; i < fireOps.length; i++) {
+      if (!satisfied[i]) continue;
 
-      const usedVar = operationVars.find(varName => finalSolution.evaluate(varName));
+      const op = fireOps[i];
+      const usedVar = operationVarsList[i].find(varName => finalSolution.evaluate(varName));
       if (usedVar) {
-        const { cannonIndex, fireTime } = cannonVars[usedVar];
+        const { cannonIndex, fireTime, landTime } = cannonVars[usedVar];
 
         fireResults.push({
           opIndex: op.originalIndex,
           cannonRow: cannons[cannonIndex].row,
           cannonCol: cannons[cannonIndex].col,
-          fireTime
+          fireTime,
+          landTime,
+          ...(forced ? { forced: forced[i] } : {})
         });
+        assignments.push({ opIndex: i, cannonIndex, fireTime, landTime });
       }
     }
   }
 
+  // Report how much room every shot has
+  const slacks = calculateSlack(cannons, fireOps, assignments, options, mechanics);
+  fireResults.forEach((fireResult, index) => {
+    Object.assign(fireResult, slacks[index]);
+  });
+
   // Update cannon states based on final results
   cannons.forEach(cannon => {
     cannon.lastUsed = -Infinity;
@@ -275,20 +449,534 @@ export function solveCobReuse(initialCannons, operations) {
     }
   });
 
-  return {
+  const result = {
     successCount: fireResults.length,
     fireResults,
-    nextAvailableTimes: calculateNextAvailableTimes(cannons)
+    failedOps: fireOps.filter((op, i) => !satisfied[i]).map(op => op.originalIndex),
+    nextAvailableTimes: calculateNextAvailableTimes(cannons, options.scene, mechanics)
   };
+
+  // Explain why the first unsatisfiable fire operation failed
+  const firstFailed = satisfied.indexOf(false);
+  if (options.diagnose && firstFailed !== -1) {
+    result.diagnosis = diagnoseFailure(cannons, fireOps, cannonVars, firstFailed, satisfied, options, mechanics);
+  }
+
+  return result;
+}
+
+/**
+ * Add a variable per fire operation and cannon position that is true when the operation
+ * uses a cannon there (any planted instance, any landing time in its tolerance window)
+ * @param {Solver} solver - Solver to add the definitions to
+ * @param {Array} cannons - Cannon states built by solveCobReuse
+ * @param {Object} cannonVars - Variable table built by solveCobReuse
+ * @param {Array} operationVarsList - Candidate variables of each fire operation
+ * @returns {Array} Per fire operation, a Map from "row-col" to the position variable
+ */
+function addPositionVars(solver, cannons, cannonVars, operationVarsList) {
+  return operationVarsList.map((operationVars, i) => {
+    const varsByPosition = new Map();
+    operationVars.forEach(varName => {
+      const { row, col } = cannons[cannonVars[varName].cannonIndex];
+      const position = `${row}-${col}`;
+      if (!varsByPosition.has(position)) {
+        varsByPosition.set(position, []);
+      }
+      varsByPosition.get(position).push(varName);
+    });
+
+    const positionVars = new Map();
+    varsByPosition.forEach((vars, position) => {
+      const positionVar = `at_${i}_${position}`;
+      solver.require(Logic.equiv(positionVar, Logic.or(...vars)));
+      positionVars.set(position, positionVar);
+    });
+    return positionVars;
+  });
+}
+
+/**
+ * Forbid one assignment: at least one of its shots must use another cannon position
+ * @param {Solver} solver - Solver to add the constraint to
+ * @param {Array} fireOps - Fire operations sorted by absolute time
+ * @param {Array} positionVars - Position variables built by addPositionVars
+ * @param {Array} assignment - { waveIndex, opIndex, cannonRow, cannonCol } per shot
+ */
+function excludeAssignment(solver, fireOps, positionVars, assignment) {
+  const literals = assignment.map(shot => {
+    const i = fireOps.findIndex(op => op.waveIndex === shot.waveIndex && op.opIndex === shot.opIndex);
+    return i === -1 ? null : positionVars[i].get(`${shot.cannonRow}-${shot.cannonCol}`);
+  });
+
+  // A shot naming a position the operation cannot use already differs from every solution
+  if (literals.length > 0 && literals.every(literal => literal)) {
+    solver.forbid(Logic.and(...literals));
+  }
+}
+
+/**
+ * Find the fire operations whose cannon position is the same in every assignment that
+ * satisfies all kept operations
+ * @returns {Array} Per fire operation, true when it is satisfied and its position is forced
+ */
+function findForcedOperations(solver, cannons, cannonVars, operationVarsList, positionVars, satisfied, solution) {
+  // Every alternative must keep the operations that were satisfied
+  satisfied.forEach((isSatisfied, i) => {
+    if (isSatisfied) {
+      solver.require(Logic.or(...operationVarsList[i]));
+    }
+  });
+
+  return operationVarsList.map((operationVars, i) => {
+    if (!satisfied[i]) return false;
+
+    const usedVar = operationVars.find(varName => solution.evaluate(varName));
+    const { row, col } = cannons[cannonVars[usedVar].cannonIndex];
+    return !solver.solveAssuming(Logic.not(positionVars[i].get(`${row}-${col}`)));
+  });
+}
+
+/**
+ * Choose among the assignments that satisfy the same fire operations by an objective
+ * The objective is a weighted sum over cost terms of the chosen fire variables:
+ * - 'nextAvailable': the sum over cannons of their last fire time (unused cannons count
+ *   nothing), so the cannons are ready as early as possible once the plan is over
+ * - 'flyTime': the total fly time of the shots
+ * - 'fewestCannons': the number of cannon positions that fire at all
+ * - 'priority': the total rank of the cannons in `options.priority` (a list of
+ *   `{ row, col }`, most preferred first); unlisted cannons rank last
+ * An exact minimum takes exponential time on long plans, so the terms are ruled out one
+ * at a time, costliest first, whenever every kept operation stays satisfiable. The cost
+ * is minimized lexicographically (one costly term is never traded for several cheaper
+ * ones) with one solve per term.
+ * Operations are then fixed one at a time in time order, each to the earliest cannon in
+ * `options.priority` (or the field's cannon order), which gives a stable, repeatable choice.
+ * @param {Solver} solver - Solver holding the cooldown and operation constraints
+ * @param {Array} cannons - Cannon states built by solveCobReuse
+ * @param {Object} cannonVars - Variable table built by solveCobReuse
+ * @param {Array} operationVarsList - Candidate variables of each fire operation
+ * @param {Array} satisfied - Per fire operation flags of what the solver kept
+ * @param {Object} solution - A solution satisfying exactly those operations
+ * @param {Object} options - Solve options with `objective` and `priority`
+ * @returns {Object} The solution using the chosen cannons
+ */
+function optimizeAssignment(solver, cannons, cannonVars, operationVarsList, satisfied, solution, options) {
+  // Keep every operation that was satisfied, including those behind maximize selectors,
+  // and leave the others out so they cannot add to the cost
+  const candidates = [];
+  satisfied.forEach((isSatisfied, i) => {
+    if (isSatisfied) {
+      solver.require(Logic.or(...operationVarsList[i]));
+      candidates.push(...operationVarsList[i]);
+    } else if (operationVarsList[i].length > 0) {
+      solver.forbid(operationVarsList[i]);
+    }
+  });
+
+  const priority = options.priority || [];
+  const priorityRanks = cannons.map(cannon => {
+    const rank = priority.findIndex(p => p.row === cannon.row && p.col === cannon.col);
+    return rank === -1 ? priority.length : rank;
+  });
+
+  // Solve again so the solution covers the variables the objective adds
+  const { terms, weights } = buildObjective(solver, cannons, cannonVars, candidates, options.objective, priorityRanks);
+  let currentSolution = solver.solve();
+
+  // Rule out the costliest terms first; the sort is stable, so equal weights keep their order
+  const order = terms.map((term, k) => k).sort((a, b) => weights[b] - weights[a]);
+  order.forEach(k => {
+    const term = terms[k];
+    if (currentSolution.evaluate(term)) {
+      const nextSolution = solver.solveAssuming(Logic.not(term));
+      if (!nextSolution) return;
+      currentSolution = nextSolution;
+    }
+    solver.forbid(term);
+  });
+
+  // Break the remaining ties by the priority list, in time order
+  operationVarsList.forEach((operationVars, i) => {
+    if (!satisfied[i]) return;
+
+    const ranked = [...operationVars].sort((a, b) =>
+      priorityRanks[cannonVars[a].cannonIndex] - priorityRanks[cannonVars[b].cannonIndex]);
+    for (const varName of ranked) {
+      // The current solution already proves its own choice feasible
+      if (!currentSolution.evaluate(varName)) {
+        const nextSolution = solver.solveAssuming(varName);
+        if (!nextSolution) continue;
+        currentSolution = nextSolution;
+      }
+
+      solver.require(varName);
+      const others = operationVars.filter(other => other !== varName);
+      if (others.length > 0) {
+        solver.forbid(others);
+      }
+      break;
+    }
+  });
+
+  // Solve once more so no forbidden alternative is left set
+  return solver.solve();
+}
+
+/**
+ * Build the cost terms and weights of an objective over the candidate fire variables
+ * Weights are positive integers; terms of weight zero are left out. The 'fewestCannons'
+ * terms all weigh 1 and come least preferred cannon first.
+ */
+function buildObjective(solver, cannons, cannonVars, candidates, objective, priorityRanks) {
+  const terms = [];
+  const weights = [];
+  const add = (term, weight) => {
+    if (weight > 0) {
+      terms.push(term);
+      weights.push(weight);
+    }
+  };
+
+  if (objective === 'flyTime') {
+    const shortest = Math.min(...candidates.map(varName => cannonVars[varName].flyTime));
+    candidates.forEach(varName => add(varName, cannonVars[varName].flyTime - shortest));
+  } else if (objective === 'priority') {
+    candidates.forEach(varName => add(varName, priorityRanks[cannonVars[varName].cannonIndex]));
+  } else if (objective === 'fewestCannons') {
+    // A position is used when any of its shots is chosen
+    const usedVars = new Map();
+    candidates.forEach(varName => {
+      const { cannonIndex } = cannonVars[varName];
+      const { row, col } = cannons[cannonIndex];
+      const used = `used_${row}_${col}`;
+      solver.require(Logic.or(Logic.not(varName), used));
+      usedVars.set(used, priorityRanks[cannonIndex]);
+    });
+    [...usedVars.keys()]
+      .sort((a, b) => usedVars.get(b) - usedVars.get(a))
+      .forEach(used => add(used, 1));
+  } else if (objective === 'nextAvailable') {
+    // Per cannon, `late_j_k` is true when it fires at its k-th candidate time or later, so
+    // the weights of the true ones add up to its last fire time (counted from the earliest
+    // candidate); a cannon that never fires costs nothing
+    const earliest = Math.min(...candidates.map(varName => cannonVars[varName].fireTime)) - 1;
+    const timesByCannon = new Map();
+    candidates.forEach(varName => {
+      const { cannonIndex, fireTime } = cannonVars[varName];
+      if (!timesByCannon.has(cannonIndex)) timesByCannon.set(cannonIndex, new Set());
+      timesByCannon.get(cannonIndex).add(fireTime);
+    });
+    const lateVars = new Map();
+    timesByCannon.forEach((times, cannonIndex) => {
+      const sorted = [...times].sort((a, b) => a - b);
+      sorted.forEach((time, k) => {
+        const late = `late_${cannonIndex}_${k}`;
+        lateVars.set(`${cannonIndex}_${time}`, late);
+        if (k > 0) {
+          solver.require(Logic.or(Logic.not(late), `late_${cannonIndex}_${k - 1}`));
+        }
+        add(late, time - (k > 0 ? sorted[k - 1] : earliest));
+      });
+    });
+    candidates.forEach(varName => {
+      const { cannonIndex, fireTime } = cannonVars[varName];
+      solver.require(Logic.or(Logic.not(varName), lateVars.get(`${cannonIndex}_${fireTime}`)));
+    });
+  }
+
+  return { terms, weights };
+}
+
+/**
+ * Forbid firing the same cannon twice within its cooldown
+ * The default 'ladder' encoding cuts each cannon's fire times into blocks one cooldown
+ * long and gives every block a chain of prefix variables (`prefix_k` is true whenever
+ * one of the block's first k fires is used). Fires in one block all conflict, and a
+ * fire conflicts only with a prefix of the next block, so every conflict is one binary
+ * clause against a prefix variable and the clause count grows linearly with the number
+ * of variables. The legacy 'pairwise' encoding forbids every conflicting pair directly.
+ * @param {Solver} solver - Solver to add the constraints to
+ * @param {Object} cannonVars - Variable table ({ cannonIndex, fireTime } by variable name) as built by solveCobReuse
+ * @param {string} encoding - 'ladder' (default) or 'pairwise'
+ * @param {number} cooldown - Minimum interval between two fires of a cannon
+ */
+export function addCooldownConstraints(solver, cannonVars, encoding = 'ladder', cooldown = DEFAULT_MECHANICS.cooldown) {
+  if (encoding === 'pairwise') {
+    for (const varName1 in cannonVars) {
+      const { cannonIndex: ci1, fireTime: ft1 } = cannonVars[varName1];
+
+      for (const varName2 in cannonVars) {
+        if (varName1 !== varName2) {
+          const { cannonIndex: ci2, fireTime: ft2 } = cannonVars[varName2];
+
+          // If same cannon and fire times are too close, add constraint
+          if (ci1 === ci2 && Math.abs(ft1 - ft2) < cooldown) {
+            solver.forbid(Logic.and(varName1, varName2));
+          }
+        }
+      }
+    }
+    return;
+  }
+
+  if (encoding !== 'ladder') {
+    throw new Error(`Unknown cooldown encoding: ${encoding}`);
+  }
+
+  // Group variables by cannon
+  const varsByCannon = new Map();
+  for (const varName in cannonVars) {
+    const { cannonIndex, fireTime } = cannonVars[varName];
+    if (!varsByCannon.has(cannonIndex)) {
+      varsByCannon.set(cannonIndex, []);
+    }
+    varsByCannon.get(cannonIndex).push({ varName, fireTime });
+  }
+
+  for (const [cannonIndex, cannonFires] of varsByCannon) {
+    cannonFires.sort((a, b) => a.fireTime - b.fireTime);
+
+    // Split into blocks shorter than one cooldown
+    const firstTime = cannonFires[0].fireTime;
+    const blocks = [];
+    cannonFires.forEach(fire => {
+      const blockIndex = Math.floor((fire.fireTime - firstTime) / cooldown);
+      if (!blocks[blockIndex]) blocks[blockIndex] = [];
+      blocks[blockIndex].push(fire);
+    });
+
+    blocks.forEach((block, blockIndex) => {
+      block.forEach((fire, k) => {
+        fire.prefix = `cooldown_${cannonIndex}_${blockIndex}_${k}`;
+        solver.require(Logic.or(Logic.not(fire.varName), fire.prefix));
+        if (k > 0) {
+          const previousPrefix = block[k - 1].prefix;
+          solver.require(Logic.or(Logic.not(previousPrefix), fire.prefix));
+          // At most one fire per block
+          solver.forbid(Logic.and(fire.varName, previousPrefix));
+        }
+      });
+    });
+
+    blocks.forEach((block, blockIndex) => {
+      const nextBlock = blocks[blockIndex + 1];
+      if (!block || !nextBlock) return;
+
+      // Each fire conflicts with the fires of the next block that are less than a cooldown later
+      let count = 0;
+      block.forEach(fire => {
+        while (count < nextBlock.length && nextBlock[count].fireTime - fire.fireTime < cooldown) {
+          count++;
+        }
+        if (count > 0) {
+          solver.forbid(Logic.and(fire.varName, nextBlock[count - 1].prefix));
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Explain why a fire operation cannot be satisfied
+ * Reports the cannons of the required row/column set that are not planted or already
+ * shoveled at fire time, and a minimal set of earlier fire operations that together
+ * occupy every remaining candidate cannon. The set is found by deletion on the same
+ * cannonVars encoding used by solveCobReuse, so it agrees with the solver's own model.
+ * @param {Array} cannons - Cannon states built by solveCobReuse
+ * @param {Array} fireOps - Fire operations sorted by absolute time
+ * @param {Object} cannonVars - Variable table built by solveCobReuse
+ * @param {number} failedIndex - Index in fireOps of the unsatisfiable operation
+ * @param {Array} satisfied - Per fire operation flags of what the solver kept
+ * @param {Object} options - Solve options (`encoding` and `scene` are used)
+ * @param {Object} mechanics - Resolved mechanics profile
+ * @returns {Object} Diagnosis for the failed operation
+ */
+function diagnoseFailure(cannons, fireOps, cannonVars, failedIndex, satisfied, options, mechanics) {
+  const failedOp = fireOps[failedIndex];
+  const varsByOp = fireOps.map(() => []);
+  for (const varName in cannonVars) {
+    varsByOp[cannonVars[varName].opIndex].push(varName);
+  }
+
+  // Classify every cannon in the row/column set (and pinned list) by its state at fire time;
+  // with a tolerance the cannon only needs to be usable somewhere in the window
+  const tolerance = parseTolerance(failedOp.tolerance);
+  const candidates = [];
+  const blockingOps = new Set();
+  cannons.forEach((cannon, cannonIndex) => {
+    if (!isCannonInSet(cannon.row, cannon.col, failedOp.columns)) return;
+    if (!isCannonInList(cannon.row, cannon.col, failedOp.cannon)) return;
+
+    const fireTime = failedOp.absoluteTime - getFlyTime(cannon.col, failedOp.targetCol, options.scene, mechanics);
+    let status = 'available';
+    if (cannon.plantTime !== undefined && cannon.plantTime + mechanics.plantReady > fireTime + tolerance.max) {
+      status = 'not-planted';
+      blockingOps.add(cannon.plantOpIndex);
+    } else if (cannon.removeTime !== undefined && cannon.removeTime - mechanics.shovelWindow <= fireTime + tolerance.min) {
+      status = 'removed';
+      blockingOps.add(cannon.removeOpIndex);
+    }
+
+    candidates.push({ row: cannon.row, col: cannon.col, fireTime, status, cannonIndex });
+  });
+
+  const diagnosis = {
+    opIndex: failedOp.originalIndex,
+    columns: failedOp.columns,
+    cannon: failedOp.cannon || '',
+    reason: varsByOp[failedIndex].length === 0 ? 'no-cannon' : 'conflict',
+    cannons: candidates.map(({ cannonIndex, ...candidate }) => candidate),
+    conflictingOps: [],
+    blockingOps: [...blockingOps]
+  };
+
+  if (diagnosis.reason === 'no-cannon') {
+    return diagnosis;
+  }
+
+  // Guard each earlier operation with a selector so it can be switched off
+  const solver = new Solver();
+  addCooldownConstraints(solver, cannonVars, options.encoding, mechanics.cooldown);
+  solver.require(Logic.or(...varsByOp[failedIndex]));
+
+  const selectors = [];
+  for (let i = 0; i < failedIndex; i++) {
+    if (!satisfied[i]) continue;
+    const selector = `select_${i}`;
+    solver.require(Logic.or(Logic.not(selector), ...varsByOp[i]));
+    selectors.push({ selector, opIndex: i });
+  }
+
+  // Deletion-based shrinking: drop every operation the conflict does not need
+  let core = selectors;
+  for (const entry of selectors) {
+    const remaining = core.filter(item => item !== entry);
+    const assumption = Logic.and(...remaining.map(item => item.selector));
+    if (!solver.solveAssuming(assumption)) {
+      core = remaining;
+    }
+  }
+
+  diagnosis.conflictingOps = core.map(item => fireOps[item.opIndex].originalIndex);
+  return diagnosis;
+}
+
+/**
+ * Measure how fragile each assigned shot is
+ * - cooldownSlack: how long the assigned cannon had been ready when it fired, counted from
+ *   the end of its previous cooldown (or from becoming ready after planting); null when the
+ *   cannon had neither fired nor been planted before
+ * - earlySlack: how many cs earlier the shot could land before no cannon of its row/column
+ *   set (and pinned list) is free, with every other shot kept on its cannon; null when it
+ *   could move arbitrarily early
+ * @param {Array} cannons - Cannon states built by solveCobReuse
+ * @param {Array} fireOps - Fire operations sorted by absolute time
+ * @param {Array} assignments - Chosen { opIndex, cannonIndex, fireTime, landTime } per satisfied operation
+ * @param {Object} options - Solve options (`scene` is used)
+ * @param {Object} mechanics - Resolved mechanics profile
+ * @returns {Array} { earlySlack, cooldownSlack } per assignment
+ */
+function calculateSlack(cannons, fireOps, assignments, options, mechanics) {
+  const { cooldown, plantReady, shovelWindow } = mechanics;
+  const fireTimesByCannon = cannons.map(() => []);
+  assignments.forEach(({ cannonIndex, fireTime }) => {
+    fireTimesByCannon[cannonIndex].push(fireTime);
+  });
+
+  return assignments.map(assignment => {
+    const op = fireOps[assignment.opIndex];
+    const cannon = cannons[assignment.cannonIndex];
+
+    // Spare time since the assigned cannon became ready
+    const earlierFires = fireTimesByCannon[assignment.cannonIndex].filter(time => time < assignment.fireTime);
+    let readyTime = null;
+    if (earlierFires.length > 0) {
+      readyTime = Math.max(...earlierFires) + cooldown;
+    } else if (cannon.plantTime !== undefined) {
+      readyTime = cannon.plantTime + plantReady;
+    }
+    const cooldownSlack = readyTime === null ? null : assignment.fireTime - readyTime;
+
+    // Landing times at which each candidate cannon is busy, not planted yet or shoveled;
+    // the shot can move earlier until a landing time at which every candidate is blocked
+    let allBlocked = null;
+    cannons.forEach((candidate, cannonIndex) => {
+      if (!isCannonInSet(candidate.row, candidate.col, op.columns)) return;
+      if (!isCannonInList(candidate.row, candidate.col, op.cannon)) return;
+
+      const flyTime = getFlyTime(candidate.col, op.targetCol, options.scene, mechanics);
+      const blocked = [];
+      if (candidate.plantTime !== undefined) {
+        blocked.push([-Infinity, candidate.plantTime + plantReady + flyTime - 1]);
+      }
+      if (candidate.removeTime !== undefined) {
+        blocked.push([candidate.removeTime - shovelWindow + flyTime, Infinity]);
+      }
+      fireTimesByCannon[cannonIndex].forEach(time => {
+        if (cannonIndex === assignment.cannonIndex && time === assignment.fireTime) return;
+        blocked.push([time - cooldown + 1 + flyTime, time + cooldown - 1 + flyTime]);
+      });
+
+      const merged = mergeIntervals(blocked);
+      allBlocked = allBlocked === null ? merged : intersectIntervals(allBlocked, merged);
+    });
+
+    // The latest landing time before this shot at which no candidate is free
+    const latestBlocked = Math.max(
+      ...allBlocked
+        .filter(([start]) => start < assignment.landTime)
+        .map(([, end]) => Math.min(end, assignment.landTime - 1)),
+      -Infinity
+    );
+    const earlySlack = latestBlocked === -Infinity ? null : assignment.landTime - latestBlocked - 1;
+
+    return { earlySlack, cooldownSlack };
+  });
+}
+
+// Intersect two sorted lists of disjoint integer intervals
+function intersectIntervals(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (start <= end) {
+      result.push([start, end]);
+    }
+    if (a[i][1] < b[j][1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+// Merge overlapping or adjacent integer intervals
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
 }
 
 // Helper function to calculate next available times
-function calculateNextAvailableTimes(cannons) {
+export function calculateNextAvailableTimes(cannons, scene, mechanics) {
   const nextAvailableTimes = cannons.map(cannon => {
     if (cannon.lastUsed === -Infinity) {
       return { row: cannon.row, col: cannon.col, nextAvailable: 0 };
     } else {
-      const nextTime = cannon.lastUsed + 3475 + getRoofFlyTime(cannon.col, 9);
+      const nextTime = cannon.lastUsed + mechanics.cooldown + getFlyTime(cannon.col, 9, scene, mechanics);
       return { row: cannon.row, col: cannon.col, nextAvailable: nextTime };
     }
   });
@@ -312,18 +1000,36 @@ function doCobsOverlap(row1, col1, row2, col2) {
 }
 
 /**
- * Validate plant/remove operations by simulating them sequentially
+ * Validate the plant, remove, pot, card and shovel operations of a plan in the order they
+ * happen (see compareOperations), with the tile rules of pots.js and tiles.js
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} operations - Operations from preprocessOperations
+ * @param {Object} options - `scene` and `pots`, the tiles ({ row, col }) with a flower pot
+ *   before the first wave
+ * @returns {Object} { success, reason } by "waveIndex-opIndex"
+ */
+export function validateFieldOperations(cannons, operations, options = {}) {
+  const pots = sceneNeedsPots(options.scene || DEFAULT_SCENE) ? getInitialPots(cannons, options.pots) : null;
+  return validateOperationsSequentially(cannons, operations, pots);
+}
+
+/**
+ * Validate plant/remove/pot operations by simulating them sequentially
  * @param {Array} cannons - Initial cannons
- * @param {Array} operations - All operations sorted by absolute time
+ * @param {Array} operations - All operations
+ * @param {Set|null} pots - Tiles with a flower pot before the first wave, or null when
+ *   the scene needs no pots
  * @returns {Object} Validation results for each operation
  */
-function validateOperationsSequentially(cannons, operations) {
+function validateOperationsSequentially(cannons, operations, pots = null) {
   // Create a mutable cannon state, starting with initial cannons
   const cannonState = cannons.map(c => ({ row: c.row, col: c.col, planted: true }));
+  // Time at which the doom-shroom crater of each tile is gone
+  const craters = new Map();
   const validationResults = {};
   
-  // Sort operations by absolute time to simulate chronologically
-  const sortedOps = [...operations].sort((a, b) => a.absoluteTime - b.absoluteTime);
+  // Simulate in the order the operations happen
+  const sortedOps = [...operations].sort(compareOperations);
   
   for (const op of sortedOps) {
     const opKey = `${op.waveIndex}-${op.opIndex}`;
@@ -334,8 +1040,15 @@ function validateOperationsSequentially(cannons, operations) {
         cannon.planted && doCobsOverlap(cannon.row, cannon.col, op.row, op.targetCol)
       );
       
+      const blocked = wouldOverlap ? null : findBlockedTile(cannonState, craters, op);
+      const missingPot = pots && !wouldOverlap && !blocked ? applyPotOperation(pots, op) : null;
+
       if (wouldOverlap) {
         validationResults[opKey] = { success: false, reason: 'Overlaps with existing cob' };
+      } else if (blocked) {
+        validationResults[opKey] = { success: false, reason: `Crater at ${blocked.tile}` };
+      } else if (missingPot) {
+        validationResults[opKey] = { success: false, reason: `No flower pot at ${missingPot}` };
       } else {
         // Plant is valid, add to state
         cannonState.push({ row: op.row, col: op.targetCol, planted: true });
@@ -351,9 +1064,44 @@ function validateOperationsSequentially(cannons, operations) {
       } else {
         // Remove is valid, remove from state
         cannonState.splice(cannonIndex, 1);
+        if (pots) {
+          applyPotOperation(pots, op);
+        }
         validationResults[opKey] = { success: true };
       }
       
+    } else if (op.type === 'pot') {
+      // A pot needs an empty tile; pots only matter in scenes that need them
+      const blocked = findBlockedTile(cannonState, craters, op);
+      const occupied = pots && !blocked ? applyPotOperation(pots, op) : null;
+      if (blocked) {
+        validationResults[opKey] = { success: false, reason: `Crater at ${blocked.tile}` };
+      } else {
+        validationResults[opKey] = occupied
+          ? { success: false, reason: `Flower pot already at ${occupied}` }
+          : { success: true };
+      }
+
+    } else if (op.type === 'card') {
+      // A card needs a free tile (and a pot on the roof); its recharge is checked by analyzeResources
+      const blocked = findBlockedTile(cannonState, craters, op);
+      const missingPot = pots && !blocked ? applyPotOperation(pots, op) : null;
+      if (blocked) {
+        validationResults[opKey] = { success: false, reason: blocked.rule === 'cob' ? `Cob at ${blocked.tile}` : `Crater at ${blocked.tile}` };
+      } else if (missingPot) {
+        validationResults[opKey] = { success: false, reason: `No flower pot at ${missingPot}` };
+      } else {
+        applyCrater(craters, op);
+        validationResults[opKey] = { success: true };
+      }
+
+    } else if (op.type === 'shovel') {
+      // Only plants other than cobs are shoveled this way; they are not tracked otherwise
+      const blocked = findBlockedTile(cannonState, craters, op);
+      validationResults[opKey] = blocked
+        ? { success: false, reason: `Cob at ${blocked.tile}; shovel it with a remove operation` }
+        : { success: true };
+
     } else if (op.type === 'fire') {
       // Fire operations don't change cannon state, validation handled by SAT solver
       validationResults[opKey] = { success: true }; // Will be overridden by SAT results
@@ -363,15 +1111,17 @@ function validateOperationsSequentially(cannons, operations) {
   return validationResults;
 }
 
-export function solveReuse(cannons, waves) {
+export function solveReuse(cannons, waves, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+
   // Preprocess operations
   const { operations, totalTime } = preprocessOperations(waves);
 
-  // Validate plant/remove operations sequentially  
-  const validationResults = validateOperationsSequentially(cannons, operations);
+  // Validate plant/remove/pot operations sequentially
+  const validationResults = validateFieldOperations(cannons, operations, options);
   
   // Solve the reuse problem
-  const result = solveCobReuse(cannons, operations);
+  const result = solveCobReuse(cannons, operations, options);
 
   // Map results back to the original operations
   const mappedResults = operations.map((op, index) => {
@@ -382,18 +1132,24 @@ export function solveReuse(cannons, waves) {
         ...op,
         success: !!fireResult,
         cannonRow: fireResult ? fireResult.cannonRow : null,
-        cannonCol: fireResult ? fireResult.cannonCol : null
+        cannonCol: fireResult ? fireResult.cannonCol : null,
+        // Landing time chosen within the tolerance window
+        landTime: fireResult ? fireResult.landTime : null,
+        earlySlack: fireResult ? fireResult.earlySlack : null,
+        cooldownSlack: fireResult ? fireResult.cooldownSlack : null,
+        // Only reported when solving with `findForced`
+        ...(fireResult && fireResult.forced !== undefined ? { forced: fireResult.forced } : {})
       };
     } else if (op.type === 'plant') {
-      // Plant operations validated by sequential simulation (checks overlaps)
+      // Plant operations validated by sequential simulation (checks overlaps and pots)
       const opKey = `${op.waveIndex}-${op.opIndex}`;
       const validation = validationResults[opKey] || { success: false };
       return {
         ...op,
         success: validation.success
       };
-    } else if (op.type === 'remove') {
-      // Remove operations validated by sequential simulation (checks existence)
+    } else if (op.type === 'remove' || op.type === 'pot' || op.type === 'card' || op.type === 'shovel') {
+      // Remove, pot, card and shovel operations validated by sequential simulation (checks existence and tiles)
       const opKey = `${op.waveIndex}-${op.opIndex}`;
       const validation = validationResults[opKey] || { success: false };
       return {
@@ -409,8 +1165,67 @@ export function solveReuse(cannons, waves) {
     }
   });
 
-  // Get the next available cannons
-  const nextAvailable = result.nextAvailableTimes.slice(0, 8).map(cannon => ({
+  return {
+    operations: mappedResults,
+    successCount: mappedResults.filter(op => op.type === 'fire' && op.success).length,
+    nextAvailable: formatNextAvailable(result.nextAvailableTimes, totalTime, mechanics),
+    diagnosis: result.diagnosis ? mapDiagnosis(result.diagnosis, operations) : null
+  };
+}
+
+/**
+ * Enumerate complete cannon assignments, each differing from all earlier ones in the
+ * cannon position of at least one shot
+ * Every assignment is a fresh prefix-mode solve that excludes the ones found before;
+ * landing offsets within a tolerance window do not make a separate assignment.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {number} limit - Most assignments to find
+ * @param {Object} options - Solver options as for solveReuse
+ * @returns {Object} { solutions, forced, exhausted } where each solution lists { waveIndex,
+ *   opIndex, cannonRow, cannonCol, landTime } per shot, forced lists { waveIndex, opIndex,
+ *   forced } per shot (null when the plan does not solve), and exhausted tells that no
+ *   further assignment exists
+ */
+export function enumerateReuse(cannons, waves, limit = 10, options = {}) {
+  const solutions = [];
+  let forced = null;
+
+  while (solutions.length < limit) {
+    const result = solveReuse(cannons, waves, {
+      ...options,
+      mode: 'prefix',
+      exclude: solutions,
+      findForced: solutions.length === 0
+    });
+    const shots = result.operations.filter(op => op.type === 'fire');
+    if (!shots.every(op => op.success)) {
+      return { solutions, forced, exhausted: true };
+    }
+
+    if (solutions.length === 0) {
+      forced = shots.map(op => ({ waveIndex: op.waveIndex, opIndex: op.opIndex, forced: op.forced }));
+    }
+    solutions.push(shots.map(op => ({
+      waveIndex: op.waveIndex,
+      opIndex: op.opIndex,
+      cannonRow: op.cannonRow,
+      cannonCol: op.cannonCol,
+      landTime: op.landTime
+    })));
+    // Without shots there is only the empty assignment
+    if (shots.length === 0) {
+      return { solutions, forced, exhausted: true };
+    }
+  }
+
+  return { solutions, forced, exhausted: false };
+}
+
+// Get the 8 earliest available cannons, relative to the wave after the last one
+// (e.g., [{ position: "1-3", time: 120 }]); with fewer cannons, some appear again a cooldown later
+export function formatNextAvailable(nextAvailableTimes, totalTime, mechanics = DEFAULT_MECHANICS) {
+  const nextAvailable = nextAvailableTimes.slice(0, 8).map(cannon => ({
     position: `${cannon.row}-${cannon.col}`,
     time: cannon.nextAvailable - totalTime
   }));
@@ -421,16 +1236,33 @@ export function solveReuse(cannons, waves) {
     // Calculate which cannon to duplicate next (cycle through all cannons)
     const cannonIndex = nextAvailable.length - originalCannonCount;
     const cannon = { ...nextAvailable[cannonIndex] };
-    cannon.time += 3475;
+    cannon.time += mechanics.cooldown;
     nextAvailable.push(cannon);
   }
 
   // Sort by time after all duplications
   nextAvailable.sort((a, b) => a.time - b.time);
 
+  return nextAvailable;
+}
+
+// Replace the original indices in a diagnosis with wave/operation positions
+function mapDiagnosis(diagnosis, operations) {
+  const locate = (originalIndex) => {
+    const op = operations.find(o => o.originalIndex === originalIndex);
+    return {
+      waveIndex: op.waveIndex,
+      opIndex: op.opIndex,
+      type: op.type,
+      time: op.time,
+      absoluteTime: op.absoluteTime
+    };
+  };
+
   return {
-    operations: mappedResults,
-    successCount: mappedResults.filter(op => op.type === 'fire' && op.success).length,
-    nextAvailable
+    ...diagnosis,
+    operation: locate(diagnosis.opIndex),
+    conflictingOps: diagnosis.conflictingOps.map(locate),
+    blockingOps: diagnosis.blockingOps.map(locate)
   };
 }
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Asynchronous solver client for CobPlanner
+ * Runs solveReuse, manual plan checks, cob queue simulations and cycle analyses in a
+ * Web Worker with progress events, cancellation and a timeout
+ */
+
+import { runSolverTask } from './solverTasks.js';
+import { verifyPlan } from './verifier.js';
+
+let nextRequestId = 1;
+
+/**
+ * Create the default solver worker, or null when Web Workers are unavailable
+ * @returns {Worker|null} New worker instance
+ */
+export function createSolverWorker() {
+  if (typeof Worker === 'undefined') {
+    return null;
+  }
+  return new Worker(new URL('../workers/solverWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Solve the reuse problem without blocking the caller
+ * Falls back to solving on the current thread when no worker can be created;
+ * in that case the timeout and cancellation only apply before the solve starts.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} options - Solver options plus client options
+ * @param {Function} options.onProgress - Called with { processed, total } as fire operations are solved
+ * @param {AbortSignal} options.signal - Abort signal that cancels the solve
+ * @param {number} options.timeout - Milliseconds before the solve is abandoned (0 for no limit)
+ * @param {Function} options.createWorker - Worker factory, defaults to createSolverWorker
+ * @returns {Promise<Object>} Resolves with the solveReuse result
+ */
+export function solveReuseAsync(cannons, waves, options = {}) {
+  return runTaskAsync('solve', cannons, waves, options);
+}
+
+/**
+ * Check a plan whose fire operations pin their cannons without blocking the caller
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} options - checkManualPlan options plus the client options of solveReuseAsync
+ * @returns {Promise<Object>} Resolves with the checkManualPlan result
+ */
+export function checkManualPlanAsync(cannons, waves, options = {}) {
+  return runTaskAsync('manual', cannons, waves, options);
+}
+
+/**
+ * Simulate a cob queue without blocking the caller
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Array} queue - Cannon positions ({ row, col }) in firing order
+ * @param {Object} options - simulateCobQueue options plus the client options of solveReuseAsync
+ * @returns {Promise<Object>} Resolves with the simulateCobQueue result
+ */
+export function simulateCobQueueAsync(cannons, waves, queue, options = {}) {
+  return runTaskAsync('queue', cannons, waves, { ...options, queue });
+}
+
+/**
+ * Analyze a cycle of waves without blocking the caller
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} cycle - { start, end } indices of the first and last wave of the cycle
+ * @param {Object} options - analyzeCycle options plus the client options of solveReuseAsync
+ * @returns {Promise<Object>} Resolves with the analyzeCycle result
+ */
+export function analyzeCycleAsync(cannons, waves, cycle, options = {}) {
+  return runTaskAsync('cycle', cannons, waves, { ...options, cycle });
+}
+
+/**
+ * Run a solver task in a worker, or on the current thread when no worker can be created
+ * @param {string} task - Task name of runSolverTask
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} options - Task options plus the client options of solveReuseAsync
+ * @returns {Promise<Object>} Resolves with the task result
+ */
+function runTaskAsync(task, cannons, waves, options) {
+  const {
+    onProgress,
+    signal,
+    timeout = 0,
+    createWorker = createSolverWorker,
+    ...solverOptions
+  } = options;
+
+  // Reactive proxies cannot be structured-cloned, so send plain data
+  const payload = JSON.parse(JSON.stringify({ cannons, waves, options: solverOptions }));
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const worker = createWorker();
+    if (!worker) {
+      setTimeout(() => {
+        if (signal && signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        try {
+          resolve(checkInDevelopment(task, payload, runSolverTask(task, payload.cannons, payload.waves, { ...payload.options, onProgress })));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+      return;
+    }
+
+    const id = nextRequestId++;
+    let timeoutId = null;
+
+    const finish = () => {
+      worker.terminate();
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+    };
+
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+
+      if (message.type === 'progress') {
+        if (onProgress) {
+          onProgress({ processed: message.processed, total: message.total });
+        }
+      } else if (message.type === 'result') {
+        finish();
+        resolve(checkInDevelopment(task, payload, message.result));
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Solver worker failed'));
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', handleAbort);
+    }
+
+    if (timeout > 0) {
+      timeoutId = setTimeout(() => {
+        finish();
+        reject(new Error(`Solver timed out after ${timeout}ms`));
+      }, timeout);
+    }
+
+    worker.postMessage({ id, task, ...payload });
+  });
+}
+
+/**
+ * Cross-check a solve result with the independent verifier in development builds
+ * Violations point at a bug in the solver's encoding and are logged, not thrown.
+ * Only solves are checked: the other tasks report their violations in their results.
+ * @param {string} task - Task name of runSolverTask
+ * @param {Object} payload - The cannons, waves and solver options that were solved
+ * @param {Object} result - The solveReuse result
+ * @returns {Object} The result, unchanged
+ */
+function checkInDevelopment(task, payload, result) {
+  if (task === 'solve' && import.meta.env && import.meta.env.DEV) {
+    const { violations } = verifyPlan(payload.cannons, payload.waves, result.operations, payload.options);
+    if (violations.length > 0) {
+      console.error('Solver produced an invalid schedule:', violations);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create the error used to reject cancelled solves
+ * @returns {Error} Error named 'AbortError'
+ */
+function createAbortError() {
+  const error = new Error('Solve cancelled');
+  error.name = 'AbortError';
+  return error;
+}
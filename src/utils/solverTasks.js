@@ -0,0 +1,37 @@
+/**
+ * Solver tasks for CobPlanner
+ * The computations the page runs off the main thread, shared by the solver worker and
+ * by the client's fallback for environments without Web Workers
+ */
+
+import { solveReuse } from './solver.js';
+import { checkManualPlan } from './verifier.js';
+import { simulateCobQueue } from './cobQueue.js';
+import { analyzeCycle } from './cycle.js';
+
+/**
+ * Task runners by name, each called with (cannons, waves, options)
+ * `queue` takes the cob queue from `options.queue` and `cycle` the range from `options.cycle`.
+ */
+const TASKS = {
+  solve: (cannons, waves, options) => solveReuse(cannons, waves, options),
+  manual: (cannons, waves, options) => checkManualPlan(cannons, waves, options),
+  queue: (cannons, waves, { queue, ...options }) => simulateCobQueue(cannons, waves, queue, options),
+  cycle: (cannons, waves, { cycle, ...options }) => analyzeCycle(cannons, waves, cycle, options)
+};
+
+/**
+ * Run a solver task on the current thread
+ * @param {string} task - 'solve', 'manual', 'queue' or 'cycle'
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} options - Options of the task's function, plus `queue` or `cycle`
+ * @returns {Object} The result of solveReuse, checkManualPlan, simulateCobQueue or analyzeCycle
+ */
+export function runSolverTask(task, cannons, waves, options = {}) {
+  const run = TASKS[task];
+  if (!run) {
+    throw new Error(`Unknown solver task: ${task}`);
+  }
+  return run(cannons, waves, options);
+}
@@ -9,8 +9,10 @@
 export const STORAGE_KEYS = {
   THEME: 'theme',
   FIELD_NAME: 'fieldName',
+  SCENE: 'scene',
   ROWS: 'rows',
   CANNONS: 'cannons',
+  POTS: 'pots',
   WAVES: 'waves'
 };
 
@@ -20,8 +22,10 @@ export const STORAGE_KEYS = {
 export const DEFAULT_VALUES = {
   [STORAGE_KEYS.THEME]: 'light',
   [STORAGE_KEYS.FIELD_NAME]: '',
+  [STORAGE_KEYS.SCENE]: 'roof',
   [STORAGE_KEYS.ROWS]: 5,
   [STORAGE_KEYS.CANNONS]: [],
+  [STORAGE_KEYS.POTS]: [],
   [STORAGE_KEYS.WAVES]: []
 };
 
@@ -159,6 +163,23 @@ export function setFieldName(fieldName) {
   return setStorageItem(STORAGE_KEYS.FIELD_NAME, fieldName);
 }
 
+/**
+ * Get scene from localStorage
+ * @returns {string} Scene id (e.g., 'roof' or 'pool')
+ */
+export function getScene() {
+  return getStorageItem(STORAGE_KEYS.SCENE, DEFAULT_VALUES[STORAGE_KEYS.SCENE]);
+}
+
+/**
+ * Set scene in localStorage
+ * @param {string} scene - Scene id
+ * @returns {boolean} True if successful
+ */
+export function setScene(scene) {
+  return setStorageItem(STORAGE_KEYS.SCENE, scene);
+}
+
 /**
  * Get rows from localStorage
  * @returns {number} Number of rows
@@ -194,6 +215,23 @@ export function setCannons(cannons) {
   return setStorageJSON(STORAGE_KEYS.CANNONS, cannons);
 }
 
+/**
+ * Get flower pots from localStorage
+ * @returns {Array} Array of pot tiles ({ row, col })
+ */
+export function getPots() {
+  return getStorageJSON(STORAGE_KEYS.POTS, DEFAULT_VALUES[STORAGE_KEYS.POTS]);
+}
+
+/**
+ * Set flower pots in localStorage
+ * @param {Array} pots - Array of pot tiles
+ * @returns {boolean} True if successful
+ */
+export function setPots(pots) {
+  return setStorageJSON(STORAGE_KEYS.POTS, pots);
+}
+
 /**
  * Get waves from localStorage
  * @returns {Array} Array of wave objects
@@ -224,8 +262,10 @@ export function loadAppState() {
   return {
     theme: getTheme(),
     fieldName: getFieldName(),
+    scene: getScene(),
     rows: getRows(),
     cannons: getCannons(),
+    pots: getPots(),
     waves: getWaves()
   };
 }
@@ -239,8 +279,10 @@ export function saveAppState(state) {
   const results = [
     setTheme(state.theme),
     setFieldName(state.fieldName),
+    setScene(state.scene),
     setRows(state.rows),
     setCannons(state.cannons),
+    setPots(state.pots),
     setWaves(state.waves)
   ];
   
@@ -267,8 +309,12 @@ export function importData(data) {
   const newState = {
     theme: currentState.theme, // Don't import theme
     fieldName: data.fieldName || currentState.fieldName,
+    // Files saved before scenes existed are roof layouts
+    scene: data.scene || DEFAULT_VALUES[STORAGE_KEYS.SCENE],
     rows: data.rows || currentState.rows,
     cannons: data.cannons || currentState.cannons,
+    // Files saved before pots were tracked list none besides those under the cannons
+    pots: data.pots || (data.cannons ? [] : currentState.pots),
     waves: data.waves ? data.waves.map(wave => ({
       ...wave,
       notes: wave.notes || ''
@@ -287,8 +333,10 @@ export function exportData() {
   const state = loadAppState();
   return {
     fieldName: state.fieldName,
+    scene: state.scene,
     rows: state.rows,
     cannons: state.cannons,
+    pots: state.pots,
     waves: state.waves
   };
 }
\ No newline at end of file
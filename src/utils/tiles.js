@@ -0,0 +1,50 @@
+/**
+ * Tiles of the plants other than cobs for CobPlanner
+ * A card operation puts its plant on one tile, which no cob may cover, and a shovel
+ * operation takes a plant other than a cob off one tile. A doom-shroom leaves a crater in
+ * which nothing (cob, pot or card) can be planted for CRATER_DURATION.
+ * Tiles are "row-col" strings, as in pots.js.
+ */
+
+import { getCobTiles } from './pots.js';
+
+// Time a doom-shroom crater stays on its tile, in cs
+export const CRATER_DURATION = 18000;
+
+/**
+ * Find the tile an operation cannot use
+ * Plants, pots and cards cannot go in a crater; cards and shovels cannot use a tile a cob
+ * covers (a cob is shoveled with a remove operation).
+ * @param {Array} cobs - Cobs standing when the operation happens ({ row, col })
+ * @param {Map} craters - Time at which the crater of each tile is gone
+ * @param {Object} op - Operation with `type`, `row`, `targetCol` and `absoluteTime`
+ * @returns {Object|null} { rule, tile } where rule is 'crater' or 'cob', or null
+ */
+export function findBlockedTile(cobs, craters, op) {
+  const tiles = op.type === 'plant' ? getCobTiles(op.row, op.targetCol) : [`${op.row}-${op.targetCol}`];
+
+  if (op.type === 'plant' || op.type === 'pot' || op.type === 'card') {
+    const crater = tiles.find(tile => craters.get(tile) > op.absoluteTime);
+    if (crater) {
+      return { rule: 'crater', tile: crater };
+    }
+  }
+  if (op.type === 'card' || op.type === 'shovel') {
+    const covered = tiles.find(tile => cobs.some(cob => getCobTiles(cob.row, cob.col).includes(tile)));
+    if (covered) {
+      return { rule: 'cob', tile: covered };
+    }
+  }
+  return null;
+}
+
+/**
+ * Leave the crater of a doom-shroom card operation
+ * @param {Map} craters - Time at which the crater of each tile is gone, updated in place
+ * @param {Object} op - Operation with `type`, `card`, `row`, `targetCol` and `absoluteTime`
+ */
+export function applyCrater(craters, op) {
+  if (op.type === 'card' && op.card === 'doom') {
+    craters.set(`${op.row}-${op.targetCol}`, op.absoluteTime + CRATER_DURATION);
+  }
+}
@@ -3,6 +3,17 @@
  * Extracted from ReusePage.vue for better code organization
  */
 
+import { getInitialPots, applyPotOperation } from './pots.js';
+import { findBlockedTile, applyCrater } from './tiles.js';
+import { DEFAULT_CARDS, OPERATION_CARDS } from './resources.js';
+import { preprocessOperations, compareOperations, parseCannonList, parseTolerance, getFlyTime } from './solver.js';
+import { verifySchedule, buildCannonInstances } from './verifier.js';
+import { resolveMechanics } from './mechanics.js';
+import { DEFAULT_SCENE } from './scenes.js';
+
+// Widest landing time tolerance, in cs either side of the operation time
+export const MAX_TOLERANCE = 100;
+
 /**
  * Validate time expression (supports JavaScript expressions with 'w' variable)
  * @param {string} timeStr - The time expression to validate
@@ -87,7 +98,7 @@ export function validateRow(row, type, maxRows) {
 /**
  * Validate target column based on operation type
  * @param {number} targetCol - Target column to validate
- * @param {string} type - Operation type ('fire', 'plant', 'remove')
+ * @param {string} type - Operation type ('fire', 'plant', 'remove', 'pot', 'card', 'shovel')
  * @returns {string|null} Error message or null if valid
  */
 export function validateTargetCol(targetCol, type) {
@@ -109,11 +120,54 @@ export function validateTargetCol(targetCol, type) {
       return '目标列必须是 1/80 的整数倍（如 0.0125, 0.025, 1.0000）';
     }
   } else {
+    // A cob takes up its column and the next one, the other operations a single tile
+    const maxCol = type === 'plant' || type === 'remove' ? 8 : 9;
     if (!Number.isInteger(targetCol)) {
       return '列数必须是整数';
     }
-    if (targetCol < 1 || targetCol > 8) {
-      return '列数必须在 1-8 范围内';
+    if (targetCol < 1 || targetCol > maxCol) {
+      return `列数必须在 1-${maxCol} 范围内`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a single value or range part of a cannon set
+ * @param {string} part - Part without its prefix (e.g., "1-5" or "7")
+ * @param {number} max - Largest allowed value
+ * @param {string} unit - '行' or '列'
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRangePart(part, max, unit) {
+  if (part.includes('-')) {
+    // Range format like "1-5"
+    const [start, end] = part.split('-');
+    const startNum = parseInt(start);
+    const endNum = parseInt(end);
+    
+    if (!Number.isInteger(startNum) || !Number.isInteger(endNum) || 
+        startNum.toString() !== start || endNum.toString() !== end) {
+      return `${unit}范围必须是整数`;
+    }
+    
+    if (startNum < 1 || startNum > max || endNum < 1 || endNum > max) {
+      return `${unit}范围必须在 1-${max} 范围内`;
+    }
+    
+    if (startNum > endNum) {
+      return `${unit}范围起始${unit}不能大于结束${unit}`;
+    }
+  } else {
+    // Individual value
+    const num = parseInt(part);
+    if (!Number.isInteger(num) || num.toString() !== part) {
+      return `${unit}数必须是整数`;
+    }
+    
+    if (num < 1 || num > max) {
+      return `${unit}数必须在 1-${max} 范围内`;
     }
   }
   
@@ -121,55 +175,177 @@ export function validateTargetCol(targetCol, type) {
 }
 
 /**
- * Validate columns string for fire operations (e.g., "1-5 7")
+ * Validate columns string for fire operations (e.g., "1-5 7" or "r1-2 c3-5")
+ * Parts prefixed with r restrict rows, parts prefixed with c or without a prefix restrict columns
  * @param {string} columnsStr - Columns string to validate
+ * @param {number} maxRows - Maximum allowed rows
  * @returns {string|null} Error message or null if valid
  */
-export function validateColumns(columnsStr) {
+export function validateColumns(columnsStr, maxRows = 5) {
   if (!columnsStr || columnsStr.trim() === '') {
     return '发射列不能为空';
   }
   
   const trimmed = columnsStr.trim();
   
-  // Parse column ranges and individual columns
+  // Parse row/column ranges and individual values
   const parts = trimmed.split(/\s+/);
   
   for (const part of parts) {
-    if (part.includes('-')) {
-      // Range format like "1-5"
-      const [start, end] = part.split('-');
-      const startNum = parseInt(start);
-      const endNum = parseInt(end);
-      
-      if (!Number.isInteger(startNum) || !Number.isInteger(endNum) || 
-          startNum.toString() !== start || endNum.toString() !== end) {
-        return '列范围必须是整数';
-      }
-      
-      if (startNum < 1 || startNum > 8 || endNum < 1 || endNum > 8) {
-        return '列范围必须在 1-8 范围内';
-      }
-      
-      if (startNum > endNum) {
-        return '列范围起始列不能大于结束列';
-      }
-    } else {
-      // Individual column
-      const num = parseInt(part);
-      if (!Number.isInteger(num) || num.toString() !== part) {
-        return '列数必须是整数';
-      }
-      
-      if (num < 1 || num > 8) {
-        return '列数必须在 1-8 范围内';
-      }
+    const prefix = part[0].toLowerCase();
+    const error = prefix === 'r'
+      ? validateRangePart(part.slice(1), maxRows, '行')
+      : validateRangePart(prefix === 'c' ? part.slice(1) : part, 8, '列');
+    if (error) {
+      return error;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the cannons a fire operation is pinned to (e.g., "3-1" or "3-1 4-1")
+ * @param {string} cannonStr - Space separated row-col list; empty means not pinned
+ * @param {number} waveIndex - Wave index
+ * @param {number} opIndex - Operation index
+ * @param {number} maxRows - Maximum allowed rows
+ * @param {Array} cannons - Initial cannons array
+ * @param {Array} waves - All waves array
+ * @param {string} scene - Scene, for the fly time from the cannon
+ * @param {Array|null} operations - Operations from preprocessOperations(waves), shared by a
+ *   validation pass over many operations; preprocessed here when null
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateCannon(cannonStr, waveIndex, opIndex, maxRows, cannons, waves, scene = DEFAULT_SCENE, operations = null) {
+  if (!cannonStr || cannonStr.trim() === '') {
+    return null;
+  }
+  
+  const pinned = parseCannonList(cannonStr);
+  if (!pinned) {
+    return '指定炮格式为 行-列（如: 3-1 4-1）';
+  }
+  
+  const allOperations = operations || preprocessOperations(waves).operations;
+  for (const { row, col } of pinned) {
+    if (row < 1 || row > maxRows) {
+      return `指定炮行数必须在 1-${maxRows} 范围内`;
+    }
+    if (col < 1 || col > 8) {
+      return '指定炮列数必须在 1-8 范围内';
+    }
+    
+    // The cannon must be ready when it fires, a fly time before the landing
+    const fireError = checkCannonCanFire(row, col, waveIndex, opIndex, cannons, allOperations, waves, scene);
+    if (fireError) {
+      return fireError;
     }
   }
   
   return null;
 }
 
+/**
+ * Check that a cannon can fire the shot of a fire operation at some landing time in its
+ * tolerance window, by the plant readiness and shovel rules of verifySchedule
+ * Each cannon standing at the position can fire over one interval of fire times, which is
+ * intersected with the fire times of the window.
+ * @returns {string|null} Error message for the landing time nearest the operation time, or null
+ */
+function checkCannonCanFire(row, col, waveIndex, opIndex, cannons, operations, waves, scene) {
+  const op = operations.find(o => o.waveIndex === waveIndex && o.opIndex === opIndex);
+  if (!op) {
+    return null;
+  }
+  let tolerance;
+  try {
+    tolerance = parseTolerance(op.tolerance);
+  } catch (e) {
+    tolerance = { min: 0, max: 0 }; // Reported on the tolerance field
+  }
+
+  const { plantReady, shovelWindow } = resolveMechanics();
+  const flyTime = getFlyTime(col, op.targetCol, scene);
+  const earliest = op.absoluteTime + tolerance.min - flyTime;
+  const latest = op.absoluteTime + tolerance.max - flyTime;
+  const canFire = buildCannonInstances(cannons, operations)
+    .filter(instance => instance.row === row && instance.col === col)
+    .some(instance => {
+      const from = instance.plantTime === undefined ? -Infinity : instance.plantTime + plantReady;
+      const to = instance.removeTime === undefined ? Infinity : instance.removeTime - shovelWindow - 1;
+      return Math.max(from, earliest) <= Math.min(to, latest);
+    });
+  if (canFire) {
+    return null;
+  }
+
+  // Describe the landing time nearest the operation time, the earlier one on a tie
+  const offset = tolerance.min > 0 ? tolerance.min : Math.min(0, tolerance.max);
+  const shot = { opIndex: op.originalIndex, cannonRow: row, cannonCol: col, landTime: op.absoluteTime + offset };
+  const violation = verifySchedule(cannons, operations, [shot], { scene }).violations
+    .find(v => v.type === 'no-cannon' || v.type === 'not-ready' || v.type === 'removed');
+  return violation ? describeViolation(violation, waves) : null;
+}
+
+/**
+ * Describe a violation found by the schedule verifier, for the error tooltip of the
+ * pinned cannon field when cannons are assigned by hand
+ * @param {Object} violation - Violation from verifySchedule or checkManualPlan
+ * @param {Array} waves - All waves array, to name the conflicting operation
+ * @returns {string} Error message
+ */
+export function describeViolation(violation, waves) {
+  const position = `${violation.cannonRow}-${violation.cannonCol}`;
+  switch (violation.type) {
+    case 'unassigned':
+      return '手动指定炮位时需要指定一门炮（如: 3-1）';
+    case 'unknown-operation':
+      return '没有对应的发射操作';
+    case 'duplicate':
+      return '同一发射被分配了多次';
+    case 'cannon-set':
+      return `${position} 不满足可用炮的行列要求`;
+    case 'tolerance':
+      return `${position} 的落点超出容差范围`;
+    case 'fly-time':
+      return `${position} 的发射时间与落点时间和飞行时间不符`;
+    case 'no-cannon':
+      return `发射时 ${position} 没有炮`;
+    case 'not-ready':
+      return `发射时 ${position} 还未种好`;
+    case 'removed':
+      return `${position} 发射后太快被铲`;
+    case 'cooldown': {
+      const { waveIndex, opIndex } = violation.conflictWith;
+      return `${position} 冷却不足（上次发射: 波次 ${waveIndex + 1}, 时间 ${waves[waveIndex].operations[opIndex].time}）`;
+    }
+    default:
+      return violation.message;
+  }
+}
+
+/**
+ * Validate the landing time tolerance of a fire operation (e.g., "15" or "0~15")
+ * The format is the one parseTolerance reads; the offsets must also be within MAX_TOLERANCE.
+ * @param {string} toleranceStr - Offset from the operation time: "d" for ±d, "a~b" for a range; empty means exact
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateTolerance(toleranceStr) {
+  let tolerance;
+  try {
+    tolerance = parseTolerance(toleranceStr);
+  } catch (e) {
+    return '容差格式为 整数或 起~止，起点不大于终点（如: 15 表示 ±15，0~15）';
+  }
+  
+  if (tolerance.min < -MAX_TOLERANCE || tolerance.max > MAX_TOLERANCE) {
+    return `容差必须在 -${MAX_TOLERANCE}~${MAX_TOLERANCE} 范围内`;
+  }
+  
+  return null;
+}
+
 /**
  * Validate wave duration
  * @param {number} duration - Wave duration to validate
@@ -191,6 +367,37 @@ export function validateWaveDuration(duration) {
   return null;
 }
 
+/**
+ * Validate the candidate durations of a wave (e.g., "601 2500" or "1200~1300")
+ * @param {string} durationsStr - Space separated durations and ranges; empty means none
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWaveDurations(durationsStr) {
+  if (durationsStr === undefined || durationsStr === null || durationsStr.toString().trim() === '') {
+    return null;
+  }
+  
+  const parts = durationsStr.toString().trim().split(/\s+/);
+  
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:~(\d+))?$/);
+    if (!match) {
+      return '备选波长格式为 整数或 起~止（如: 601 2500, 1200~1300）';
+    }
+    
+    const start = Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : start;
+    if (start < 1) {
+      return '备选波长必须大于 0';
+    }
+    if (start > end) {
+      return '备选波长范围起点不能大于终点';
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Check if two cannons would overlap (cannons are 1x2, centers must be 2+ apart in same row)
  * @param {number} row1 - Row of first cannon
@@ -204,17 +411,36 @@ export function doCannonsOverlap(row1, col1, row2, col2) {
 }
 
 /**
- * Validate cannon position for plant/remove operations
+ * Validate cannon position for plant/remove operations, and the tile of pot, card and
+ * shovel operations (see tiles.js)
  * @param {number} row - Cannon row
  * @param {number} targetCol - Cannon column
- * @param {string} type - Operation type ('plant' or 'remove')
+ * @param {string} type - Operation type ('plant', 'remove', 'pot', 'card' or 'shovel')
  * @param {number} waveIndex - Current wave index
  * @param {number} opIndex - Current operation index
  * @param {Array} cannons - Initial cannons array
  * @param {Array} waves - All waves array
+ * @param {Array|null} pots - Tiles with a flower pot before the first wave, or null when
+ *   the scene needs no pots
+ * @param {string|null} card - Card of a card operation
  * @returns {string|null} Error message or null if valid
  */
-export function validateCannonPosition(row, targetCol, type, waveIndex, opIndex, cannons, waves) {
+export function validateCannonPosition(row, targetCol, type, waveIndex, opIndex, cannons, waves, pots = null, card = null) {
+  if (type === 'plant' || type === 'pot' || type === 'card' || type === 'shovel') {
+    const { cobs, craters } = getTilesAtTime(waveIndex, opIndex, cannons, waves);
+    const absoluteTime = getAbsoluteTime(waveIndex, opIndex, waves);
+    const blocked = findBlockedTile(cobs, craters, { type, row, targetCol, absoluteTime });
+    if (blocked && blocked.rule === 'crater') {
+      return `${blocked.tile} 有毁灭菇弹坑`;
+    }
+    if (blocked && type === 'card') {
+      return '该位置有炮（卡片需要空格）';
+    }
+    if (blocked) {
+      return '该位置是炮，铲炮请用铲炮操作';
+    }
+  }
+
   if (type === 'remove') {
     // For remove operations, check dynamically if cannon exists at operation time
     const cannonExists = checkCannonExistsAtTime(row, targetCol, waveIndex, opIndex, cannons, waves);
@@ -227,11 +453,68 @@ export function validateCannonPosition(row, targetCol, type, waveIndex, opIndex,
     if (wouldOverlap) {
       return '该位置与已有炮重叠（炮为1x2大小）';
     }
+    if (pots) {
+      const missing = applyPotOperation(getPotsAtTime(waveIndex, opIndex, cannons, waves, pots), { type, row, targetCol });
+      if (missing) {
+        return `${missing} 没有花盆（屋顶种炮需要两格都有花盆）`;
+      }
+    }
+  } else if (type === 'pot' && pots) {
+    if (applyPotOperation(getPotsAtTime(waveIndex, opIndex, cannons, waves, pots), { type, row, targetCol })) {
+      return '该位置已有花盆';
+    }
+  } else if (type === 'card' && pots) {
+    if (applyPotOperation(getPotsAtTime(waveIndex, opIndex, cannons, waves, pots), { type, row, targetCol, card })) {
+      return '该位置没有花盆（屋顶用卡需要花盆）';
+    }
   }
   
   return null;
 }
 
+/**
+ * Get the cobs and the doom-shroom craters at a specific time by simulating operations
+ * @param {number} currentWaveIndex - Current wave index
+ * @param {number} currentOpIndex - Current operation index
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - All waves
+ * @returns {Object} { cobs, craters } as findBlockedTile takes them
+ */
+export function getTilesAtTime(currentWaveIndex, currentOpIndex, cannons, waves) {
+  const cobs = cannons.map(c => ({ row: c.row, col: c.col }));
+  const craters = new Map();
+  getAllOperationsUpToPoint(currentWaveIndex, currentOpIndex, waves).forEach(op => {
+    if (op.type === 'plant') {
+      cobs.push({ row: op.row, col: op.targetCol });
+    } else if (op.type === 'remove') {
+      const index = cobs.findIndex(c => c.row === op.row && c.col === op.targetCol);
+      if (index !== -1) {
+        cobs.splice(index, 1);
+      }
+    } else {
+      applyCrater(craters, op);
+    }
+  });
+  return { cobs, craters };
+}
+
+/**
+ * Get the tiles holding a flower pot at a specific time by simulating operations
+ * @param {number} currentWaveIndex - Current wave index
+ * @param {number} currentOpIndex - Current operation index
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - All waves
+ * @param {Array} pots - Tiles with a flower pot before the first wave
+ * @returns {Set} Tiles ("row-col") with a pot
+ */
+export function getPotsAtTime(currentWaveIndex, currentOpIndex, cannons, waves, pots) {
+  const tiles = getInitialPots(cannons, pots);
+  getAllOperationsUpToPoint(currentWaveIndex, currentOpIndex, waves).forEach(op => {
+    applyPotOperation(tiles, op);
+  });
+  return tiles;
+}
+
 /**
  * Check if cannon exists at a specific time by simulating operations
  * @param {number} row - Cannon row
@@ -299,7 +582,56 @@ export function checkPlantOverlapAtTime(row, targetCol, currentWaveIndex, curren
 }
 
 /**
- * Get all operations up to a specific point, sorted by time
+ * Validate the card of a card operation and that it has recharged since its last use
+ * @param {string} card - Card id (see OPERATION_CARDS)
+ * @param {number} waveIndex - Wave index of the operation
+ * @param {number} opIndex - Operation index within the wave
+ * @param {Array} waves - All waves
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateCard(card, waveIndex, opIndex, waves) {
+  if (!OPERATION_CARDS.includes(card)) {
+    return '请选择卡片';
+  }
+
+  const previous = getAllOperationsUpToPoint(waveIndex, opIndex, waves)
+    .filter(op => op.type === 'card' && op.card === card);
+  if (previous.length === 0) {
+    return null;
+  }
+
+  const last = previous[previous.length - 1];
+  const time = getAbsoluteTime(waveIndex, opIndex, waves);
+  if (time - last.absoluteTime < DEFAULT_CARDS[card].recharge) {
+    return `卡片冷却中（上次使用: 波次 ${last.waveIndex + 1}, 时间 ${last.time}）`;
+  }
+  return null;
+}
+
+/**
+ * Get the absolute time of an operation, its time counting as 0 when it does not evaluate
+ * or the operation does not exist
+ */
+function getAbsoluteTime(waveIndex, opIndex, waves) {
+  const waveStartTime = waves.slice(0, waveIndex).reduce((total, wave) => total + wave.duration, 0);
+  const op = waves[waveIndex] && waves[waveIndex].operations[opIndex];
+  return waveStartTime + (op ? evaluateTime(op.time, waves[waveIndex].duration) : 0);
+}
+
+/**
+ * Evaluate an operation time expression within its wave, 0 when it does not evaluate
+ */
+function evaluateTime(timeExpr, duration) {
+  try {
+    return Math.floor(Function("w", `return ${timeExpr}`)(duration));
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Get all plant/remove/pot/card/shovel operations up to a specific point, in the order they happen
+ * The operation at the point itself may be of any type
  * @param {number} currentWaveIndex - Current wave index
  * @param {number} currentOpIndex - Current operation index
  * @param {Array} waves - All waves
@@ -316,19 +648,12 @@ export function getAllOperationsUpToPoint(currentWaveIndex, currentOpIndex, wave
     for (let opIndex = 0; opIndex < wave.operations.length; opIndex++) {
       const op = wave.operations[opIndex];
       
-      // Only include plant/remove operations
-      if (op.type === 'plant' || op.type === 'remove') {
-        // Parse the time expression
-        let time;
-        try {
-          time = Math.floor(Function("w", `return ${op.time}`)(wave.duration));
-        } catch (e) {
-          time = 0;
-        }
-        
+      // Only include the operations on the field and the current operation itself
+      const isCurrent = waveIndex === currentWaveIndex && opIndex === currentOpIndex;
+      if (op.type !== 'fire' || isCurrent) {
         allOperationsWithTime.push({
           ...op,
-          absoluteTime: waveStartTime + time,
+          absoluteTime: waveStartTime + evaluateTime(op.time, wave.duration),
           waveIndex,
           opIndex
         });
@@ -338,29 +663,22 @@ export function getAllOperationsUpToPoint(currentWaveIndex, currentOpIndex, wave
     waveStartTime += wave.duration;
   }
   
-  // Sort all operations by absolute time
-  allOperationsWithTime.sort((a, b) => a.absoluteTime - b.absoluteTime);
+  // Sort in the order the operations happen, as the solver simulates them
+  allOperationsWithTime.sort(compareOperations);
   
   // Find the current operation in the sorted list
-  const currentOp = allOperationsWithTime.find(op => 
+  const currentPosition = allOperationsWithTime.findIndex(op => 
     op.waveIndex === currentWaveIndex && op.opIndex === currentOpIndex
   );
   
-  if (!currentOp) {
+  if (currentPosition === -1) {
     return []; // Current operation not found
   }
   
-  // Return all operations that happen before the current operation in time
-  // Also include operations at the same time that are remove operations (they should process first)
-  return allOperationsWithTime.filter(op => {
-    if (op.absoluteTime < currentOp.absoluteTime) {
-      return true;
-    }
-    if (op.absoluteTime === currentOp.absoluteTime && op.type === 'remove' && currentOp.type === 'plant') {
-      return true;
-    }
-    return false;
-  });
+  // Return all operations that happen before the current operation: those at an earlier time,
+  // and at the same time the removes and pots before a plant or card, and those of the same
+  // rank listed earlier (see compareOperations)
+  return allOperationsWithTime.slice(0, currentPosition);
 }
 
 /**
@@ -371,9 +689,14 @@ export function getAllOperationsUpToPoint(currentWaveIndex, currentOpIndex, wave
  * @param {number} maxRows - Maximum rows allowed
  * @param {Array} cannons - Initial cannons
  * @param {Array} waves - All waves
+ * @param {Array|null} pots - Tiles with a flower pot before the first wave, or null when
+ *   the scene needs no pots
+ * @param {string} scene - Scene, for the fly times of fire operations
+ * @param {Array|null} operations - Operations from preprocessOperations(waves), shared by a
+ *   validation pass over many operations; preprocessed when needed if null
  * @returns {Object} Validation errors keyed by field name
  */
-export function validateOperation(operation, waveIndex, opIndex, maxRows, cannons, waves) {
+export function validateOperation(operation, waveIndex, opIndex, maxRows, cannons, waves, pots = null, scene = DEFAULT_SCENE, operations = null) {
   const errors = {};
   
   // Validate time
@@ -396,14 +719,32 @@ export function validateOperation(operation, waveIndex, opIndex, maxRows, cannon
   
   // Validate columns for fire operations
   if (operation.type === 'fire') {
-    const columnsError = validateColumns(operation.columns);
+    const columnsError = validateColumns(operation.columns, maxRows);
     if (columnsError) {
       errors.columns = columnsError;
     }
+    
+    const cannonError = validateCannon(operation.cannon, waveIndex, opIndex, maxRows, cannons, waves, scene, operations);
+    if (cannonError) {
+      errors.cannon = cannonError;
+    }
+    
+    const toleranceError = validateTolerance(operation.tolerance);
+    if (toleranceError) {
+      errors.tolerance = toleranceError;
+    }
   }
   
-  // Validate cannon position for plant/remove operations
-  if (operation.type === 'plant' || operation.type === 'remove') {
+  // Validate the card and its recharge for card operations
+  if (operation.type === 'card') {
+    const cardError = validateCard(operation.card, waveIndex, opIndex, waves);
+    if (cardError) {
+      errors.card = cardError;
+    }
+  }
+  
+  // Validate cannon position for plant/remove operations and the tile of the other field operations
+  if (operation.type !== 'fire') {
     const cannonError = validateCannonPosition(
       operation.row, 
       operation.targetCol, 
@@ -411,7 +752,9 @@ export function validateOperation(operation, waveIndex, opIndex, maxRows, cannon
       waveIndex, 
       opIndex, 
       cannons, 
-      waves
+      waves,
+      pots,
+      operation.card
     );
     if (cannonError) {
       errors.targetCol = cannonError;
@@ -435,5 +778,10 @@ export function validateWave(wave, waveIndex) {
     errors.duration = durationError;
   }
   
+  const durationsError = validateWaveDurations(wave.durations);
+  if (durationsError) {
+    errors.durations = durationsError;
+  }
+  
   return errors;
 }
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * Schedule verifier for CobPlanner
+ * Checks an assignment of fire operations to cannons directly against the game rules
+ * (cooldowns, plant readiness, shovel times), independently of the SAT encoding, so
+ * solver output as well as hand-written or imported plans can be checked.
+ */
+
+import {
+  preprocessOperations,
+  getFlyTime,
+  isCannonInSet,
+  isCannonInList,
+  parseTolerance,
+  parseCannonList,
+  calculateNextAvailableTimes,
+  formatNextAvailable,
+  validateFieldOperations
+} from './solver.js';
+import { resolveMechanics } from './mechanics.js';
+
+/**
+ * Verify an assignment of fire operations to cannons
+ * Violation types:
+ * - 'unknown-operation': the shot names no fire operation
+ * - 'duplicate': the fire operation is assigned more than once
+ * - 'cannon-set': the cannon is outside the operation's cannon set or pinned cannons
+ * - 'tolerance': the landing time is outside the operation's tolerance window
+ * - 'fly-time': the given fire time does not match the landing time and fly time
+ * - 'no-cannon': no cannon stands at the position at fire time
+ * - 'not-ready': the cannon was planted too recently
+ * - 'removed': the cannon is shoveled too soon after firing
+ * - 'cooldown': the cannon fired less than a cooldown before
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} operations - Operations from preprocessOperations
+ * @param {Array} assignment - One { opIndex, cannonRow, cannonCol, landTime, fireTime } per shot,
+ *   as in the fireResults of solveCobReuse: opIndex is the operation's originalIndex, landTime
+ *   defaults to the operation's time and fireTime is optional
+ * @param {Object} options - `scene` and `mechanics`
+ * @returns {Object} { valid, violations } with one { type, waveIndex, opIndex, cannonRow,
+ *   cannonCol, time, message, conflictWith } per violation, sorted by time
+ */
+export function verifySchedule(cannons, operations, assignment, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+  const byIndex = new Map(operations.map(op => [op.originalIndex, op]));
+  const violations = [];
+
+  const instances = buildCannonInstances(cannons, operations);
+
+  const assigned = new Set();
+  assignment.forEach(shot => {
+    const op = byIndex.get(shot.opIndex);
+    const position = `${shot.cannonRow}-${shot.cannonCol}`;
+    const report = (type, time, message, conflictWith = null) => {
+      violations.push({
+        type,
+        waveIndex: op ? op.waveIndex : null,
+        opIndex: op ? op.opIndex : null,
+        cannonRow: shot.cannonRow,
+        cannonCol: shot.cannonCol,
+        time,
+        message,
+        conflictWith
+      });
+    };
+
+    if (!op || op.type !== 'fire') {
+      report('unknown-operation', null, `No fire operation with index ${shot.opIndex}`);
+      return;
+    }
+    if (assigned.has(shot.opIndex)) {
+      report('duplicate', null, 'Fire operation is assigned more than once');
+      return;
+    }
+    assigned.add(shot.opIndex);
+
+    const landTime = typeof shot.landTime === 'number' ? shot.landTime : op.absoluteTime;
+    const fireTime = landTime - getFlyTime(shot.cannonCol, op.targetCol, options.scene, mechanics);
+
+    if (!isCannonInSet(shot.cannonRow, shot.cannonCol, op.columns) || !isCannonInList(shot.cannonRow, shot.cannonCol, op.cannon)) {
+      report('cannon-set', fireTime, `Cannon ${position} is not allowed for this operation`);
+    }
+    const tolerance = parseTolerance(op.tolerance);
+    if (landTime < op.absoluteTime + tolerance.min || landTime > op.absoluteTime + tolerance.max) {
+      report('tolerance', fireTime, `Lands at ${landTime}, outside ${op.absoluteTime + tolerance.min}~${op.absoluteTime + tolerance.max}`);
+    }
+    if (typeof shot.fireTime === 'number' && shot.fireTime !== fireTime) {
+      report('fly-time', shot.fireTime, `Fires at ${shot.fireTime} but must fire at ${fireTime} to land at ${landTime}`);
+    }
+
+    const instance = instances.find(c => c.row === shot.cannonRow && c.col === shot.cannonCol &&
+      (c.plantTime === undefined || c.plantTime <= fireTime) &&
+      (c.removeTime === undefined || c.removeTime > fireTime));
+    if (!instance) {
+      report('no-cannon', fireTime, `No cannon at ${position} at ${fireTime}`);
+      return;
+    }
+    if (instance.plantTime !== undefined && fireTime < instance.plantTime + mechanics.plantReady) {
+      report('not-ready', fireTime, `Cannon ${position} planted at ${instance.plantTime} cannot fire before ${instance.plantTime + mechanics.plantReady}`);
+    }
+    if (instance.removeTime !== undefined && fireTime >= instance.removeTime - mechanics.shovelWindow) {
+      report('removed', fireTime, `Cannon ${position} shoveled at ${instance.removeTime} must fire before ${instance.removeTime - mechanics.shovelWindow}`);
+    }
+    instance.fires.push({ op, fireTime, report });
+  });
+
+  instances.forEach(instance => {
+    instance.fires.sort((a, b) => a.fireTime - b.fireTime);
+    for (let k = 1; k < instance.fires.length; k++) {
+      const previous = instance.fires[k - 1];
+      const fire = instance.fires[k];
+      if (fire.fireTime - previous.fireTime < mechanics.cooldown) {
+        fire.report('cooldown', fire.fireTime,
+          `Fires ${fire.fireTime - previous.fireTime}cs after the previous fire at ${previous.fireTime} (cooldown ${mechanics.cooldown})`,
+          { waveIndex: previous.op.waveIndex, opIndex: previous.op.opIndex });
+      }
+    }
+  });
+
+  violations.sort((a, b) => (a.time === null ? -Infinity : a.time) - (b.time === null ? -Infinity : b.time));
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * List the cannons that stand on the field over time
+ * A plant adds a cannon from its time on, and a remove ends the cannon standing there.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} operations - Operations from preprocessOperations
+ * @returns {Array} One { row, col, plantTime, removeTime, fires } per cannon, where plantTime
+ *   is undefined for the initial cannons, removeTime for those never removed, and fires is empty
+ */
+export function buildCannonInstances(cannons, operations) {
+  const instances = cannons.map(c => ({ row: c.row, col: c.col, fires: [] }));
+  [...operations].sort((a, b) => a.absoluteTime - b.absoluteTime).forEach(op => {
+    if (op.type === 'plant') {
+      instances.push({ row: op.row, col: op.targetCol, plantTime: op.absoluteTime, fires: [] });
+    } else if (op.type === 'remove') {
+      const instance = instances.find(c => c.row === op.row && c.col === op.targetCol &&
+        c.removeTime === undefined && (c.plantTime === undefined || c.plantTime <= op.absoluteTime));
+      if (instance) {
+        instance.removeTime = op.absoluteTime;
+      }
+    }
+  });
+  return instances;
+}
+
+/**
+ * Verify shots given by their position in the waves
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Array} shots - One { waveIndex, opIndex, cannonRow, cannonCol, landTime } per shot; the
+ *   operations of a solveReuse result can be passed as they are (failed and non-fire ones are skipped)
+ * @param {Object} options - `scene` and `mechanics`
+ * @returns {Object} { valid, violations } as for verifySchedule
+ */
+export function verifyPlan(cannons, waves, shots, options = {}) {
+  const { operations } = preprocessOperations(waves);
+  const byPosition = new Map(operations.map(op => [`${op.waveIndex}-${op.opIndex}`, op]));
+
+  const unknown = [];
+  const assignment = [];
+  shots
+    .filter(shot => shot.success !== false && (shot.type === undefined || shot.type === 'fire'))
+    .forEach(shot => {
+      const op = byPosition.get(`${shot.waveIndex}-${shot.opIndex}`);
+      if (!op || op.type !== 'fire') {
+        unknown.push({
+          type: 'unknown-operation',
+          waveIndex: shot.waveIndex,
+          opIndex: shot.opIndex,
+          cannonRow: shot.cannonRow,
+          cannonCol: shot.cannonCol,
+          time: null,
+          message: `No fire operation at wave ${shot.waveIndex}, operation ${shot.opIndex}`,
+          conflictWith: null
+        });
+        return;
+      }
+      assignment.push({
+        opIndex: op.originalIndex,
+        cannonRow: shot.cannonRow,
+        cannonCol: shot.cannonCol,
+        landTime: shot.landTime
+      });
+    });
+
+  const result = verifySchedule(cannons, operations, assignment, options);
+  const violations = [...unknown, ...result.violations];
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Check a plan whose fire operations each name their cannon, bypassing the solver
+ * Every fire operation must pin exactly one cannon ("row-col") in its `cannon` field;
+ * otherwise it gets an 'unassigned' violation. A shot with a tolerance lands as early in its
+ * window as its cannon allows, as in simulateCobQueue.
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} waves - Wave configuration
+ * @param {Object} options - `scene`, `mechanics` and `pots`, the tiles with a flower pot
+ *   before the first wave as for solveReuse
+ * @returns {Object} Result shaped like that of solveReuse (`operations`, `successCount`,
+ *   `nextAvailable`), where a fire operation succeeds when it has no violation, plus the
+ *   `violations` as for verifySchedule
+ */
+export function checkManualPlan(cannons, waves, options = {}) {
+  const mechanics = resolveMechanics(options.mechanics);
+  const { operations, totalTime } = preprocessOperations(waves);
+
+  const checkOptions = { ...options, mechanics };
+  const unassigned = [];
+  const assignment = new Map();
+  operations.filter(op => op.type === 'fire').forEach(op => {
+    const pinned = parseCannonList(op.cannon);
+    if (!pinned || pinned.length !== 1) {
+      unassigned.push({
+        type: 'unassigned',
+        waveIndex: op.waveIndex,
+        opIndex: op.opIndex,
+        cannonRow: null,
+        cannonCol: null,
+        time: null,
+        message: 'Fire operation must name exactly one cannon',
+        conflictWith: null
+      });
+      return;
+    }
+    assignment.set(op.originalIndex, {
+      opIndex: op.originalIndex,
+      cannonRow: pinned[0].row,
+      cannonCol: pinned[0].col,
+      landTime: getEarliestLandTime(op, pinned[0], operations, assignment, checkOptions)
+    });
+  });
+
+  const result = verifySchedule(cannons, operations, [...assignment.values()], checkOptions);
+  return buildCheckedResult(cannons, operations, totalTime, assignment, [...unassigned, ...result.violations], checkOptions);
+}
+
+/**
+ * Turn a checked assignment into a result shaped like that of solveReuse
+ * A fire operation succeeds when it is assigned and has no violation. Plant, remove, pot
+ * and card operations are simulated in order as solveReuse does (see validateFieldOperations).
+ * @param {Array} cannons - Initial cannons
+ * @param {Array} operations - Operations from preprocessOperations
+ * @param {number} totalTime - Total time of the waves
+ * @param {Map} assignment - Shot per originalIndex, as for verifySchedule
+ * @param {Array} violations - Violations found in the assignment
+ * @param {Object} options - `scene`, `pots` and resolved `mechanics`
+ * @returns {Object} { operations, successCount, nextAvailable, diagnosis, violations }
+ */
+export function buildCheckedResult(cannons, operations, totalTime, assignment, violations, options) {
+  const { mechanics } = options;
+  const failed = new Set(violations.map(v => `${v.waveIndex}-${v.opIndex}`));
+  const fieldResults = validateFieldOperations(cannons, operations, options);
+
+  const mappedResults = operations.map(op => {
+    if (op.type !== 'fire') {
+      const validation = fieldResults[`${op.waveIndex}-${op.opIndex}`] || { success: false };
+      return { ...op, success: validation.success };
+    }
+    const shot = assignment.get(op.originalIndex);
+    const success = !!shot && !failed.has(`${op.waveIndex}-${op.opIndex}`);
+    return {
+      ...op,
+      success,
+      cannonRow: success ? shot.cannonRow : null,
+      cannonCol: success ? shot.cannonCol : null,
+      landTime: success ? (typeof shot.landTime === 'number' ? shot.landTime : op.absoluteTime) : null,
+      earlySlack: null,
+      cooldownSlack: null
+    };
+  });
+
+  // Last fire of every cannon position, as the solver tracks it
+  const cannonStates = [
+    ...cannons,
+    ...operations.filter(op => op.type === 'plant').map(op => ({ row: op.row, col: op.targetCol }))
+  ].map(c => ({ row: c.row, col: c.col, lastUsed: -Infinity }));
+  mappedResults.filter(op => op.type === 'fire' && op.success).forEach(op => {
+    const state = cannonStates.find(c => c.row === op.cannonRow && c.col === op.cannonCol);
+    const fireTime = op.landTime - getFlyTime(op.cannonCol, op.targetCol, options.scene, mechanics);
+    state.lastUsed = Math.max(state.lastUsed, fireTime);
+  });
+
+  return {
+    operations: mappedResults,
+    successCount: mappedResults.filter(op => op.type === 'fire' && op.success).length,
+    nextAvailable: formatNextAvailable(calculateNextAvailableTimes(cannonStates, options.scene, mechanics), totalTime, mechanics),
+    diagnosis: null,
+    violations
+  };
+}
+
+/**
+ * Get the earliest landing time in the tolerance window at which a cannon is ready
+ * Falls back to the nominal time (or the nearest end of the window) when it never is.
+ * @param {Object} op - Fire operation from preprocessOperations
+ * @param {Object} cannon - Cannon position ({ row, col })
+ * @param {Array} operations - Operations from preprocessOperations
+ * @param {Map} assignment - Shots fired so far, as for verifySchedule
+ * @param {Object} options - `scene` and resolved `mechanics`
+ * @returns {number} Landing time
+ */
+export function getEarliestLandTime(op, cannon, operations, assignment, options) {
+  const { mechanics } = options;
+  const tolerance = parseTolerance(op.tolerance);
+  const earliest = op.absoluteTime + tolerance.min;
+  const latest = op.absoluteTime + tolerance.max;
+  const flyTime = getFlyTime(cannon.col, op.targetCol, options.scene, mechanics);
+
+  let readyAt = -Infinity;
+  assignment.forEach(shot => {
+    if (shot.cannonRow === cannon.row && shot.cannonCol === cannon.col) {
+      const previous = operations.find(o => o.originalIndex === shot.opIndex);
+      const previousFlyTime = getFlyTime(shot.cannonCol, previous.targetCol, options.scene, mechanics);
+      readyAt = Math.max(readyAt, shot.landTime - previousFlyTime + mechanics.cooldown);
+    }
+  });
+  operations.forEach(o => {
+    if (o.type === 'plant' && o.row === cannon.row && o.targetCol === cannon.col && o.absoluteTime <= latest - flyTime) {
+      readyAt = Math.max(readyAt, o.absoluteTime + mechanics.plantReady);
+    }
+  });
+
+  const landTime = readyAt + flyTime;
+  if (landTime >= earliest && landTime <= latest) {
+    return landTime;
+  }
+  return landTime < earliest ? earliest : Math.min(Math.max(op.absoluteTime, earliest), latest);
+}
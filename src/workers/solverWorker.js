@@ -0,0 +1,22 @@
+/**
+ * Web Worker entry for the reuse solver
+ * Runs a solver task (solveReuse by default) off the main thread and streams progress back to the page
+ */
+
+import { runSolverTask } from '../utils/solverTasks.js';
+
+self.onmessage = (event) => {
+  const { id, task = 'solve', cannons, waves, options } = event.data;
+
+  try {
+    const result = runSolverTask(task, cannons, waves, {
+      ...options,
+      onProgress: (progress) => {
+        self.postMessage({ id, type: 'progress', ...progress });
+      }
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Benchmarks for the cooldown encodings of solveCobReuse
+ * Run with: npm run bench
+ */
+
+import { bench, describe } from 'vitest';
+import { solveCobReuse } from '../../src/utils/solver.js';
+
+/**
+ * Build a multi-flag style plan: every 1500cs wave fires the same number of shots
+ * spread over the wave, alternating between all cannons and the back columns
+ * @param {number} waveCount - Number of waves
+ * @param {number} shotsPerWave - Fire operations per wave
+ * @param {number} cannonCount - Number of cannons (five rows, two columns apart)
+ * @returns {Object} Cannons and preprocessed operations
+ */
+function buildPlan(waveCount, shotsPerWave, cannonCount) {
+  const cannons = Array.from({ length: cannonCount }, (_, i) => ({
+    row: (i % 5) + 1,
+    col: Math.floor(i / 5) * 2 + 1
+  }));
+
+  const operations = [];
+  for (let wave = 0; wave < waveCount; wave++) {
+    for (let shot = 0; shot < shotsPerWave; shot++) {
+      operations.push({
+        type: 'fire',
+        absoluteTime: wave * 1500 + Math.floor(shot * 1500 / shotsPerWave),
+        row: (shot % 5) + 1,
+        targetCol: 9,
+        columns: shot % 2 ? '1-4' : '1-8',
+        originalIndex: operations.length
+      });
+    }
+  }
+
+  return { cannons, operations };
+}
+
+const scenarios = [
+  { name: '10 waves x 4 shots x 10 cannons', plan: buildPlan(10, 4, 10) },
+  { name: '40 waves x 8 shots x 20 cannons', plan: buildPlan(40, 8, 20) }
+];
+
+scenarios.forEach(({ name, plan }) => {
+  describe(name, () => {
+    bench('ladder encoding', () => {
+      solveCobReuse(plan.cannons, plan.operations, { encoding: 'ladder' });
+    }, { iterations: 3, time: 0 });
+
+    bench('pairwise encoding', () => {
+      solveCobReuse(plan.cannons, plan.operations, { encoding: 'pairwise' });
+    }, { iterations: 3, time: 0 });
+  });
+});
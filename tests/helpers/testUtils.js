@@ -51,12 +51,15 @@ export const createTestStore = (configName = 'basic', overrides = {}) => {
         namespaced: true,
         state: () => ({
           fieldName: config.fieldName || '',
+          scene: config.scene || 'roof',
           rows: config.rows || 5,
           cannons: config.cannons || [],
+          pots: config.pots || [],
           ...overrides.field
         }),
         getters: {
           fieldName: (state) => state.fieldName,
+          scene: (state) => state.scene,
           rows: (state) => state.rows,
           cannons: (state) => state.cannons,
           cannonCount: (state) => state.cannons.length,
@@ -68,12 +71,16 @@ export const createTestStore = (configName = 'basic', overrides = {}) => {
             return state.cannons.some(c => 
               c.row === row && (c.col === col || c.col === col - 1)
             );
-          }
+          },
+          pots: (state) => state.pots
         },
         mutations: {
           SET_FIELD_NAME(state, fieldName) {
             state.fieldName = fieldName;
           },
+          SET_SCENE(state, scene) {
+            state.scene = scene;
+          },
           SET_ROWS(state, rows) {
             state.rows = rows;
           },
@@ -94,6 +101,9 @@ export const createTestStore = (configName = 'basic', overrides = {}) => {
           setFieldName({ commit }, fieldName) {
             commit('SET_FIELD_NAME', fieldName);
           },
+          setScene({ commit }, scene) {
+            commit('SET_SCENE', scene);
+          },
           setRows({ commit }, rows) {
             commit('SET_ROWS', rows);
           },
@@ -366,6 +376,9 @@ export const createTestStore = (configName = 'basic', overrides = {}) => {
         if (data.fieldName !== undefined) {
           dispatch('field/setFieldName', data.fieldName);
         }
+        if (data.scene !== undefined) {
+          dispatch('field/setScene', data.scene);
+        }
         if (data.rows !== undefined) {
           dispatch('field/setRows', data.rows);
         }
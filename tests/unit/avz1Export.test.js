@@ -0,0 +1,172 @@
+/**
+ * Unit tests for AvZ1 export functionality
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateAvZ1Code } from '../../src/utils/avz1Export.js';
+import { avz2ExportData } from '../fixtures/testData.js';
+
+function fire(waveIndex, opIndex, absoluteTime, extra = {}) {
+  return { type: 'fire', waveIndex, opIndex, absoluteTime, cannonRow: 1, cannonCol: 1, row: 2, targetCol: 9, success: true, ...extra };
+}
+
+describe('AvZ1 Export', () => {
+
+  describe('generateAvZ1Code', () => {
+
+    describe('Basic functionality', () => {
+      it('should return empty comment for no successful operations', () => {
+        expect(generateAvZ1Code({ successCount: 0, operations: [] }, [])).toBe('// No successful operations to export');
+      });
+
+      it('should generate basic fire operation', () => {
+        const { result, waves } = avz2ExportData.basicFireOperation;
+
+        const code = generateAvZ1Code(result, waves);
+        expect(code).toBe('SetTime(100, 1);\npao_operator.rawRoofPao(1, 1, 2, 9);');
+      });
+
+      it('should handle null or undefined inputs gracefully', () => {
+        expect(generateAvZ1Code(null, [])).toBe('// No successful operations to export');
+        expect(generateAvZ1Code(undefined, [])).toBe('// No successful operations to export');
+        expect(generateAvZ1Code({ successCount: 0 }, null)).toBe('// No successful operations to export');
+      });
+    });
+
+    describe('Multiple operations', () => {
+      it('should set the time once per group and order the waves', () => {
+        const result = {
+          successCount: 4,
+          operations: [
+            fire(1, 0, 700),
+            fire(0, 1, 300, { cannonCol: 6, row: 5 }),
+            fire(0, 0, 300),
+            { type: 'plant', waveIndex: 0, opIndex: 2, absoluteTime: 100, row: 3, targetCol: 4, success: true }
+          ]
+        };
+        const waves = [
+          { duration: 601, notes: '', operations: [] },
+          { duration: 601, notes: '', operations: [] }
+        ];
+
+        const code = generateAvZ1Code(result, waves);
+        expect(code).toBe([
+          'SetTime(100, 1);',
+          'Card(COB_CANNON, 3, 4);',
+          'SetTime(300, 1);',
+          'pao_operator.rawRoofPao(1, 6, 5, 9);',
+          'pao_operator.rawRoofPao(1, 1, 2, 9);',
+          '',
+          'SetTime(99, 2);',
+          'pao_operator.rawRoofPao(1, 1, 2, 9);'
+        ].join('\n'));
+      });
+    });
+
+    describe('Operation types', () => {
+      it('should shovel, place pots and use cards', () => {
+        const result = {
+          successCount: 1,
+          operations: [
+            fire(0, 0, 500),
+            { type: 'remove', waveIndex: 0, opIndex: 1, absoluteTime: 100, row: 1, targetCol: 3, success: true },
+            { type: 'remove', waveIndex: 0, opIndex: 2, absoluteTime: 200, row: 4, targetCol: 3, removePots: true, success: true },
+            { type: 'pot', waveIndex: 0, opIndex: 3, absoluteTime: 300, row: 2, targetCol: 5, success: true },
+            { type: 'card', card: 'ice', waveIndex: 0, opIndex: 4, absoluteTime: 400, row: 1, targetCol: 9, success: true },
+            { type: 'card', card: 'cherry', waveIndex: 0, opIndex: 5, absoluteTime: 400, row: 3, targetCol: 8, success: true },
+            { type: 'shovel', waveIndex: 0, opIndex: 6, absoluteTime: 450, row: 5, targetCol: 9, success: true }
+          ]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        const code = generateAvZ1Code(result, waves);
+        expect(code).toContain('SetTime(100, 1);\nShovel(1, 3);');
+        expect(code).toContain('SetTime(200, 1);\nShovel(4, 3);\nShovel(4, 3);\nShovel(4, 4);');
+        expect(code).toContain('SetTime(300, 1);\nCard(FLOWER_POT, 2, 5);');
+        expect(code).toContain('SetTime(400, 1);\nCard(ICE_SHROOM, 1, 9);\nCard(CHERRY_BOMB, 3, 8);');
+        expect(code).toContain('SetTime(450, 1);\nShovel(5, 9);');
+      });
+    });
+
+    describe('Timing commands', () => {
+      it('should keep entered time expressions without TrigAt', () => {
+        const result = {
+          successCount: 3,
+          operations: [
+            fire(0, 0, 366, { time: '341 + 25' }),
+            fire(0, 1, 1000, { time: 'w - 200', cannonCol: 3 }),
+            fire(0, 2, 1000, { cannonCol: 5 })
+          ]
+        };
+        const waves = [{ duration: 1200, notes: '', operations: [] }];
+
+        const code = generateAvZ1Code(result, waves);
+        expect(code).toContain('SetTime(341 + 25, 1);');
+        expect(code).toContain('SetTime(1200 - 200, 1);\npao_operator.rawRoofPao(1, 3, 2, 9);');
+        expect(code).toContain('SetTime(1000, 1);\npao_operator.rawRoofPao(1, 5, 2, 9);');
+        expect(code).not.toContain('TrigAt');
+      });
+
+      it('should use the landing time the solver chose within the tolerance', () => {
+        const result = { successCount: 1, operations: [fire(0, 0, 300, { time: '300', landTime: 310 })] };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        expect(generateAvZ1Code(result, waves)).toContain('SetTime(310, 1);');
+      });
+    });
+
+    describe('Success filtering', () => {
+      it('should only include successful operations', () => {
+        const result = { successCount: 1, operations: [fire(0, 0, 100), fire(0, 1, 200, { success: false, cannonCol: 6 })] };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        const code = generateAvZ1Code(result, waves);
+        expect(code).toContain('rawRoofPao(1, 1, 2, 9)');
+        expect(code).not.toContain('rawRoofPao(1, 6, 2, 9)');
+      });
+    });
+
+    describe('Cob queue', () => {
+      it('should fire from the queue and set it up first', () => {
+        const result = {
+          successCount: 2,
+          queue: [{ row: 1, col: 1 }, { row: 3, col: 1 }],
+          operations: [fire(0, 0, 300), fire(0, 1, 300, { cannonRow: 3, row: 5 })]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        expect(generateAvZ1Code(result, waves)).toBe([
+          '// Cob queue, set up before the waves:',
+          'pao_operator.resetPaoList({{1, 1}, {3, 1}});',
+          'pao_operator.setSequentialMode(PaoOperator::SPACE);',
+          '',
+          'SetTime(300, 1);',
+          'pao_operator.roofPao(2, 9);',
+          'pao_operator.roofPao(5, 9);'
+        ].join('\n'));
+      });
+    });
+
+    describe('Scenes', () => {
+      it('should fire with pao() and rawPao() off the roof', () => {
+        const result = { successCount: 1, operations: [fire(0, 0, 100)] };
+        const queued = { successCount: 1, queue: [{ row: 1, col: 1 }], operations: [fire(0, 0, 100)] };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        expect(generateAvZ1Code(result, waves, false, 'pool')).toBe('SetTime(100, 1);\npao_operator.rawPao(1, 1, 2, 9);');
+        expect(generateAvZ1Code(queued, waves, false, 'pool')).toContain('SetTime(100, 1);\npao_operator.pao(2, 9);');
+        expect(generateAvZ1Code(result, waves, false, 'roof')).toContain('pao_operator.rawRoofPao(1, 1, 2, 9);');
+      });
+    });
+
+    describe('Notes handling', () => {
+      it('should include notes only when requested', () => {
+        const result = { successCount: 1, operations: [fire(0, 0, 100)] };
+        const waves = [{ duration: 601, notes: '  PPDD  ', operations: [] }];
+
+        expect(generateAvZ1Code(result, waves, true)).toBe('// PPDD\nSetTime(100, 1);\npao_operator.rawRoofPao(1, 1, 2, 9);');
+        expect(generateAvZ1Code(result, waves, false)).not.toContain('PPDD');
+      });
+    });
+  });
+});
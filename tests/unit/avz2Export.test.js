@@ -4,7 +4,8 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { generateAvZ2Code } from '../../src/utils/avz2Export.js';
+import { generateAvZ2Code, generateAvZ2Script } from '../../src/utils/avz2Export.js';
+import { simulateCobQueue } from '../../src/utils/cobQueue.js';
 import { avz2ExportData } from '../fixtures/testData.js';
 
 describe('AvZ2 Export', () => {
@@ -244,6 +245,75 @@ describe('AvZ2 Export', () => {
         const code = generateAvZ2Code(result, waves);
         expect(code).toContain('At(400)'); // Should use At(), not TrigAt()
       });
+
+      it('should keep the time expressions as entered', () => {
+        const op = (opIndex, time, absoluteTime, extra = {}) => ({
+          type: 'fire', waveIndex: 0, opIndex, time, absoluteTime, cannonRow: 1, cannonCol: opIndex + 1, row: 2, targetCol: 9, success: true, ...extra
+        });
+        const result = {
+          successCount: 5,
+          operations: [
+            op(0, '341 + 25', 366),
+            op(1, 'w - 200', 1000),
+            op(2, '1000', 1000),
+            op(3, 'Math.floor(w / 2)', 600),
+            op(4, '-100', -100)
+          ]
+        };
+        const waves = [{ duration: 1200, notes: '', operations: [] }];
+
+        const code = generateAvZ2Code(result, waves);
+
+        expect(code).toBe([
+          'OnWave(1) {',
+          '    At(-100) RP(1, 5, 2, 9),',
+          '    At(341 + 25) RP(1, 1, 2, 9),',
+          '    At(600) RP(1, 4, 2, 9),',
+          '    TrigAt(1200 - 200) RP(1, 2, 2, 9),',
+          '    At(1000) RP(1, 3, 2, 9)',
+          '};'
+        ].join('\n'));
+      });
+
+      it('should not take a number for the trigger timing when the expression is known', () => {
+        const result = {
+          successCount: 1,
+          operations: [
+            { type: 'fire', waveIndex: 0, opIndex: 0, time: '401', absoluteTime: 401, cannonRow: 3, cannonCol: 1, row: 2, targetCol: 9, success: true }
+          ]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        expect(generateAvZ2Code(result, waves)).toContain('    At(401) RP(3, 1, 2, 9)');
+      });
+
+      it('should emit the landing time chosen within a tolerance', () => {
+        const result = {
+          successCount: 1,
+          operations: [
+            {
+              type: 'fire',
+              waveIndex: 1,
+              opIndex: 0,
+              absoluteTime: 601 + 225,
+              landTime: 601 + 233,
+              tolerance: '0~15',
+              cannonRow: 1,
+              cannonCol: 1,
+              row: 2,
+              targetCol: 9,
+              success: true
+            }
+          ]
+        };
+        const waves = [
+          { duration: 601, notes: '', operations: [] },
+          { duration: 601, notes: '', operations: [] }
+        ];
+        
+        const code = generateAvZ2Code(result, waves);
+        expect(code).toContain('At(233) RP(1, 1, 2, 9)');
+      });
     });
 
     describe('Operation ordering', () => {
@@ -332,6 +402,49 @@ describe('AvZ2 Export', () => {
       });
     });
 
+    describe('Cob queue', () => {
+      it('should fire from the queue and set it up first', () => {
+        const result = {
+          successCount: 2,
+          queue: [{ row: 1, col: 1 }, { row: 3, col: 1 }],
+          operations: [
+            { type: 'fire', waveIndex: 0, opIndex: 0, absoluteTime: 300, cannonRow: 1, cannonCol: 1, row: 2, targetCol: 9, success: true },
+            { type: 'fire', waveIndex: 0, opIndex: 1, absoluteTime: 300, cannonRow: 3, cannonCol: 1, row: 5, targetCol: 9, success: true },
+            { type: 'plant', waveIndex: 0, opIndex: 2, absoluteTime: 400, row: 4, targetCol: 1, success: true }
+          ]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        const code = generateAvZ2Code(result, waves);
+        expect(code).toBe([
+          '// Cob queue, set up before the waves:',
+          'aCobManager.SetList({{1, 1}, {3, 1}});',
+          'aCobManager.SetSequentialMode(ACobManager::SPACE);',
+          '',
+          'OnWave(1) {',
+          '    At(300) P(2, 9) & P(5, 9),',
+          '    At(400) Card(ACOB_CANNON, 4, 1)',
+          '};'
+        ].join('\n'));
+      });
+
+      it('should keep the queue in step with the simulation when a shot fails', () => {
+        const queue = [{ row: 1, col: 1 }, { row: 2, col: 1 }];
+        const waves = [{
+          duration: 601,
+          notes: '',
+          operations: [300, 400, 500, 3900].map(time => ({ type: 'fire', time: `${time}`, row: 1, targetCol: 9, columns: '' }))
+        }];
+
+        const result = simulateCobQueue(queue, waves, queue, { scene: 'day' });
+        const code = generateAvZ2Code(result, waves);
+
+        // The failed shot at 500 is left out, so the game fires 1-1, 2-1 and 1-1 as simulated
+        expect(result.operations.map(op => op.success && op.cannonRow)).toEqual([1, 2, false, 1]);
+        expect(code.match(/At\(\d+\)/g)).toEqual(['At(300)', 'At(400)', 'At(3900)']);
+      });
+    });
+
     describe('Notes handling', () => {
       it('should not include notes when includeNotes is false', () => {
         const result = {
@@ -614,6 +727,46 @@ describe('AvZ2 Export', () => {
       });
     });
 
+    describe('Flower pots', () => {
+      it('should place pots and shovel them after the cob', () => {
+        const result = {
+          successCount: 1,
+          operations: [
+            { type: 'fire', waveIndex: 0, opIndex: 3, absoluteTime: 400, cannonRow: 2, cannonCol: 1, row: 2, targetCol: 9, success: true },
+            { type: 'pot', waveIndex: 0, opIndex: 0, absoluteTime: 100, row: 2, targetCol: 5, success: true },
+            { type: 'remove', waveIndex: 0, opIndex: 1, absoluteTime: 200, row: 1, targetCol: 3, removePots: true, success: true },
+            { type: 'remove', waveIndex: 0, opIndex: 2, absoluteTime: 300, row: 4, targetCol: 3, success: true }
+          ]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        const code = generateAvZ2Code(result, waves);
+
+        expect(code).toContain('At(100) Card(AFLOWER_POT, 2, 5)');
+        expect(code).toContain('At(200) Shovel(1, 3) & Shovel(1, 3) & Shovel(1, 4)');
+        expect(code).toContain('At(300) Shovel(4, 3)');
+      });
+    });
+
+    describe('Card operations', () => {
+      it('should use the AvZ2 plant type of the card', () => {
+        const result = {
+          successCount: 1,
+          operations: [
+            { type: 'card', card: 'ice', waveIndex: 0, opIndex: 0, absoluteTime: 1, row: 1, targetCol: 9, success: true },
+            { type: 'card', card: 'jalapeno', waveIndex: 0, opIndex: 1, absoluteTime: 200, row: 2, targetCol: 7, success: true },
+            { type: 'fire', waveIndex: 0, opIndex: 2, absoluteTime: 200, cannonRow: 1, cannonCol: 1, row: 2, targetCol: 9, success: true }
+          ]
+        };
+        const waves = [{ duration: 601, notes: '', operations: [] }];
+
+        const code = generateAvZ2Code(result, waves);
+
+        expect(code).toContain('At(1) Card(AICE_SHROOM, 1, 9)');
+        expect(code).toContain('At(200) Card(AJALAPENO, 2, 7) & RP(1, 1, 2, 9)');
+      });
+    });
+
     describe('Format validation', () => {
       it('should produce valid AvZ2 DSL syntax', () => {
         const result = {
@@ -655,4 +808,69 @@ describe('AvZ2 Export', () => {
       });
     });
   });
+
+  describe('generateAvZ2Script', () => {
+    it('should wrap the waves in a complete script', () => {
+      const result = {
+        successCount: 3,
+        queue: [{ row: 1, col: 1 }, { row: 3, col: 1 }],
+        operations: [
+          { type: 'card', card: 'ice', waveIndex: 0, opIndex: 0, absoluteTime: 1, row: 1, targetCol: 9, success: true },
+          { type: 'fire', waveIndex: 0, opIndex: 1, absoluteTime: 300, cannonRow: 1, cannonCol: 1, row: 2, targetCol: 9, success: true },
+          { type: 'plant', waveIndex: 1, opIndex: 0, absoluteTime: 1000, row: 4, targetCol: 1, success: true },
+          { type: 'card', card: 'doom', waveIndex: 1, opIndex: 1, absoluteTime: 1100, row: 3, targetCol: 9, success: false }
+        ]
+      };
+      const waves = [
+        { duration: 601, notes: '', operations: [] },
+        { duration: 601, notes: '', operations: [] }
+      ];
+      const field = { cannons: [{ row: 1, col: 1 }, { row: 3, col: 1 }], pots: [{ row: 4, col: 1 }, { row: 4, col: 2 }], scene: 'roof' };
+
+      const code = generateAvZ2Script(result, waves, field);
+
+      expect(code).toBe([
+        '#include <avz.h>',
+        '#include <dsl/shorthand.h>',
+        '',
+        'void AScript()',
+        '{',
+        '    ASelectCards({ACOB_CANNON, AKERNEL_PULT, AICE_SHROOM});',
+        '',
+        '    // Field (roof), set up before the first wave:',
+        '    //   Cob cannons (left tile): 1-1, 3-1',
+        '    //   Flower pots besides those under the cannons: 4-1, 4-2',
+        '',
+        '    aCobManager.SetList({{1, 1}, {3, 1}});',
+        '    aCobManager.SetSequentialMode(ACobManager::SPACE);',
+        '',
+        '    OnWave(1) {',
+        '        At(1) Card(AICE_SHROOM, 1, 9),',
+        '        At(300) P(2, 9)',
+        '    };',
+        '',
+        '    OnWave(2) {',
+        '        At(399) Card(ACOB_CANNON, 4, 1)',
+        '    };',
+        '}'
+      ].join('\n'));
+    });
+
+    it('should leave out the card selection when no card is used', () => {
+      const result = {
+        successCount: 1,
+        operations: [
+          { type: 'fire', waveIndex: 0, opIndex: 0, absoluteTime: 300, cannonRow: 1, cannonCol: 1, row: 2, targetCol: 9, success: true }
+        ]
+      };
+      const waves = [{ duration: 601, notes: '', operations: [] }];
+
+      const code = generateAvZ2Script(result, waves);
+
+      expect(code).not.toContain('ASelectCards');
+      expect(code).toContain('    // Field, set up before the first wave:\n    //   No cob cannons');
+      expect(code).toContain('        At(300) RP(1, 1, 2, 9)');
+      expect(generateAvZ2Script({ successCount: 0, operations: [] }, waves)).toBe('// No successful operations to export');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for AvZ2 script import
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseAvZ2Script } from '../../src/utils/avz2Import.js';
+import { generateAvZ2Code, generateAvZ2Script } from '../../src/utils/avz2Export.js';
+import { solveReuse } from '../../src/utils/solver.js';
+import { simulateCobQueue } from '../../src/utils/cobQueue.js';
+
+function fire(time, cannon, row, targetCol) {
+  return { type: 'fire', time, row, targetCol, columns: '1-8', cannon };
+}
+
+describe('AvZ2 Import', () => {
+  describe('parseAvZ2Script', () => {
+    it('should read wave blocks into operations', () => {
+      const source = [
+        'OnWave(1) {',
+        '    At(-100) RP(1, 5, 2, 9),',
+        '    At(341 + 25) RP(1, 1, 2, 9) & RP(3, 1, 5, 8.75),',
+        '    At(600) Card(ACOB_CANNON, 4, 1) & Shovel(2, 3)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      expect(result.waves).toEqual([{
+        duration: 601,
+        notes: '',
+        operations: [
+          fire('-100', '1-5', 2, 9),
+          fire('341 + 25', '1-1', 2, 9),
+          fire('341 + 25', '3-1', 5, 8.75),
+          { type: 'plant', time: '600', row: 4, targetCol: 1 },
+          { type: 'shovel', time: '600', row: 2, targetCol: 3 }
+        ]
+      }]);
+      expect(result.unparsed).toEqual([]);
+    });
+
+    it('should infer the initial cannons from the RP sources', () => {
+      const source = [
+        'OnWave(1) {',
+        '    At(300) RP(3, 1, 2, 9) & RP(1, 1, 5, 9),',
+        '    At(400) Card(ACOB_CANNON, 2, 5)',
+        '};',
+        'OnWave(2) {',
+        '    At(1000) RP(2, 5, 2, 9) & RP(1, 1, 5, 9)',
+        '};'
+      ].join('\n');
+
+      // 2-5 is planted before it first fires
+      expect(parseAvZ2Script(source).cannons).toEqual([{ row: 1, col: 1 }, { row: 3, col: 1 }]);
+    });
+
+    it('should read a Shovel() of a known cob as a remove', () => {
+      const source = [
+        'OnWave(1) {',
+        '    At(100) RP(1, 1, 2, 9),',
+        '    At(200) Shovel(1, 1) & Shovel(3, 5),',
+        '    At(300) Card(ACOB_CANNON, 3, 5),',
+        '    At(400) Shovel(3, 5) & Shovel(1, 1)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      // 1-1 fired, so it stood there from the start; 3-5 was planted at 300
+      expect(result.waves[0].operations.map(op => [op.type, `${op.row}-${op.targetCol}`])).toEqual([
+        ['fire', '2-9'], ['remove', '1-1'], ['shovel', '3-5'], ['plant', '3-5'], ['remove', '3-5'], ['shovel', '1-1']
+      ]);
+    });
+
+    it('should take the wave duration from TrigAt', () => {
+      const source = [
+        'OnWave(1) {',
+        '    TrigAt(1200 - 200) RP(1, 1, 2, 9),',
+        '    TrigAt(500) RP(1, 3, 2, 9)',
+        '};',
+        'OnWave(3) {',
+        '    At(100) P(2, 9)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      expect(result.waves.map(wave => wave.duration)).toEqual([1200, 601, 601]);
+      expect(result.waves[0].operations.map(op => op.time)).toEqual(['w-200', '500']);
+      expect(result.waves[1].operations).toEqual([]);
+      expect(result.waves[2].operations).toEqual([{ type: 'fire', time: '100', row: 2, targetCol: 9, columns: '1-8' }]);
+      expect(result.unparsed).toEqual([{
+        line: 3,
+        text: 'TrigAt(500)',
+        reason: 'Trigger time 500 disagrees with wave duration 1200; imported as At()'
+      }]);
+    });
+
+    it('should read the cob queue into the cannons', () => {
+      const source = [
+        'aCobManager.SetList({{1, 1}, {3, 1}, {5, 1}});',
+        'aCobManager.SetSequentialMode(ACobManager::SPACE);',
+        'aCobManager.Skip(1);',
+        'OnWave(1) {',
+        '    At(100) Card(ACOB_CANNON, 5, 1),',
+        '    At(300) P(2, 9) & Shovel(3, 1) & RP(2, 5, 5, 9)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      // 5-1 is planted before it is shoveled, so it is not there from the start
+      expect(result.queue).toEqual([{ row: 1, col: 1 }, { row: 3, col: 1 }, { row: 5, col: 1 }]);
+      expect(result.cannons).toEqual([{ row: 1, col: 1 }, { row: 2, col: 5 }, { row: 3, col: 1 }]);
+      expect(result.waves[0].operations[2]).toEqual({ type: 'remove', time: '300', row: 3, targetCol: 1 });
+      expect(result.unparsed).toEqual([
+        { line: 3, text: 'aCobManager.Skip(1);', reason: 'Unsupported cob manager call: Skip(1)' }
+      ]);
+      expect(parseAvZ2Script('aCobManager.SetList({1, 1});').unparsed[0].reason).toBe('Invalid arguments: SetList({1, 1})');
+    });
+
+    it('should extend a wave without TrigAt to its latest entry', () => {
+      const source = [
+        'OnWave(1) {',
+        '    At(601) RP(1, 1, 2, 9),',
+        '    At(1000) RP(1, 3, 2, 9)',
+        '};',
+        'OnWave(2) {',
+        '    At(1000) RP(1, 5, 2, 9),',
+        '    TrigAt(1000) RP(1, 7, 2, 9)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      expect(result.waves.map(wave => wave.duration)).toEqual([1000, 1200]);
+      expect(result.waves[0].operations.map(op => op.time)).toEqual(['601', '1000']);
+      expect(result.waves[1].operations.map(op => op.time)).toEqual(['1000', 'w-200']);
+      expect(result.cannons.map(c => c.col)).toEqual([1, 3, 5, 7]);
+      expect(result.unparsed).toEqual([]);
+    });
+
+    it('should report the lines it cannot parse', () => {
+      const source = [
+        'ASetZombies({AZOMBIE});',
+        'OnWave(1) {',
+        '    At(300) RP(1, 1, 2, 9) & Foo(1),',
+        '    At(w / 2) RP(1, 1, 2, 9),',
+        '    At(400) Card(ASUNFLOWER, 1, 1),',
+        '    At(500) Shovel(1),',
+        '    AConnect(1, 2),',
+        '    At(600) RP(1, 1, 2, 9)',
+        '};'
+      ].join('\n');
+
+      const result = parseAvZ2Script(source);
+
+      expect(result.unparsed).toEqual([
+        { line: 1, text: 'ASetZombies({AZOMBIE});', reason: 'Not inside an OnWave block' },
+        { line: 3, text: 'At(300) RP(1, 1, 2, 9) & Foo(1)', reason: 'Unknown command: Foo' },
+        { line: 4, text: 'At(w / 2) RP(1, 1, 2, 9)', reason: 'Unsupported time expression: w / 2' },
+        { line: 5, text: 'At(400) Card(ASUNFLOWER, 1, 1)', reason: 'Unsupported card: ASUNFLOWER' },
+        { line: 6, text: 'At(500) Shovel(1)', reason: 'Invalid arguments: Shovel(1)' },
+        { line: 7, text: 'AConnect(1, 2)', reason: 'Expected At() or TrigAt()' }
+      ]);
+      expect(result.waves[0].operations).toEqual([fire('600', '1-1', 2, 9)]);
+    });
+
+    it('should return nothing for a script without waves', () => {
+      expect(parseAvZ2Script('')).toEqual({ cannons: [], queue: [], waves: [], unparsed: [] });
+    });
+  });
+
+  describe('Round trip', () => {
+    const cannons = [{ row: 1, col: 1 }, { row: 2, col: 1 }];
+    const waves = [
+      {
+        duration: 1200,
+        notes: 'PPDD',
+        operations: [
+          { type: 'fire', time: '341 + 25', row: 2, targetCol: 9, columns: '1-8' },
+          { type: 'card', card: 'ice', time: '500', row: 1, targetCol: 9 },
+          { type: 'fire', time: 'w-200', row: 5, targetCol: 9, columns: '1-8' }
+        ]
+      },
+      {
+        duration: 601,
+        notes: '',
+        operations: [
+          { type: 'remove', time: '0', row: 2, targetCol: 1, removePots: true },
+          { type: 'pot', time: '100', row: 2, targetCol: 1 },
+          { type: 'shovel', time: '200', row: 3, targetCol: 7 }
+        ]
+      }
+    ];
+
+    it('should read back what the export writes', () => {
+      const solved = solveReuse(cannons, waves, { scene: 'day' });
+
+      for (const code of [generateAvZ2Code(solved, waves, true), generateAvZ2Script(solved, waves, { cannons }, true)]) {
+        const result = parseAvZ2Script(code);
+
+        expect(result.unparsed).toEqual([]);
+        expect(result.cannons).toEqual(cannons);
+        expect(result.waves.map(wave => [wave.duration, wave.notes])).toEqual([[1200, 'PPDD'], [601, '']]);
+        expect(result.waves[0].operations.map(op => [op.type, op.time])).toEqual([
+          ['fire', '341 + 25'], ['card', '500'], ['fire', 'w-200']
+        ]);
+        expect(result.waves[1].operations).toEqual([
+          { type: 'remove', time: '0', row: 2, targetCol: 1, removePots: true },
+          { type: 'pot', time: '100', row: 2, targetCol: 1 },
+          { type: 'shovel', time: '200', row: 3, targetCol: 7 }
+        ]);
+      }
+    });
+
+    it('should read back the operations of a long wave without a w-200 operation', () => {
+      const longWaves = [
+        {
+          duration: 1200,
+          notes: '',
+          operations: [
+            { type: 'fire', time: '300', row: 2, targetCol: 9, columns: '1-8' },
+            { type: 'fire', time: '1000', row: 5, targetCol: 9, columns: '1-8' }
+          ]
+        }
+      ];
+      const solved = solveReuse(cannons, longWaves, { scene: 'day' });
+
+      const result = parseAvZ2Script(generateAvZ2Script(solved, longWaves, { cannons }, false));
+
+      expect(result.unparsed).toEqual([]);
+      expect(result.cannons).toEqual(cannons);
+      expect(result.waves[0].duration).toBe(1000);
+      expect(result.waves[0].operations.map(op => [op.time, op.columns, op.cannon])).toEqual(
+        solved.operations.map(op => [op.time, '1-8', `${op.cannonRow}-${op.cannonCol}`])
+      );
+    });
+
+    it('should read back the cob queue of a queue export', () => {
+      const queue = [{ row: 2, col: 1 }, { row: 1, col: 1 }];
+      const queueWaves = [{ duration: 601, notes: '', operations: [{ type: 'fire', time: '300', row: 2, targetCol: 9, columns: '1-8' }] }];
+      const simulated = simulateCobQueue(cannons, queueWaves, queue, { scene: 'day' });
+
+      const result = parseAvZ2Script(generateAvZ2Script(simulated, queueWaves, { cannons }, false));
+
+      expect(result.unparsed).toEqual([]);
+      expect(result.queue).toEqual(queue);
+      expect(result.cannons).toEqual(cannons);
+    });
+  });
+});
@@ -75,7 +75,9 @@ describe('CobPlannerAPI', () => {
             operations: [
               { type: 'fire', time: 100, row: 1, targetCol: 5.0 },
               { type: 'plant', time: 200, row: 2, targetCol: 3 },
-              { type: 'remove', time: 300, row: 2, targetCol: 3 }
+              { type: 'remove', time: 300, row: 2, targetCol: 3 },
+              { type: 'pot', time: 400, row: 2, targetCol: 9 },
+              { type: 'card', card: 'ice', time: 500, row: 1, targetCol: 9 }
             ]
           }
         ];
@@ -86,7 +88,9 @@ describe('CobPlannerAPI', () => {
         expect(result.summary.fireOperations).toBe(1);
         expect(result.summary.plantOperations).toBe(1);
         expect(result.summary.removeOperations).toBe(1);
-        expect(result.summary.totalOperations).toBe(3);
+        expect(result.summary.potOperations).toBe(1);
+        expect(result.summary.cardOperations).toBe(1);
+        expect(result.summary.totalOperations).toBe(5);
       });
 
       it('should handle empty configurations', () => {
@@ -166,6 +170,45 @@ describe('CobPlannerAPI', () => {
         expect(result.success).toBe(false);
         expect(result.errors.some(e => e.includes('Duplicate cannon'))).toBe(true);
       });
+
+      it('should limit rows by scene', () => {
+        const cannons = [{ row: 6, col: 1 }];
+
+        expect(api.sanityCheck(cannons, []).success).toBe(false);
+        expect(new CobPlannerAPI({ scene: 'pool' }).sanityCheck(cannons, []).success).toBe(true);
+      });
+
+      it('should reject invalid tolerances', () => {
+        const waves = [
+          {
+            duration: 1000,
+            operations: [
+              { type: 'fire', time: 300, row: 1, targetCol: 9, columns: '1-5', tolerance: '10~0' },
+              { type: 'fire', time: 600, row: 1, targetCol: 9, columns: '1-5', tolerance: '150' }
+            ]
+          }
+        ];
+
+        const result = api.sanityCheck(singleCannon, waves);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Wave 0, Operation 0: Invalid tolerance (10~0)');
+        expect(result.errors).toContain('Wave 0, Operation 1: Tolerance must be within ±100 (150)');
+      });
+
+      it('should reject invalid mechanics profiles', () => {
+        const result = new CobPlannerAPI({ mechanics: { cooldown: -1 } }).sanityCheck(singleCannon, []);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Invalid mechanics value for cooldown: -1');
+      });
+
+      it('should reject unknown scenes', () => {
+        const result = new CobPlannerAPI({ scene: 'moon' }).sanityCheck(singleCannon, []);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Unknown scene: moon');
+      });
     });
 
     describe('Wave validation', () => {
@@ -221,6 +264,22 @@ describe('CobPlannerAPI', () => {
         expect(result.success).toBe(false);
         expect(result.errors.some(e => e.includes('multiple of 1/80'))).toBe(true);
       });
+
+      it('should reject card operations without a known card', () => {
+        const waves = [
+          {
+            duration: 1000,
+            operations: [
+              { type: 'card', card: 'peashooter', time: 100, row: 1, targetCol: 9 }
+            ]
+          }
+        ];
+
+        const result = api.sanityCheck(singleCannon, waves);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Wave 0, Operation 0: Invalid card (peashooter)');
+      });
     });
 
     describe('Logical consistency checks', () => {
@@ -378,6 +437,169 @@ describe('CobPlannerAPI', () => {
       });
     });
 
+    describe('Solver options', () => {
+      it('should pass the solve mode through to the solver', () => {
+        const waves = [
+          {
+            duration: 6000,
+            operations: [
+              { type: 'fire', time: 1000, row: 1, targetCol: 5.0, columns: '1-5' },
+              { type: 'fire', time: 2000, row: 1, targetCol: 6.0, columns: '1-5' },
+              { type: 'fire', time: 5000, row: 1, targetCol: 6.0, columns: '1-5' }
+            ]
+          }
+        ];
+
+        const prefix = api.solve(singleCannon, waves);
+        const skip = api.solve(singleCannon, waves, { mode: 'skip', diagnose: true });
+
+        expect(prefix.analysis.successfulOperations).toBe(1);
+        expect(skip.analysis.successfulOperations).toBe(2);
+        expect(skip.solveResult.diagnosis.operation).toMatchObject({ waveIndex: 0, opIndex: 1 });
+      });
+
+      it('should report an unknown solve mode as an error', () => {
+        const result = api.solve(basicCannons, multipleWaves, { mode: 'greedy' });
+
+        expect(result.success).toBe(false);
+        expect(result.errors[0]).toContain('Unknown solve mode');
+      });
+
+      it('should pass the objective and priority list through to the solver', () => {
+        const cannons = [
+          { row: 1, col: 3 },
+          { row: 2, col: 3 }
+        ];
+        const waves = [
+          {
+            duration: 6000,
+            operations: [
+              { type: 'fire', time: 1000, row: 1, targetCol: 9, columns: '3' },
+              { type: 'fire', time: 5000, row: 2, targetCol: 9, columns: '3' }
+            ]
+          }
+        ];
+
+        const result = api.solve(cannons, waves, {
+          objective: 'priority',
+          priority: [{ row: 2, col: 3 }]
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.solveResult.operations.map(op => op.cannonRow)).toEqual([2, 2]);
+      });
+
+      it('should check the plan against candidate wave durations', () => {
+        const waves = [
+          {
+            duration: 601,
+            durations: '550',
+            operations: [{ type: 'fire', time: 300, row: 1, targetCol: 9, columns: '3' }]
+          },
+          {
+            duration: 4000,
+            operations: [{ type: 'fire', time: 3200, row: 1, targetCol: 9, columns: '3' }]
+          }
+        ];
+
+        const result = api.solve(singleCannon, waves);
+
+        expect(result.success).toBe(true);
+        expect(result.robustness.robust).toBe(false);
+        expect(result.warnings).toContain('1 shots break under some of the 2 wave duration combinations');
+        expect(api.solve(singleCannon, [{ ...waves[0], durations: '' }, waves[1]]).robustness).toBeUndefined();
+      });
+
+      it('should check many waves with candidate durations', () => {
+        const waves = Array.from({ length: 20 }, () => ({
+          duration: 601,
+          durations: '601 2500',
+          operations: [{ type: 'fire', time: 300, row: 1, targetCol: 9, columns: '' }]
+        }));
+
+        const result = api.solve(generateTestCannons(8), waves);
+
+        expect(result.success).toBe(true);
+        expect(result.robustness.combinations).toBe(2 ** 20);
+      });
+
+      it('should reject invalid candidate durations', () => {
+        const result = api.sanityCheck(singleCannon, [{ duration: 601, durations: '601~500', operations: [] }]);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Wave 0 has invalid durations (601~500)');
+      });
+
+      it('should solve with the configured mechanics profile', () => {
+        const waves = [
+          {
+            duration: 6000,
+            operations: [
+              { type: 'fire', time: 1000, row: 1, targetCol: 9, columns: '3' },
+              { type: 'fire', time: 4477, row: 1, targetCol: 9, columns: '3' }
+            ]
+          }
+        ];
+
+        const strictApi = new CobPlannerAPI({ mechanics: { cooldown: 3480 } });
+
+        expect(api.solve(singleCannon, waves).solveResult.successCount).toBe(2);
+        expect(strictApi.solve(singleCannon, waves).solveResult.successCount).toBe(1);
+        expect(strictApi.solve(singleCannon, waves, { mechanics: 'default' }).solveResult.successCount).toBe(2);
+      });
+
+      it('should fire from a cob queue in queue mode', async () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'fire', time: 300, row: 1, targetCol: 9, columns: '1-8' },
+              { type: 'fire', time: 300, row: 5, targetCol: 9, columns: '1-8' }
+            ]
+          }
+        ];
+        const queue = [{ row: 3, col: 7 }, { row: 1, col: 1 }];
+
+        const result = api.solve(basicCannons, waves, { mode: 'queue', queue });
+        const asyncResult = await api.solveAsync(basicCannons, waves, { mode: 'queue', queue });
+
+        expect(result.success).toBe(true);
+        expect(result.solveResult.operations.map(op => op.cannonRow)).toEqual([3, 1]);
+        expect(result.solveResult.queue).toEqual(queue);
+        expect(asyncResult.solveResult).toEqual(result.solveResult);
+        expect(api.export(result, waves).code).toContain('At(300) P(1, 9) & P(5, 9)');
+      });
+    });
+
+    describe('Asynchronous solving', () => {
+      it('should resolve with the same analysis as solve()', async () => {
+        const syncResult = api.solve(basicCannons, multipleWaves);
+        const asyncResult = await api.solveAsync(basicCannons, multipleWaves);
+
+        expect(asyncResult.success).toBe(true);
+        expect(asyncResult.solveResult).toEqual(syncResult.solveResult);
+        expect(asyncResult.analysis).toEqual(syncResult.analysis);
+        expect(asyncResult.performance.duration).toBeGreaterThanOrEqual(0);
+      });
+
+      it('should stop at the sanity check', async () => {
+        const result = await api.solveAsync('invalid', multipleWaves);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('Sanity check failed - cannot proceed with solving');
+      });
+
+      it('should report cancellation as an error', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await api.solveAsync(basicCannons, multipleWaves, { signal: controller.signal });
+
+        expect(result.success).toBe(false);
+        expect(result.errors[0]).toContain('Solve cancelled');
+      });
+    });
+
     describe('Plant and remove operations', () => {
       it('should handle plant operations', () => {
         const waves = [
@@ -472,6 +694,112 @@ describe('CobPlannerAPI', () => {
         expect(result.analysis.totalFireOperations).toBe(2);
         expect(result.analysis.successfulOperations).toBeDefined();
       });
+
+      it('should check card recharge and count sun', () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'plant', time: 0, row: 3, targetCol: 1 },
+              { type: 'plant', time: 4000, row: 4, targetCol: 1 }
+            ]
+          }
+        ];
+
+        const result = api.solve(singleCannon, waves, { scene: 'day' });
+
+        expect(result.resources.totalSun).toBe(1400);
+        expect(result.resources.conflicts.map(c => c.card)).toEqual(['cob']);
+        expect(result.warnings).toContain('1 operations use a card before it recharges');
+        expect(api.solve(singleCannon, waves, { scene: 'day', cards: { cob: { recharge: 4000 } } }).resources.conflicts).toEqual([]);
+      });
+    });
+  });
+
+  describe('Cycle analysis', () => {
+    const cycleWave = (duration) => ({
+      duration,
+      operations: [{ type: 'fire', time: 400, row: 1, targetCol: 9, columns: '3' }]
+    });
+
+    it('should report a cycle that repeats indefinitely', () => {
+      const result = api.analyzeCycle(singleCannon, [cycleWave(3600)], { start: 0, end: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.cycleResult.repetitions).toBe(Infinity);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn when the cycle cannot be repeated indefinitely', () => {
+      const result = api.analyzeCycle(singleCannon, [cycleWave(1800)], { start: 0, end: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.cycleResult.steadyState.feasible).toBe(false);
+      expect(result.warnings).toContain('Cycle has no steady state (complete repetitions: 1)');
+    });
+
+    it('should report invalid cycles', () => {
+      const result = api.analyzeCycle(singleCannon, [cycleWave(3600)], { start: 0, end: 3 });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Cycle analysis failed: Invalid cycle: 0-3');
+    });
+  });
+
+  describe('Verification', () => {
+    const waves = [{
+      duration: 601,
+      operations: [
+        { type: 'fire', time: 300, row: 1, targetCol: 9, columns: '3' },
+        { type: 'fire', time: 1000, row: 1, targetCol: 9, columns: '3' }
+      ]
+    }];
+
+    it('should accept the result of solve()', () => {
+      const solved = api.solve(singleCannon, waves, { mode: 'skip' });
+      const result = api.verify(singleCannon, waves, solved);
+
+      expect(result.success).toBe(true);
+      expect(result.valid).toBe(true);
+    });
+
+    it('should report violations of a hand-written plan', () => {
+      const result = api.verify(singleCannon, waves, [
+        { waveIndex: 0, opIndex: 0, cannonRow: 1, cannonCol: 3 },
+        { waveIndex: 0, opIndex: 1, cannonRow: 1, cannonCol: 3 }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.valid).toBe(false);
+      expect(result.violations.map(v => v.type)).toEqual(['cooldown']);
+    });
+
+    it('should reject invalid plans', () => {
+      const result = api.verify(singleCannon, waves, {});
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Invalid plan provided');
+    });
+  });
+
+  describe('Alternative assignments', () => {
+    const twoCannons = [{ row: 1, col: 3 }, { row: 2, col: 3 }];
+    const waves = [{ duration: 601, operations: [{ type: 'fire', time: 300, row: 1, targetCol: 9, columns: '3' }] }];
+
+    it('should list the assignments', () => {
+      const result = api.enumerateSolutions(twoCannons, waves);
+
+      expect(result.success).toBe(true);
+      expect(result.solutions).toHaveLength(2);
+      expect(result.forced).toEqual([{ waveIndex: 0, opIndex: 0, forced: false }]);
+      expect(result.exhausted).toBe(true);
+    });
+
+    it('should reject invalid limits', () => {
+      const result = api.enumerateSolutions(twoCannons, waves, 0);
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Invalid limit: 0');
     });
   });
 
@@ -547,6 +875,40 @@ describe('CobPlannerAPI', () => {
         expect(result.success).toBe(true);
         expect(result.code).not.toContain('// Test wave');
       });
+
+      it('should export a full script describing the field', () => {
+        const waves = [{ duration: 1000, notes: '', operations: [] }];
+
+        const result = api.export(mockSolveResult, waves, 'avz2', { fullScript: true, cannons: [{ row: 1, col: 1 }] });
+
+        expect(result.success).toBe(true);
+        expect(result.code).toMatch(/^#include <avz\.h>\n/);
+        expect(result.code).toContain('void AScript()');
+        expect(result.code).toContain(`// Field (${api.config.scene}), set up before the first wave:`);
+        expect(result.code).toContain('//   Cob cannons (left tile): 1-1');
+        expect(result.code).toContain('    OnWave(1) {');
+      });
+    });
+
+    describe('AvZ1 export', () => {
+      it('should export solve results to AvZ1 format', () => {
+        const waves = [{ duration: 1000, notes: 'Test wave', operations: [] }];
+
+        const result = api.export(mockSolveResult, waves, 'avz1');
+
+        expect(result.success).toBe(true);
+        expect(result.format).toBe('avz1');
+        expect(result.code).toBe('// Test wave\nSetTime(100, 1);\npao_operator.rawRoofPao(1, 1, 1, 5);');
+        expect(result.metadata.exportedOperations).toBe(1);
+      });
+
+      it('should fire with rawPao() off the roof', () => {
+        const waves = [{ duration: 1000, notes: '', operations: [] }];
+
+        const result = new CobPlannerAPI({ scene: 'day' }).export(mockSolveResult, waves, 'avz1');
+
+        expect(result.code).toBe('SetTime(100, 1);\npao_operator.rawPao(1, 1, 1, 5);');
+      });
     });
 
     describe('Export validation', () => {
@@ -625,6 +987,39 @@ describe('CobPlannerAPI', () => {
         expect(result.success).toBe(true);
         expect(result.cannons).toEqual([]);
         expect(result.waves).toEqual([]);
+        expect(result.scene).toBe('roof');
+      });
+
+      it('should load the saved scene', () => {
+        const result = api.loadFromJSON({ scene: 'pool', cannons: [], waves: [] });
+
+        expect(result.scene).toBe('pool');
+      });
+
+      it('should load the flower pots', () => {
+        const pots = [{ row: 2, col: 5 }];
+
+        expect(api.loadFromJSON({ cannons: [], waves: [], pots }).pots).toEqual(pots);
+        expect(api.loadFromJSON({}).pots).toEqual([]);
+        expect(api.saveToJSON([], [], pots).json).toContain('"pots"');
+      });
+
+      it('should import the waves of an AvZ2 script', () => {
+        const source = 'OnWave(1) {\n    At(300) RP(1, 1, 2, 9),\n    At(400) Foo(1)\n};';
+
+        const result = api.importScript(source);
+
+        expect(result.success).toBe(true);
+        expect(result.cannons).toEqual([{ row: 1, col: 1 }]);
+        expect(result.waves[0].operations).toEqual([
+          { type: 'fire', time: '300', row: 2, targetCol: 9, columns: '1-8', cannon: '1-1' }
+        ]);
+        expect(result.unparsed).toEqual([{ line: 3, text: 'At(400) Foo(1)', reason: 'Unknown command: Foo' }]);
+        expect(result.queue).toEqual([]);
+        expect(api.importScript(`aCobManager.SetList({{3, 1}});\n${source}`).queue).toEqual([{ row: 3, col: 1 }]);
+
+        expect(api.importScript('// nothing here').errors).toEqual(['No OnWave blocks found']);
+        expect(api.importScript(null).errors).toEqual(['Script must be a string']);
       });
 
       it('should handle invalid JSON', () => {
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the cob queue simulation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { simulateCobQueue } from '../../src/utils/cobQueue.js';
+import { verifyPlan } from '../../src/utils/verifier.js';
+
+// Constant 373cs fly time keeps the expected fire times simple
+const options = { scene: 'day' };
+const twoCannons = [{ row: 1, col: 1 }, { row: 2, col: 1 }];
+
+function fire(time, extra = {}) {
+  return { type: 'fire', time, row: 1, targetCol: 9, columns: '', ...extra };
+}
+
+describe('Cob queue', () => {
+  it('should fire the cannons in queue order, wrapping around', () => {
+    const waves = [{ duration: 4000, operations: [fire('300'), fire('300', { row: 5 }), fire('3800')] }];
+
+    const result = simulateCobQueue(twoCannons, waves, twoCannons, options);
+
+    expect(result.operations.map(op => [op.success, op.cannonRow])).toEqual([[true, 1], [true, 2], [true, 1]]);
+    expect(result.successCount).toBe(3);
+    expect(result.violations).toEqual([]);
+    expect(result.queue).toEqual(twoCannons);
+    expect(verifyPlan(twoCannons, waves, result.operations, options).valid).toBe(true);
+  });
+
+  it('should follow the given order rather than the cannon list', () => {
+    const waves = [{ duration: 601, operations: [fire('300')] }];
+
+    const result = simulateCobQueue(twoCannons, waves, [{ row: 2, col: 1 }, { row: 1, col: 1 }], options);
+
+    expect(result.operations[0].cannonRow).toBe(2);
+  });
+
+  it('should report the shots whose cannon is not ready and keep their turn', () => {
+    const waves = [{ duration: 601, operations: [fire('300'), fire('400'), fire('500'), fire('3900')] }];
+
+    const result = simulateCobQueue(twoCannons, waves, twoCannons, options);
+
+    // The third shot finds 1-1 cooling down and is not exported, so 1-1 fires the fourth
+    expect(result.operations.map(op => op.success)).toEqual([true, true, false, true]);
+    expect(result.operations[3].cannonRow).toBe(1);
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0]).toMatchObject({ type: 'cooldown', opIndex: 2, cannonRow: 1, conflictWith: { waveIndex: 0, opIndex: 0 } });
+  });
+
+  it('should not count a failed shot as a fire of its cannon', () => {
+    const oneCannon = [{ row: 1, col: 1 }];
+    const waves = [{ duration: 601, operations: [fire('300'), fire('400'), fire('3800')] }];
+
+    const result = simulateCobQueue(oneCannon, waves, oneCannon, options);
+
+    // The third shot is 3500cs after the first, but would be 3400cs after the failed second
+    expect(result.operations.map(op => op.success)).toEqual([true, false, true]);
+    expect(result.violations.map(v => [v.type, v.opIndex])).toEqual([['cooldown', 1]]);
+  });
+
+  it('should fail shots whose cannon set excludes the next cannon', () => {
+    const waves = [{ duration: 601, operations: [fire('300'), fire('400', { cannon: '1-1' })] }];
+
+    const result = simulateCobQueue(twoCannons, waves, twoCannons, options);
+
+    expect(result.operations.map(op => op.success)).toEqual([true, false]);
+    expect(result.violations.map(v => [v.type, v.cannonRow])).toEqual([['cannon-set', 2]]);
+  });
+
+  it('should land as early in the tolerance window as the cannon allows', () => {
+    const waves = [{ duration: 601, operations: [fire('300'), fire('3600', { tolerance: '0~300' })] }];
+
+    const result = simulateCobQueue([{ row: 1, col: 1 }], waves, [{ row: 1, col: 1 }], options);
+
+    expect(result.operations[1]).toMatchObject({ success: true, landTime: 300 + 3475 });
+  });
+
+  it('should wait for planted cannons within the tolerance window', () => {
+    const waves = [{
+      duration: 601,
+      operations: [
+        { type: 'plant', time: '0', row: 3, targetCol: 1 },
+        fire('800', { tolerance: '0~300' })
+      ]
+    }];
+
+    const result = simulateCobQueue(twoCannons, waves, [{ row: 3, col: 1 }], options);
+
+    expect(result.operations[1]).toMatchObject({ success: true, landTime: 625 + 373 });
+  });
+
+  it('should fail plants without flower pots on the roof', () => {
+    const waves = [{ duration: 601, operations: [{ type: 'plant', time: '0', row: 3, targetCol: 1 }] }];
+
+    expect(simulateCobQueue(twoCannons, waves, twoCannons, { scene: 'roof' }).operations[0].success).toBe(false);
+    expect(simulateCobQueue(twoCannons, waves, twoCannons, { scene: 'roof', pots: [{ row: 3, col: 1 }, { row: 3, col: 2 }] })
+      .operations[0].success).toBe(true);
+  });
+
+  it('should reject an empty queue', () => {
+    const waves = [{ duration: 601, operations: [fire('300')] }];
+
+    expect(() => simulateCobQueue(twoCannons, waves, [], options)).toThrow('Cob queue is empty');
+    expect(simulateCobQueue(twoCannons, [{ duration: 601, operations: [] }], [], options).successCount).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the steady-state cycle analysis
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeCycle } from '../../src/utils/cycle.js';
+
+// Constant 373cs fly time keeps the expected fire times simple
+const options = { scene: 'day' };
+const oneCannon = [{ row: 1, col: 1 }];
+const twoCannons = [{ row: 1, col: 1 }, { row: 2, col: 1 }];
+
+function shot(time, extra = {}) {
+  return { type: 'fire', time, row: 1, targetCol: 9, columns: '', ...extra };
+}
+
+describe('Cycle analysis', () => {
+  it('should repeat a cycle longer than the cooldown with one cannon', () => {
+    const waves = [{ duration: 3600, operations: [shot('400')] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.period).toBe(3600);
+    expect(result.repetitions).toBe(Infinity);
+    expect(result.steadyState).toEqual({
+      feasible: true,
+      enterable: true,
+      length: 1,
+      assignment: [{ repetition: 0, waveIndex: 0, opIndex: 0, cannonRow: 1, cannonCol: 1, fireTime: 27, landTime: 400 }]
+    });
+  });
+
+  it('should let cannons take turns when the cycle is shorter than the cooldown', () => {
+    const waves = [{ duration: 1800, operations: [shot('400')] }];
+
+    const result = analyzeCycle(twoCannons, waves, { start: 0, end: 0 }, options);
+
+    expect(result.steadyState.length).toBe(2);
+    expect(result.steadyState.assignment.map(s => [s.repetition, s.cannonRow, s.fireTime])).toEqual([
+      [0, 1, 27],
+      [1, 2, 1827]
+    ]);
+  });
+
+  it('should count the repetitions when there is no steady state', () => {
+    const waves = [{ duration: 1800, operations: [shot('400')] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.steadyState).toEqual({ feasible: false, enterable: false, length: null, assignment: null });
+    expect(result.repetitions).toBe(1);
+  });
+
+  it('should check the end of the cycle against its start', () => {
+    // 3600cs between the shots, but only 3400cs from the second to the next first
+    const waves = [{ duration: 7000, operations: [shot('100'), shot('3700')] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.steadyState.feasible).toBe(false);
+    expect(result.repetitions).toBe(1);
+  });
+
+  it('should use tolerance windows to close the cycle', () => {
+    const waves = [{ duration: 7000, operations: [shot('100'), shot('3700', { tolerance: '-100~0' })] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.steadyState.enterable).toBe(true);
+    expect(result.steadyState.assignment[1].landTime).toBe(3600);
+  });
+
+  it('should start from the cannon state after the waves before the cycle', () => {
+    const waves = [
+      { duration: 601, operations: [shot('600')] },
+      { duration: 3600, operations: [shot('100')] }
+    ];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 1, end: 1 }, { ...options, maxRepetitions: 3 });
+
+    expect(result.prefixSuccess).toBe(true);
+    expect(result.steadyState).toMatchObject({ feasible: true, enterable: false, length: 1 });
+    expect(result.steadyState.assignment[0]).toMatchObject({ waveIndex: 1, fireTime: -273, landTime: 100 });
+    expect(result.repetitions).toBe(0);
+  });
+
+  it('should leave card operations of the cycle out of the analysis', () => {
+    const card = { type: 'card', card: 'ice', time: '300', row: 3, targetCol: 5 };
+    const waves = [{ duration: 3600, operations: [card, shot('400')] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.repetitions).toBe(Infinity);
+    expect(result.steadyState.assignment).toEqual([
+      { repetition: 0, waveIndex: 0, opIndex: 1, cannonRow: 1, cannonCol: 1, fireTime: 27, landTime: 400 }
+    ]);
+  });
+
+  it('should not count a cycle of card operations only as shots', () => {
+    const waves = [{ duration: 1800, operations: [{ type: 'card', card: 'doom', time: '300', row: 3, targetCol: 5 }] }];
+
+    const result = analyzeCycle(oneCannon, waves, { start: 0, end: 0 }, options);
+
+    expect(result.steadyState).toMatchObject({ feasible: true, enterable: true, length: 1, assignment: [] });
+    expect(result.repetitions).toBe(Infinity);
+  });
+
+  it('should reject invalid cycles', () => {
+    const waves = [
+      { duration: 3600, operations: [shot('400')] },
+      { duration: 601, operations: [{ type: 'plant', time: '0', row: 3, targetCol: 1 }] }
+    ];
+
+    expect(() => analyzeCycle(oneCannon, waves, { start: 1, end: 0 })).toThrow('Invalid cycle: 1-0');
+    expect(() => analyzeCycle(oneCannon, waves, { start: 0, end: 2 })).toThrow('Invalid cycle: 0-2');
+    expect(() => analyzeCycle(oneCannon, waves, { start: 0, end: 1 }))
+      .toThrow('Cycle waves must not plant or remove cannons');
+  });
+});
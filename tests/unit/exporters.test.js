@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the exporter registry
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { registerExporter, getExporter, getExporters, resolveExportOptions } from '../../src/utils/exporters.js';
+import { CobPlannerAPI } from '../../src/utils/cobPlannerAPI.js';
+import ExportDialog from '../../src/components/ExportDialog.vue';
+import { avz2ExportData } from '../fixtures/testData.js';
+
+// Registered once for the whole file, as the registry lives as long as the module
+const csvExporter = registerExporter({
+  id: 'csv',
+  label: 'CSV',
+  options: [{ key: 'header', label: 'Header row', type: 'boolean', default: true }],
+  generate(calculationResult, waves, options, field) {
+    const rows = calculationResult.operations
+      .filter(op => op.success)
+      .map(op => `${op.waveIndex + 1},${op.absoluteTime},${op.type}`);
+    return [...(options.header ? [`wave,time,type (${field.scene})`] : []), ...rows].join('\n');
+  }
+});
+
+describe('Exporter registry', () => {
+  it('should register the built-in formats first', () => {
+    expect(getExporters().map(e => [e.id, e.label])).toEqual([['avz2', 'AvZ2 DSL'], ['avz1', 'AvZ1'], ['csv', 'CSV']]);
+    expect(getExporter('avz2').options.map(o => o.key)).toEqual(['includeNotes', 'fullScript']);
+    expect(getExporter('missing')).toBeNull();
+  });
+
+  it('should resolve option values with the defaults', () => {
+    const avz2 = getExporter('avz2');
+
+    expect(resolveExportOptions(avz2)).toEqual({ includeNotes: true, fullScript: false });
+    expect(resolveExportOptions(avz2, { fullScript: true, header: false })).toEqual({ includeNotes: true, fullScript: true });
+  });
+
+  it('should reject invalid exporters', () => {
+    expect(() => registerExporter({ label: 'No id', generate: () => '' })).toThrow('Exporter needs an id');
+    expect(() => registerExporter({ id: 'avz2', generate: () => '' })).toThrow('Exporter already registered: avz2');
+    expect(() => registerExporter({ id: 'broken' })).toThrow('Exporter broken needs a generate function');
+    expect(() => registerExporter({ id: 'broken', options: [{ key: 'x', type: 'number' }], generate: () => '' }))
+      .toThrow('Invalid option for exporter broken: x');
+    expect(getExporter('broken')).toBeNull();
+  });
+
+  it('should make a registered format available to the API', () => {
+    const api = new CobPlannerAPI({ scene: 'day' });
+    const { result, waves } = avz2ExportData.basicFireOperation;
+
+    const exported = api.export({ solveResult: result }, waves, 'csv');
+
+    expect(exported.success).toBe(true);
+    expect(exported.code).toBe('wave,time,type (day)\n1,100,fire');
+    expect(api.export({ solveResult: result }, waves, 'csv', { header: false }).code).toBe('1,100,fire');
+  });
+
+  it('should render the options of the selected format in the dialog', async () => {
+    const { result, waves } = avz2ExportData.basicFireOperation;
+    const wrapper = mount(ExportDialog, {
+      props: { isVisible: true, calculationResult: result, waves, field: { scene: 'roof' } }
+    });
+
+    expect(wrapper.findAll('option').map(o => o.text())).toEqual(['AvZ2 DSL', 'AvZ1', 'CSV']);
+    expect(wrapper.findAll('.checkbox-label')).toHaveLength(2);
+
+    await wrapper.find('select').setValue(csvExporter.id);
+    const labels = wrapper.findAll('.checkbox-label');
+    expect(labels.map(l => l.text())).toEqual(['Header row']);
+    expect(wrapper.find('textarea').element.value).toBe('wave,time,type (roof)\n1,100,fire');
+
+    await labels[0].find('input').setValue(false);
+    expect(wrapper.find('textarea').element.value).toBe('1,100,fire');
+  });
+
+  // Registers a format, so it runs after the tests that list them
+  it('should look ids up in any case', () => {
+    const tsvExporter = registerExporter({ id: ' TSV ', generate: () => 'tsv' });
+    const api = new CobPlannerAPI({ scene: 'day' });
+    const { result, waves } = avz2ExportData.basicFireOperation;
+
+    expect(tsvExporter.id).toBe('tsv');
+    expect(tsvExporter.label).toBe(' TSV ');
+    expect(getExporter('Tsv')).toBe(tsvExporter);
+    expect(() => registerExporter({ id: 'CSV', generate: () => '' })).toThrow('Exporter already registered: csv');
+    expect(api.export({ solveResult: result }, waves, 'TSV')).toMatchObject({ success: true, format: 'tsv', code: 'tsv' });
+    expect(getExporter(null)).toBeNull();
+  });
+
+  it('should list the formats registered while the dialog was closed when it opens', async () => {
+    const { result, waves } = avz2ExportData.basicFireOperation;
+    const wrapper = mount(ExportDialog, {
+      props: { isVisible: false, calculationResult: result, waves, field: { scene: 'roof' } }
+    });
+    registerExporter({ id: 'json', label: 'JSON', generate: () => '[]' });
+
+    await wrapper.setProps({ isVisible: true });
+
+    expect(wrapper.findAll('option').map(o => o.text())).toContain('JSON');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for flower pot tracking
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sceneNeedsPots, getCobTiles, getInitialPots, applyPotOperation } from '../../src/utils/pots.js';
+
+describe('Flower pots', () => {
+  it('should only need pots on the roof', () => {
+    expect(sceneNeedsPots('roof')).toBe(true);
+    expect(sceneNeedsPots('day')).toBe(false);
+    expect(sceneNeedsPots('unknown')).toBe(false);
+  });
+
+  it('should put the initial cannons in pots', () => {
+    const tiles = getInitialPots([{ row: 1, col: 3 }], [{ row: 2, col: 5 }]);
+
+    expect([...tiles].sort()).toEqual(['1-3', '1-4', '2-5']);
+    expect(getCobTiles(4, 7)).toEqual(['4-7', '4-8']);
+    expect(getInitialPots([], undefined).size).toBe(0);
+  });
+
+  it('should need pots in both tiles to plant', () => {
+    const tiles = new Set(['1-3']);
+
+    expect(applyPotOperation(tiles, { type: 'plant', row: 1, targetCol: 3 })).toBe('1-4');
+    tiles.add('1-4');
+    expect(applyPotOperation(tiles, { type: 'plant', row: 1, targetCol: 3 })).toBeNull();
+    expect(tiles.size).toBe(2);
+  });
+
+  it('should place pots on empty tiles only', () => {
+    const tiles = new Set();
+
+    expect(applyPotOperation(tiles, { type: 'pot', row: 2, targetCol: 6 })).toBeNull();
+    expect(tiles.has('2-6')).toBe(true);
+    expect(applyPotOperation(tiles, { type: 'pot', row: 2, targetCol: 6 })).toBe('2-6');
+  });
+
+  it('should need a pot under a card, which a doom-shroom takes along', () => {
+    const tiles = new Set(['3-9']);
+
+    expect(applyPotOperation(tiles, { type: 'card', card: 'ice', row: 3, targetCol: 8 })).toBe('3-8');
+    expect(applyPotOperation(tiles, { type: 'card', card: 'ice', row: 3, targetCol: 9 })).toBeNull();
+    expect(tiles.has('3-9')).toBe(true);
+    expect(applyPotOperation(tiles, { type: 'card', card: 'doom', row: 3, targetCol: 9 })).toBeNull();
+    expect(tiles.has('3-9')).toBe(false);
+  });
+
+  it('should leave the pots behind unless the remove shovels them', () => {
+    const tiles = new Set(['1-3', '1-4']);
+
+    applyPotOperation(tiles, { type: 'remove', row: 1, targetCol: 3 });
+    expect(tiles.size).toBe(2);
+    applyPotOperation(tiles, { type: 'remove', row: 1, targetCol: 3, removePots: true });
+    expect(tiles.size).toBe(0);
+  });
+});
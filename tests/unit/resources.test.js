@@ -0,0 +1,110 @@
+/**
+ * Unit tests for card and sun tracking
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeResources, resolveCards, DEFAULT_CARDS } from '../../src/utils/resources.js';
+import { solveReuse } from '../../src/utils/solver.js';
+
+const options = { scene: 'day' };
+const oneCannon = [{ row: 1, col: 1 }];
+
+function plant(time, row, targetCol) {
+  return { type: 'plant', time, row, targetCol };
+}
+
+function analyze(waves, cannons = oneCannon) {
+  return analyzeResources(waves, solveReuse(cannons, waves, options));
+}
+
+describe('Resources', () => {
+  it('should count the sun spent per wave', () => {
+    const waves = [
+      { duration: 601, operations: [plant('0', 3, 1), { type: 'pot', time: '100', row: 4, targetCol: 1 }] },
+      { duration: 601, operations: [] },
+      { duration: 6000, operations: [plant('5000', 4, 5)] }
+    ];
+
+    const result = analyze(waves);
+
+    expect(result.cardUses).toMatchObject({ cob: 2, kernel: 4, pot: 1, ice: 0 });
+    expect(result.waves).toEqual([
+      { sun: 725, cumulativeSun: 725 },
+      { sun: 0, cumulativeSun: 725 },
+      { sun: 700, cumulativeSun: 1425 }
+    ]);
+    expect(result.totalSun).toBe(1425);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('should flag cob plants closer than the card recharge', () => {
+    const waves = [{ duration: 601, operations: [plant('0', 3, 1), plant('4000', 4, 1)] }];
+
+    const result = analyze(waves);
+
+    expect(result.conflicts).toEqual([{
+      card: 'cob',
+      waveIndex: 0,
+      opIndex: 1,
+      time: 4000,
+      readyAt: 5000,
+      conflictWith: { waveIndex: 0, opIndex: 0 },
+      message: 'Cob cannon card is recharging until 5000'
+    }]);
+  });
+
+  it('should plant the kernel-pults only once the old cob is shoveled', () => {
+    const waves = [{
+      duration: 601,
+      operations: [
+        { type: 'remove', time: '0', row: 1, targetCol: 1 },
+        plant('500', 1, 2)
+      ]
+    }];
+
+    const result = analyze(waves);
+
+    // The second kernel-pult goes in at 750, after the cob at 500
+    expect(result.conflicts.map(c => [c.card, c.opIndex, c.readyAt])).toEqual([['kernel', 1, 750]]);
+    expect(analyze([{ ...waves[0], operations: [waves[0].operations[0], plant('750', 1, 2)] }]).conflicts).toEqual([]);
+  });
+
+  it('should track the cards of card operations', () => {
+    const waves = [{
+      duration: 601,
+      operations: [
+        { type: 'card', card: 'ice', time: '0', row: 1, targetCol: 9 },
+        { type: 'card', card: 'doom', time: '100', row: 3, targetCol: 9 },
+        { type: 'card', card: 'ice', time: '4000', row: 2, targetCol: 9 }
+      ]
+    }];
+
+    const result = analyze(waves);
+
+    expect(result.cardUses).toMatchObject({ ice: 2, doom: 1 });
+    expect(result.totalSun).toBe(75 + 125 + 75);
+    expect(result.conflicts.map(c => [c.card, c.opIndex, c.readyAt, c.message])).toEqual([
+      ['ice', 2, 5000, 'Card ice is recharging until 5000']
+    ]);
+  });
+
+  it('should skip failed operations', () => {
+    // The second plant overlaps the first and fails
+    const waves = [{ duration: 601, operations: [plant('0', 3, 1), plant('100', 3, 2)] }];
+
+    const result = analyze(waves);
+
+    expect(result.cardUses.cob).toBe(1);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('should resolve card overrides', () => {
+    expect(resolveCards()).toEqual(DEFAULT_CARDS);
+    expect(resolveCards({ cob: { recharge: 3000 } }).cob).toEqual({ cost: 500, recharge: 3000 });
+    expect(() => resolveCards({ pot: { cost: -1 } })).toThrow('Invalid card value for pot.cost: -1');
+
+    const waves = [{ duration: 601, operations: [plant('0', 3, 1), plant('4000', 4, 1)] }];
+    const result = analyzeResources(waves, solveReuse(oneCannon, waves, options), { cards: { cob: { recharge: 3000 } } });
+    expect(result.conflicts).toEqual([]);
+  });
+});
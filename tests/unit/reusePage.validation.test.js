@@ -13,11 +13,17 @@ import {
   validateRow,
   validateTargetCol,
   validateColumns,
+  validateCannon,
+  validateTolerance,
   validateCannonPosition,
+  validateCard,
   validateWaveDuration,
+  validateWaveDurations,
   validateOperation,
-  validateWave
+  validateWave,
+  describeViolation
 } from '../../src/utils/validation.js';
+import { preprocessOperations } from '../../src/utils/solver.js';
 
 describe('ReusePage Validation', () => {
   let wrapper;
@@ -211,6 +217,52 @@ describe('ReusePage Validation', () => {
         expect(validateTargetCol(9, 'remove')).toContain('列数必须在 1-8 范围内');
         expect(validateTargetCol(-1, 'remove')).toContain('列数必须在 1-8 范围内');
       });
+
+      it('should accept the ninth column for pot operations', () => {
+        expect(validateTargetCol(9, 'pot')).toBeNull();
+        expect(validateTargetCol(10, 'pot')).toContain('列数必须在 1-9 范围内');
+        expect(validateTargetCol(9, 'card')).toBeNull();
+      });
+    });
+  });
+
+  describe('validateCard', () => {
+    const cardWaves = [
+      {
+        duration: 601,
+        operations: [
+          { type: 'card', card: 'ice', time: '0', row: 1, targetCol: 9 },
+          { type: 'card', card: 'ice', time: '0', row: 2, targetCol: 9 },
+          { type: 'card', card: 'doom', time: '100', row: 3, targetCol: 9 }
+        ]
+      },
+      {
+        duration: 5000,
+        operations: [
+          { type: 'card', card: 'ice', time: '4398', row: 1, targetCol: 9 },
+          { type: 'card', card: 'ice', time: '4399', row: 1, targetCol: 9 },
+          { type: 'card', card: '', time: '0', row: 1, targetCol: 9 }
+        ]
+      }
+    ];
+
+    it('should need a known card', () => {
+      expect(validateCard('ice', 0, 0, cardWaves)).toBeNull();
+      expect(validateCard('', 1, 2, cardWaves)).toBe('请选择卡片');
+    });
+
+    it('should reject cards used again before they recharge', () => {
+      // The same card cannot be used twice at once either
+      expect(validateCard('ice', 0, 1, cardWaves)).toBe('卡片冷却中（上次使用: 波次 1, 时间 0）');
+      expect(validateCard('doom', 0, 2, cardWaves)).toBeNull();
+      expect(validateCard('ice', 1, 0, cardWaves)).toBe('卡片冷却中（上次使用: 波次 1, 时间 0）');
+      expect(validateCard('ice', 1, 1, cardWaves)).toBe('卡片冷却中（上次使用: 波次 2, 时间 4398）');
+    });
+
+    it('should report card errors from validateOperation', () => {
+      const errors = validateOperation(cardWaves[0].operations[1], 0, 1, 5, [], cardWaves);
+
+      expect(errors).toEqual({ card: '卡片冷却中（上次使用: 波次 1, 时间 0）' });
     });
   });
 
@@ -268,6 +320,156 @@ describe('ReusePage Validation', () => {
         expect(validateColumns('-3')).toContain('列范围必须是整数');
       });
     });
+
+    describe('Row restrictions', () => {
+      it('should accept row parts and c-prefixed column parts', () => {
+        expect(validateColumns('r1-2')).toBeNull();
+        expect(validateColumns('r1-2 c3-5')).toBeNull();
+        expect(validateColumns('r1 r4-5 c1 7-8')).toBeNull();
+        expect(validateColumns('R2 C3')).toBeNull();
+      });
+
+      it('should check rows against the field rows', () => {
+        expect(validateColumns('r6')).toContain('行数必须在 1-5 范围内');
+        expect(validateColumns('r6', 6)).toBeNull();
+        expect(validateColumns('r1-7', 6)).toContain('行范围必须在 1-6 范围内');
+      });
+
+      it('should reject invalid row and column parts', () => {
+        expect(validateColumns('r2-1')).toContain('行范围起始行不能大于结束行');
+        expect(validateColumns('r')).toContain('行数必须是整数');
+        expect(validateColumns('rx')).toContain('行数必须是整数');
+        expect(validateColumns('c9')).toContain('列数必须在 1-8 范围内');
+        expect(validateColumns('r1 c')).toContain('列数必须是整数');
+      });
+    });
+  });
+
+  describe('validateCannon', () => {
+    const testCannons = [
+      { row: 1, col: 1 },
+      { row: 2, col: 3 }
+    ];
+    // Outside the roof every shot fires 373cs before it lands
+    const pinWaves = [
+      {
+        duration: 1000,
+        operations: [
+          { type: 'remove', time: '100', row: 1, targetCol: 1 },
+          { type: 'fire', time: '50', columns: '1-8', row: 1, targetCol: 9 },
+          { type: 'fire', time: '500', columns: '1-8', row: 1, targetCol: 9 },
+          { type: 'plant', time: '600', row: 4, targetCol: 5 },
+          { type: 'fire', time: '900', columns: '1-8', row: 1, targetCol: 9 },
+          { type: 'fire', time: '300', columns: '1-8', row: 1, targetCol: 9 },
+          { type: 'fire', time: '300', columns: '1-8', row: 1, targetCol: 9, tolerance: '-50~0' }
+        ]
+      },
+      {
+        duration: 1000,
+        operations: [
+          { type: 'fire', time: '700', columns: '1-8', row: 1, targetCol: 9 }
+        ]
+      }
+    ];
+    const check = (cannonStr, waveIndex, opIndex) =>
+      validateCannon(cannonStr, waveIndex, opIndex, 5, testCannons, pinWaves, 'day');
+
+    it('should accept an empty pin', () => {
+      expect(check('', 0, 1)).toBeNull();
+      expect(check(undefined, 0, 1)).toBeNull();
+    });
+
+    it('should accept cannons that are ready at fire time', () => {
+      expect(check('1-1', 0, 1)).toBeNull();
+      expect(check('1-1  2-3', 0, 1)).toBeNull();
+      // Planted at 600, ready at 1225 and firing at 1700 - 373
+      expect(check('4-5', 1, 0)).toBeNull();
+    });
+
+    it('should reject cannons that are removed or not planted yet', () => {
+      expect(check('1-1', 0, 2)).toContain('发射时 1-1 没有炮');
+      expect(check('2-3 4-5', 0, 2)).toContain('发射时 4-5 没有炮');
+    });
+
+    it('should check the fire time rather than the landing time', () => {
+      // Lands at 900 but fires at 527, before the plant at 600
+      expect(check('4-5', 0, 4)).toBe('发射时 4-5 没有炮');
+      // With a first wave 700 long it fires at 1400 - 373, before the cannon is ready at 1225
+      expect(validateCannon('4-5', 1, 0, 5, testCannons, [{ ...pinWaves[0], duration: 700 }, pinWaves[1]], 'day'))
+        .toBe('发射时 4-5 还未种好');
+      // Fires at -73, within the shovel window before the remove at 100
+      expect(check('1-1', 0, 5)).toBe('1-1 发射后太快被铲');
+    });
+
+    it('should accept a cannon that can fire somewhere in the tolerance window', () => {
+      expect(check('1-1', 0, 6)).toBeNull();
+    });
+
+    it('should describe the landing time nearest the operation time when none works', () => {
+      // 4-5 is planted at 600 and ready at 1225; landing at 973 fires at 600
+      const checkWindow = (time, tolerance) => validateCannon('4-5', 0, 1, 5, testCannons, [
+        {
+          duration: 2000,
+          operations: [
+            { type: 'plant', time: '600', row: 4, targetCol: 5 },
+            { type: 'fire', time, columns: '1-8', row: 1, targetCol: 9, tolerance }
+          ]
+        }
+      ], 'day');
+
+      expect(checkWindow('973', '-10~10')).toBe('发射时 4-5 还未种好');
+      expect(checkWindow('973', '-10~-1')).toBe('发射时 4-5 没有炮');
+      expect(checkWindow('973', '5~10')).toBe('发射时 4-5 还未种好');
+      // Only the latest landing times of the window fire once the cannon is ready
+      expect(checkWindow('1500', '-100~100')).toBeNull();
+      expect(checkWindow('1500', '-100~97')).toBe('发射时 4-5 还未种好');
+    });
+
+    it('should use the operations preprocessed for a validation pass', () => {
+      const { operations } = preprocessOperations(pinWaves);
+
+      expect(validateCannon('1-1', 0, 2, 5, testCannons, pinWaves, 'day', operations)).toBe(check('1-1', 0, 2));
+      expect(validateCannon('1-1', 0, 6, 5, testCannons, pinWaves, 'day', operations)).toBeNull();
+    });
+
+    it('should reject malformed or out-of-range pins', () => {
+      expect(check('3', 0, 1)).toContain('指定炮格式为 行-列');
+      expect(check('a-1', 0, 1)).toContain('指定炮格式为 行-列');
+      expect(check('6-1', 0, 1)).toContain('指定炮行数必须在 1-5 范围内');
+      expect(check('1-9', 0, 1)).toContain('指定炮列数必须在 1-8 范围内');
+    });
+
+    it('should be reported on the cannon field by validateOperation', () => {
+      const operation = pinWaves[0].operations[2];
+      const errors = validateOperation({ ...operation, cannon: '1-1' }, 0, 2, 5, testCannons, pinWaves, null, 'day');
+
+      expect(errors.cannon).toContain('发射时 1-1 没有炮');
+    });
+  });
+
+  describe('validateTolerance', () => {
+    it('should accept empty, symmetric and range tolerances', () => {
+      expect(validateTolerance('')).toBeNull();
+      expect(validateTolerance(undefined)).toBeNull();
+      expect(validateTolerance('15')).toBeNull();
+      expect(validateTolerance('0~15')).toBeNull();
+      expect(validateTolerance('-10 ~ 5')).toBeNull();
+    });
+
+    it('should reject malformed, reversed or too wide tolerances', () => {
+      expect(validateTolerance('-15')).toContain('容差格式为');
+      expect(validateTolerance('1.5')).toContain('容差格式为');
+      expect(validateTolerance('15~0')).toContain('起点不大于终点');
+      expect(validateTolerance('101')).toBe('容差必须在 -100~100 范围内');
+      expect(validateTolerance('-200~0')).toBe('容差必须在 -100~100 范围内');
+    });
+
+    it('should be reported on the tolerance field by validateOperation', () => {
+      const operation = { type: 'fire', time: '300', row: 1, targetCol: 9, columns: '1-8', tolerance: 'abc' };
+      const errors = validateOperation(operation, 0, 0, 5, [{ row: 1, col: 1 }], [{ duration: 601, operations: [operation] }]);
+
+      expect(errors.tolerance).toContain('容差格式为');
+    });
   });
 
   describe('validateCannonPosition', () => {
@@ -375,6 +577,92 @@ describe('ReusePage Validation', () => {
         expect(validateCannonPosition(4, 6, 'plant', 0, 1, testCannons, crossWaveTestWaves)).toBeNull();
       });
     });
+
+    describe('Flower pots', () => {
+      it('should need pots in both tiles to plant', () => {
+        const potWaves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'pot', time: '0', row: 4, targetCol: 6 },
+              { type: 'plant', time: '100', row: 4, targetCol: 5 },
+              { type: 'remove', time: '200', row: 1, targetCol: 1, removePots: true },
+              { type: 'plant', time: '300', row: 1, targetCol: 1 }
+            ]
+          }
+        ];
+
+        // Without pot tracking only overlaps matter
+        expect(validateCannonPosition(4, 5, 'plant', 0, 1, testCannons, potWaves)).toBeNull();
+        expect(validateCannonPosition(4, 5, 'plant', 0, 1, testCannons, potWaves, [])).toBe('4-5 没有花盆（屋顶种炮需要两格都有花盆）');
+        expect(validateCannonPosition(4, 5, 'plant', 0, 1, testCannons, potWaves, [{ row: 4, col: 5 }])).toBeNull();
+        // The remove took the pots along with the cob
+        expect(validateCannonPosition(1, 1, 'plant', 0, 3, testCannons, potWaves, [])).toBe('1-1 没有花盆（屋顶种炮需要两格都有花盆）');
+      });
+
+      it('should place pots before a plant at the same time, whatever the list order', () => {
+        const potWaves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'plant', time: '100', row: 4, targetCol: 5 },
+              { type: 'pot', time: '100', row: 4, targetCol: 5 },
+              { type: 'pot', time: '100', row: 4, targetCol: 6 }
+            ]
+          }
+        ];
+
+        expect(validateCannonPosition(4, 5, 'plant', 0, 0, testCannons, potWaves, [])).toBeNull();
+      });
+
+      it('should reject pots on tiles that already have one', () => {
+        const potWaves = [{ duration: 601, operations: [{ type: 'pot', time: '0', row: 4, targetCol: 6 }] }];
+
+        expect(validateCannonPosition(4, 6, 'pot', 0, 0, testCannons, potWaves, [])).toBeNull();
+        expect(validateCannonPosition(4, 6, 'pot', 0, 0, testCannons, potWaves, [{ row: 4, col: 6 }])).toBe('该位置已有花盆');
+        expect(validateCannonPosition(2, 4, 'pot', 0, 0, testCannons, potWaves, [])).toBe('该位置已有花盆');
+      });
+    });
+    describe('Card and shovel tiles', () => {
+      const tileWaves = [
+        {
+          duration: 601,
+          operations: [
+            { type: 'card', card: 'jalapeno', time: '0', row: 2, targetCol: 4 },
+            { type: 'card', card: 'doom', time: '100', row: 4, targetCol: 6 },
+            { type: 'plant', time: '200', row: 4, targetCol: 5 },
+            { type: 'pot', time: '200', row: 4, targetCol: 6 },
+            { type: 'shovel', time: '300', row: 3, targetCol: 8 },
+            { type: 'shovel', time: '300', row: 5, targetCol: 9 },
+            { type: 'card', card: 'ice', time: '400', row: 5, targetCol: 9 }
+          ]
+        }
+      ];
+      const position = (opIndex, pots = null) => {
+        const { type, row, targetCol, card } = tileWaves[0].operations[opIndex];
+        return validateCannonPosition(row, targetCol, type, 0, opIndex, testCannons, tileWaves, pots, card);
+      };
+
+      it('should keep cards and shovels off the cobs', () => {
+        expect(position(0)).toBe('该位置有炮（卡片需要空格）');
+        expect(position(4)).toBe('该位置是炮，铲炮请用铲炮操作');
+        expect(position(5)).toBeNull();
+      });
+
+      it('should keep plants and pots out of a doom-shroom crater', () => {
+        expect(position(1)).toBeNull();
+        expect(position(2)).toBe('4-6 有毁灭菇弹坑');
+        expect(position(3)).toBe('4-6 有毁灭菇弹坑');
+      });
+
+      it('should need a pot under a card on the roof', () => {
+        expect(position(6, [])).toBe('该位置没有花盆（屋顶用卡需要花盆）');
+        expect(position(6, [{ row: 5, col: 9 }])).toBeNull();
+        expect(validateOperation(tileWaves[0].operations[6], 0, 6, 5, testCannons, tileWaves, [])).toEqual({
+          targetCol: '该位置没有花盆（屋顶用卡需要花盆）'
+        });
+      });
+    });
   });
 
   describe('validateWaveDuration', () => {
@@ -409,6 +697,44 @@ describe('ReusePage Validation', () => {
     });
   });
 
+  describe('validateWaveDurations', () => {
+    it('should accept empty lists, durations and ranges', () => {
+      expect(validateWaveDurations('')).toBeNull();
+      expect(validateWaveDurations(undefined)).toBeNull();
+      expect(validateWaveDurations('601 2500')).toBeNull();
+      expect(validateWaveDurations('1200~1300')).toBeNull();
+    });
+
+    it('should reject malformed, zero or reversed durations', () => {
+      expect(validateWaveDurations('w-200')).toContain('备选波长格式为');
+      expect(validateWaveDurations('601, 2500')).toContain('备选波长格式为');
+      expect(validateWaveDurations('0')).toBe('备选波长必须大于 0');
+      expect(validateWaveDurations('1300~1200')).toBe('备选波长范围起点不能大于终点');
+    });
+
+    it('should be reported on the durations field by validateWave', () => {
+      expect(validateWave({ duration: 601, durations: 'abc', operations: [] }, 0).durations).toContain('备选波长格式为');
+    });
+  });
+
+  describe('describeViolation', () => {
+    const waves = [{ duration: 601, operations: [{ type: 'fire', time: 'w-100', columns: '1-8', row: 1, targetCol: 9 }] }];
+
+    it('should describe verifier violations in Chinese', () => {
+      expect(describeViolation({ type: 'unassigned' }, waves)).toContain('需要指定一门炮');
+      expect(describeViolation({ type: 'not-ready', cannonRow: 2, cannonCol: 3 }, waves)).toBe('发射时 2-3 还未种好');
+      expect(describeViolation({
+        type: 'cooldown',
+        cannonRow: 1,
+        cannonCol: 1,
+        conflictWith: { waveIndex: 0, opIndex: 0 }
+      }, waves)).toBe('1-1 冷却不足（上次发射: 波次 1, 时间 w-100）');
+      expect(describeViolation({ type: 'tolerance', cannonRow: 1, cannonCol: 1 }, waves)).toBe('1-1 的落点超出容差范围');
+      expect(describeViolation({ type: 'fly-time', cannonRow: 1, cannonCol: 1 }, waves)).toContain('飞行时间');
+      expect(describeViolation({ type: 'duplicate', cannonRow: 1, cannonCol: 1 }, waves)).toBe('同一发射被分配了多次');
+    });
+  });
+
   describe('validateAllInputs', () => {
     describe('Valid configurations', () => {
       it('should validate all inputs and return true for valid data', () => {
@@ -422,12 +748,29 @@ describe('ReusePage Validation', () => {
             ]
           }
         ];
+        // The roof needs pots under the planted cob
+        store.state.field.pots = [{ row: 4, col: 4 }, { row: 4, col: 5 }];
         
         const result = wrapper.vm.validateAllInputs();
         expect(result).toBe(true);
         expect(wrapper.vm.validationErrors.size).toBe(0);
       });
 
+      it('should reject planting on the roof without flower pots', () => {
+        store.state.waves.waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'plant', time: '0', columns: '', row: 4, targetCol: 4 }
+            ]
+          }
+        ];
+        store.state.field.pots = [{ row: 4, col: 4 }];
+
+        expect(wrapper.vm.validateAllInputs()).toBe(false);
+        expect(wrapper.vm.validationErrors.get('0-0-targetCol')).toBe('4-5 没有花盆（屋顶种炮需要两格都有花盆）');
+      });
+
       it('should handle empty waves', () => {
         store.state.waves.waves = [];
         
@@ -537,6 +880,97 @@ describe('ReusePage Validation', () => {
       expect(wrapper.vm.calculationResult).toBeNull();
     });
 
+    it('should check hand-assigned cannons without the solver', async () => {
+      store.state.waves.waves = [
+        {
+          duration: 601,
+          operations: [
+            { type: 'fire', time: '300', columns: '1-8', cannon: '1-1', row: 1, targetCol: 9 },
+            { type: 'fire', time: '1000', columns: '1-8', cannon: '1-1', row: 2, targetCol: 9 },
+            { type: 'fire', time: '1200', columns: '1-8', row: 3, targetCol: 9 }
+          ]
+        }
+      ];
+      wrapper.vm.solveMode = 'manual';
+
+      await wrapper.vm.calculate();
+
+      const result = wrapper.vm.calculationResult;
+      expect(result.manual).toBe(true);
+      expect(result.operations.map(op => op.success)).toEqual([true, false, false]);
+      expect(result.operations[0]).toMatchObject({ cannonRow: 1, cannonCol: 1 });
+      expect(wrapper.vm.validationErrors.get('0-1-cannon')).toBe('1-1 冷却不足（上次发射: 波次 1, 时间 300）');
+      expect(wrapper.vm.validationErrors.get('0-2-cannon')).toContain('需要指定一门炮');
+    });
+
+    it('should fire from the field cannons in order in queue mode', async () => {
+      store.state.waves.waves = [
+        {
+          duration: 601,
+          operations: [
+            { type: 'fire', time: '300', columns: '1-8', row: 1, targetCol: 9 },
+            { type: 'fire', time: '400', columns: '1-8', row: 2, targetCol: 9 },
+            { type: 'fire', time: '500', columns: '1-8', row: 3, targetCol: 9 },
+            { type: 'fire', time: '600', columns: '1-8', row: 4, targetCol: 9 }
+          ]
+        }
+      ];
+      wrapper.vm.solveMode = 'queue';
+
+      await wrapper.vm.calculate();
+
+      const result = wrapper.vm.calculationResult;
+      expect(result.manual).toBe(true);
+      expect(result.operations.map(op => op.cannonRow)).toEqual([1, 2, 3, null]);
+      expect(wrapper.vm.validationErrors.get('0-3-cannon')).toContain('冷却不足');
+    });
+
+    it('should report card recharge conflicts with the result', async () => {
+      store.state.waves.waves = [
+        {
+          duration: 601,
+          operations: [
+            { type: 'fire', time: '300', columns: '1-8', row: 1, targetCol: 9 },
+            { type: 'plant', time: '0', columns: '', row: 4, targetCol: 4 },
+            { type: 'plant', time: '100', columns: '', row: 5, targetCol: 4 }
+          ]
+        }
+      ];
+      store.state.field.pots = [{ row: 4, col: 4 }, { row: 4, col: 5 }, { row: 5, col: 4 }, { row: 5, col: 5 }];
+
+      await wrapper.vm.calculate();
+
+      const resources = wrapper.vm.calculationResult.resources;
+      expect(resources.waves).toEqual([{ sun: 1400, cumulativeSun: 1400 }]);
+      expect(wrapper.vm.describeCardConflict(resources.conflicts[0]))
+        .toBe('波次 1 时间 100 玉米炮卡片未冷却（绝对时间 5000 可用，上次使用: 波次 1 时间 0）');
+    });
+
+    it('should step through alternative cannon assignments', async () => {
+      store.state.waves.waves = [
+        {
+          duration: 601,
+          operations: [
+            { type: 'fire', time: '300', columns: '1-8', cannon: '1-1 2-3', row: 1, targetCol: 9 },
+            { type: 'fire', time: '400', columns: '1-8', cannon: '3-7', row: 2, targetCol: 9 }
+          ]
+        }
+      ];
+
+      await wrapper.vm.calculate();
+      const first = wrapper.vm.calculationResult.operations[0].cannonCol;
+      expect(wrapper.vm.getOperationClass(0, 0)).toBe('success-bg');
+      expect(wrapper.vm.getOperationClass(0, 1)).toBe('success-bg forced-bg');
+
+      await wrapper.vm.nextAssignment();
+      expect(wrapper.vm.calculationResult.operations[0].cannonCol).not.toBe(first);
+      expect(wrapper.vm.getOperationClass(0, 1)).toBe('success-bg forced-bg');
+
+      await wrapper.vm.nextAssignment();
+      expect(global.alert).toHaveBeenCalledWith('没有其他可行的炮位分配');
+      expect(wrapper.vm.excludedAssignments).toHaveLength(1);
+    });
+
     it('should clear validation errors when inputs become valid', () => {
       // Set invalid data first
       store.state.waves.waves = [
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the wave duration robustness check
+ */
+
+import { describe, it, expect } from 'vitest';
+import { solveReuse } from '../../src/utils/solver.js';
+import {
+  parseDurations,
+  getDurationCandidates,
+  hasDurationCandidates,
+  checkRobustness
+} from '../../src/utils/robustness.js';
+import { singleCannon } from '../fixtures/testData.js';
+
+// One cannon fires in wave 1 and again 3200cs into wave 2, 26cs after its cooldown
+function buildWaves(durations) {
+  return [
+    {
+      duration: 601,
+      durations,
+      operations: [{ type: 'fire', time: '300', row: 1, targetCol: 9, columns: '1-5' }]
+    },
+    {
+      duration: 4000,
+      operations: [{ type: 'fire', time: '3200', row: 1, targetCol: 9, columns: '1-5' }]
+    }
+  ];
+}
+
+describe('Robustness', () => {
+  describe('parseDurations', () => {
+    it('should parse durations and the ends of ranges', () => {
+      expect(parseDurations('')).toEqual([]);
+      expect(parseDurations(undefined)).toEqual([]);
+      expect(parseDurations('601 2500')).toEqual([601, 2500]);
+      expect(parseDurations(' 1200~1300 ')).toEqual([1200, 1300]);
+      expect(parseDurations('5~5')).toEqual([5]);
+    });
+
+    it('should reject invalid durations', () => {
+      expect(() => parseDurations('0')).toThrow('Invalid durations: 0');
+      expect(() => parseDurations('w')).toThrow('Invalid durations: w');
+      expect(() => parseDurations('1300~1200')).toThrow('Invalid durations: 1300~1200');
+    });
+  });
+
+  describe('getDurationCandidates', () => {
+    it('should include the nominal duration once', () => {
+      expect(getDurationCandidates({ duration: 601, durations: '2500 601' })).toEqual([601, 2500]);
+      expect(getDurationCandidates({ duration: 601 })).toEqual([601]);
+    });
+
+    it('should tell whether any wave varies', () => {
+      expect(hasDurationCandidates(buildWaves(''))).toBe(false);
+      expect(hasDurationCandidates(buildWaves('601'))).toBe(false);
+      expect(hasDurationCandidates(buildWaves('2500'))).toBe(true);
+    });
+  });
+
+  describe('checkRobustness', () => {
+    it('should accept a plan that works for every duration', () => {
+      const waves = buildWaves('2500');
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      expect(result.robust).toBe(true);
+      expect(result.combinations).toBe(2);
+      expect(result.failures).toEqual([]);
+      expect(result.worstCase).toMatchObject({ durations: [601, 4000], waveIndex: 1, opIndex: 0, margin: 26 });
+    });
+
+    it('should report which duration breaks which shot', () => {
+      const waves = buildWaves('550~700');
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      expect(result.robust).toBe(false);
+      expect(result.combinations).toBe(3);
+      expect(result.failures).toEqual([
+        {
+          durations: [550, 4000],
+          shots: [{
+            waveIndex: 1,
+            opIndex: 0,
+            reason: 'cooldown',
+            margin: -25,
+            conflictWith: { waveIndex: 0, opIndex: 0 }
+          }]
+        }
+      ]);
+      expect(result.worstCase).toMatchObject({ durations: [550, 4000], margin: -25 });
+    });
+
+    it('should shift w-relative times with the duration', () => {
+      const waves = [
+        {
+          duration: 4000,
+          durations: '3500',
+          operations: [
+            { type: 'fire', time: '100', row: 1, targetCol: 9, columns: '1-5' },
+            { type: 'fire', time: 'w', row: 1, targetCol: 9, columns: '1-5' }
+          ]
+        }
+      ];
+
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].durations).toEqual([3500]);
+      expect(result.failures[0].shots[0]).toMatchObject({ opIndex: 1, margin: -75 });
+    });
+
+    it('should check every combination of several waves', () => {
+      const waves = buildWaves('2500');
+      waves[1].durations = '3000 5000';
+
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      expect(result.combinations).toBe(6);
+      expect(result.robust).toBe(true);
+    });
+
+    it('should catch shots that move past a shovel', () => {
+      const waves = [
+        {
+          duration: 601,
+          durations: '700 1000',
+          operations: [{ type: 'remove', time: '800', row: 1, targetCol: 3 }]
+        },
+        {
+          duration: 1000,
+          operations: [{ type: 'fire', time: '0', row: 1, targetCol: 9, columns: '1-5' }]
+        }
+      ];
+
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      // The cannon can fire until 800 - 204 - 1 = 595 and flies 364cs
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].durations).toEqual([1000, 1000]);
+      expect(result.failures[0].shots[0]).toMatchObject({ reason: 'removed', margin: 595 - 636 });
+    });
+
+    it('should keep the landing offset chosen within a tolerance', () => {
+      const waves = buildWaves('2500');
+      waves[1].operations[0] = { ...waves[1].operations[0], time: '3160', tolerance: '0~40' };
+      const solveResult = solveReuse(singleCannon, waves);
+      const offset = solveResult.operations[1].landTime - solveResult.operations[1].absoluteTime;
+
+      const result = checkRobustness(singleCannon, waves, solveResult);
+
+      expect(offset).toBeGreaterThanOrEqual(14);
+      expect(result.robust).toBe(true);
+      expect(result.worstCase.margin).toBe(offset - 14);
+    });
+
+    it('should find the worst case without enumerating the combinations', () => {
+      // 3 * 2^18 combinations; only the first wave moves the second shot closer to the first
+      const waves = [
+        ...buildWaves('550 2500'),
+        ...Array.from({ length: 18 }, () => ({ duration: 601, durations: '2500', operations: [] }))
+      ];
+
+      const result = checkRobustness(singleCannon, waves, solveReuse(singleCannon, waves));
+
+      expect(result.combinations).toBe(3 * 2 ** 18);
+      expect(result.failures).toEqual([{
+        durations: [550, 4000, ...Array(18).fill(601)],
+        shots: [{ waveIndex: 1, opIndex: 0, reason: 'cooldown', margin: -25, conflictWith: { waveIndex: 0, opIndex: 0 } }]
+      }]);
+    });
+
+    it('should combine the worst durations of different waves', () => {
+      // A cannon planted at 500 fires at the start of the third wave
+      const waves = [
+        {
+          duration: 601,
+          durations: '550 700',
+          operations: [{ type: 'plant', time: '500', row: 3, targetCol: 1 }]
+        },
+        { duration: 1000, durations: '900 1100', operations: [] },
+        {
+          duration: 601,
+          operations: [{ type: 'fire', time: '0', row: 1, targetCol: 9, columns: '1', cannon: '3-1' }]
+        }
+      ];
+      const solveResult = solveReuse([], waves, { scene: 'day' });
+
+      const result = checkRobustness([], waves, solveResult, { scene: 'day' });
+
+      // Nominally fires at 1601 - 373, 103cs after the cannon is ready at 1125
+      expect(solveResult.operations[1].success).toBe(true);
+      expect(result.combinations).toBe(9);
+      expect(result.failures).toEqual([{
+        durations: [550, 900, 601],
+        shots: [{ waveIndex: 2, opIndex: 0, reason: 'not-planted', margin: 103 - 51 - 100, conflictWith: null }]
+      }]);
+    });
+  });
+});
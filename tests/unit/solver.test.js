@@ -4,7 +4,8 @@
  */
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { getRoofFlyTime, preprocessOperations, isColumnInSet, solveCobReuse, solveReuse } from '../../src/utils/solver.js';
+import { getRoofFlyTime, getFlyTime, preprocessOperations, isColumnInSet, isRowInSet, isCannonInSet, isCannonInList, parseCannonList, parseTolerance, solveCobReuse, solveReuse, enumerateReuse } from '../../src/utils/solver.js';
+import { resolveMechanics, DEFAULT_MECHANICS } from '../../src/utils/mechanics.js';
 import { 
   basicCannons, 
   singleCannon, 
@@ -43,6 +44,24 @@ describe('Solver Utility Functions', () => {
     });
   });
 
+  describe('getFlyTime', () => {
+    it('should use roof fly times on the roof', () => {
+      expect(getFlyTime(1, 5.0, 'roof')).toBe(getRoofFlyTime(1, 5.0));
+      expect(getFlyTime(1, 5.0)).toBe(getRoofFlyTime(1, 5.0));
+    });
+
+    it('should use a constant fly time in other scenes', () => {
+      ['day', 'night', 'pool', 'fog'].forEach(scene => {
+        expect(getFlyTime(1, 5.0, scene)).toBe(373);
+        expect(getFlyTime(8, 9.0, scene)).toBe(373);
+      });
+    });
+
+    it('should reject unknown scenes', () => {
+      expect(() => getFlyTime(1, 9, 'moon')).toThrow('Unknown scene: moon');
+    });
+  });
+
   describe('preprocessOperations', () => {
     describe('Time conversion', () => {
       it('should convert relative times to absolute times', () => {
@@ -178,6 +197,82 @@ describe('Solver Utility Functions', () => {
     });
   });
 
+  describe('isCannonInSet', () => {
+    it('should treat unprefixed and c-prefixed parts as columns', () => {
+      expect(isColumnInSet(4, 'c3-5')).toBe(true);
+      expect(isColumnInSet(7, 'c3-5 7')).toBe(true);
+      expect(isColumnInSet(6, 'c3-5 7')).toBe(false);
+    });
+
+    it('should match rows from r-prefixed parts', () => {
+      expect(isRowInSet(2, 'r1-2')).toBe(true);
+      expect(isRowInSet(3, 'r1-2')).toBe(false);
+      expect(isRowInSet(5, 'r1-2 r5')).toBe(true);
+      expect(isRowInSet(3, 'R3')).toBe(true);
+    });
+
+    it('should leave a dimension unrestricted when it has no parts', () => {
+      expect(isRowInSet(4, '1-5')).toBe(true);
+      expect(isColumnInSet(8, 'r1-2')).toBe(true);
+    });
+
+    it('should require both the row and the column to match', () => {
+      expect(isCannonInSet(1, 4, 'r1-2 c3-5')).toBe(true);
+      expect(isCannonInSet(3, 4, 'r1-2 c3-5')).toBe(false);
+      expect(isCannonInSet(1, 6, 'r1-2 c3-5')).toBe(false);
+      expect(isCannonInSet(4, 1, '')).toBe(true);
+    });
+  });
+
+  describe('isCannonInList', () => {
+    it('should accept every cannon when nothing is pinned', () => {
+      expect(isCannonInList(3, 1, '')).toBe(true);
+      expect(isCannonInList(3, 1, undefined)).toBe(true);
+      expect(isCannonInList(3, 1, '  ')).toBe(true);
+    });
+
+    it('should match pinned cannons by row and column', () => {
+      expect(isCannonInList(3, 1, '3-1')).toBe(true);
+      expect(isCannonInList(4, 1, '3-1 4-1')).toBe(true);
+      expect(isCannonInList(1, 3, '3-1')).toBe(false);
+      expect(isCannonInList(3, 1, ' 3-1 ')).toBe(true);
+    });
+
+    it('should read the list like the pinned cannon validator', () => {
+      expect(isCannonInList(4, 1, '3-1\t 4-1')).toBe(true);
+      expect(isCannonInList(3, 1, '3-1 x')).toBe(false);
+    });
+  });
+
+  describe('parseCannonList', () => {
+    it('should parse cannons separated by whitespace', () => {
+      expect(parseCannonList('3-1  4-1')).toEqual([{ row: 3, col: 1 }, { row: 4, col: 1 }]);
+      expect(parseCannonList(' ')).toEqual([]);
+      expect(parseCannonList(undefined)).toEqual([]);
+    });
+
+    it('should reject parts that are not row-col', () => {
+      expect(parseCannonList('3-1 4')).toBeNull();
+      expect(parseCannonList('3-1,4-1')).toBeNull();
+    });
+  });
+
+  describe('parseTolerance', () => {
+    it('should parse exact, symmetric and range tolerances', () => {
+      expect(parseTolerance(undefined)).toEqual({ min: 0, max: 0 });
+      expect(parseTolerance('')).toEqual({ min: 0, max: 0 });
+      expect(parseTolerance('15')).toEqual({ min: -15, max: 15 });
+      expect(parseTolerance(15)).toEqual({ min: -15, max: 15 });
+      expect(parseTolerance('0~15')).toEqual({ min: 0, max: 15 });
+      expect(parseTolerance('-10~-5')).toEqual({ min: -10, max: -5 });
+    });
+
+    it('should reject invalid tolerances', () => {
+      expect(() => parseTolerance('15~0')).toThrow('Invalid tolerance: 15~0');
+      expect(() => parseTolerance('abc')).toThrow('Invalid tolerance: abc');
+    });
+  });
+
   describe('solveCobReuse', () => {
     describe('Basic scenarios', () => {
       it('should solve simple single cannon single fire', () => {
@@ -319,9 +414,714 @@ describe('Solver Utility Functions', () => {
         expect(result.nextAvailableTimes[0].nextAvailable).toBe(expectedTime);
       });
     });
+
+    describe('Slack report', () => {
+      const twoCannons = [
+        { row: 1, col: 3 },
+        { row: 2, col: 3 }
+      ];
+      const operations = [
+        { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+        { type: 'fire', absoluteTime: 1100, targetCol: 9, columns: '1-5', originalIndex: 1 },
+        { type: 'fire', absoluteTime: 4600, targetCol: 9, columns: '1-5', originalIndex: 2 }
+      ];
+
+      it('should leave the first shot of each cannon unlimited', () => {
+        const result = solveCobReuse(twoCannons, operations);
+
+        expect(result.fireResults[0]).toMatchObject({ earlySlack: null, cooldownSlack: null });
+        expect(result.fireResults[1]).toMatchObject({ earlySlack: null, cooldownSlack: null });
+      });
+
+      it('should report how far a shot can move earlier on any candidate cannon', () => {
+        const result = solveCobReuse(twoCannons, operations);
+
+        // Both cannons are busy until 4475; the shot lands at 4600
+        const last = result.fireResults[2];
+        const previous = result.fireResults.find(r => r.opIndex < 2 && r.cannonRow === last.cannonRow);
+        expect(last.earlySlack).toBe(125);
+        expect(last.cooldownSlack).toBe(4600 - previous.landTime - 3475);
+      });
+
+      it('should only move shots onto cannons they may use', () => {
+        const pinnedOps = [
+          { ...operations[0], cannon: '1-3' },
+          { ...operations[1], cannon: '2-3' },
+          { type: 'fire', absoluteTime: 4700, targetCol: 9, columns: '1-5', originalIndex: 2 }
+        ];
+
+        const free = solveCobReuse(twoCannons, pinnedOps);
+        const pinned = solveCobReuse(twoCannons, [...pinnedOps.slice(0, 2), { ...pinnedOps[2], cannon: '2-3' }]);
+
+        // 1-3 is ready for landings from 4475, 2-3 from 4575
+        expect(free.fireResults[2].earlySlack).toBe(225);
+        expect(pinned.fireResults[2].earlySlack).toBe(125);
+      });
+
+      it('should count the cooldown slack of planted cannons from when they are ready', () => {
+        const result = solveCobReuse([], [
+          { type: 'plant', absoluteTime: 0, row: 1, targetCol: 1, originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1', originalIndex: 1 }
+        ]);
+
+        const fireTime = 1000 - getRoofFlyTime(1, 9);
+        expect(result.fireResults[0].cooldownSlack).toBe(fireTime - 625);
+        expect(result.fireResults[0].earlySlack).toBe(fireTime - 625);
+      });
+
+      it('should be passed through solveReuse', () => {
+        const waves = [
+          {
+            duration: 5000,
+            operations: operations.map(({ absoluteTime }) => ({
+              type: 'fire', time: String(absoluteTime), row: 1, targetCol: 9, columns: '1-5'
+            }))
+          }
+        ];
+
+        const result = solveReuse(twoCannons, waves);
+
+        const previous = result.operations.find(op => op.opIndex < 2 && op.cannonRow === result.operations[2].cannonRow);
+        expect(result.operations.map(op => op.earlySlack)).toEqual([null, null, 125]);
+        expect(result.operations[2].cooldownSlack).toBe(4600 - previous.landTime - 3475);
+      });
+    });
+
+    describe('Tolerance windows', () => {
+      const operations = [
+        { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+        { type: 'fire', absoluteTime: 4470, targetCol: 9, columns: '1-5', originalIndex: 1 }
+      ];
+
+      it('should land exactly on time without a tolerance', () => {
+        const result = solveCobReuse(singleCannon, operations);
+
+        expect(result.successCount).toBe(1);
+        expect(result.fireResults[0].landTime).toBe(1000);
+      });
+
+      it('should choose a landing time in the window that makes the plan feasible', () => {
+        const result = solveCobReuse(singleCannon, [
+          operations[0],
+          { ...operations[1], tolerance: '0~10' }
+        ]);
+
+        expect(result.successCount).toBe(2);
+        expect(result.fireResults[1].landTime).toBeGreaterThanOrEqual(4475);
+        expect(result.fireResults[1].landTime).toBeLessThanOrEqual(4480);
+        expect(result.fireResults[1].fireTime - result.fireResults[0].fireTime).toBeGreaterThanOrEqual(3475);
+      });
+
+      it('should still fail when no time in the window works', () => {
+        const result = solveCobReuse(singleCannon, [
+          operations[0],
+          { ...operations[1], tolerance: '4' }
+        ], { diagnose: true });
+
+        expect(result.successCount).toBe(1);
+        expect(result.diagnosis.reason).toBe('conflict');
+      });
+
+      it('should report the chosen landing time from solveReuse', () => {
+        const waves = [
+          {
+            duration: 3000,
+            operations: [{ type: 'fire', time: '1000', row: 1, targetCol: 9, columns: '1-5' }]
+          },
+          {
+            duration: 3000,
+            operations: [{ type: 'fire', time: '1470', row: 1, targetCol: 9, columns: '1-5', tolerance: '10' }]
+          }
+        ];
+
+        const result = solveReuse(singleCannon, waves);
+
+        expect(result.successCount).toBe(2);
+        expect(result.operations[0].landTime).toBe(1000);
+        expect(result.operations[1].landTime).toBeGreaterThanOrEqual(4475);
+      });
+    });
+
+    describe('Mechanics profiles', () => {
+      it('should resolve profile ids and overrides', () => {
+        expect(resolveMechanics()).toBe(DEFAULT_MECHANICS);
+        expect(resolveMechanics('default')).toBe(DEFAULT_MECHANICS);
+        expect(resolveMechanics({ cooldown: 3480 })).toMatchObject({ cooldown: 3480, plantReady: 625 });
+        expect(() => resolveMechanics('modded')).toThrow('Unknown mechanics profile: modded');
+        expect(() => resolveMechanics({ cooldown: 0 })).toThrow('Invalid mechanics value for cooldown: 0');
+      });
+
+      it('should apply a longer cooldown', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 4477, targetCol: 9, columns: '1-5', originalIndex: 1 }
+        ];
+
+        expect(solveCobReuse(singleCannon, operations).successCount).toBe(2);
+        expect(solveCobReuse(singleCannon, operations, { mechanics: { cooldown: 3480 } }).successCount).toBe(1);
+      });
+
+      it('should apply plant and shovel windows', () => {
+        const operations = [
+          { type: 'plant', absoluteTime: 0, row: 1, targetCol: 1, originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1', originalIndex: 1 }
+        ];
+        const fireTime = 1000 - getRoofFlyTime(1, 9);
+
+        expect(solveCobReuse([], operations).successCount).toBe(1);
+        expect(solveCobReuse([], operations, { mechanics: { plantReady: fireTime + 1 } }).successCount).toBe(0);
+
+        const removal = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'remove', absoluteTime: 1000, row: 1, targetCol: 3, originalIndex: 1 }
+        ];
+        expect(solveCobReuse(singleCannon, removal).successCount).toBe(1);
+        expect(solveCobReuse(singleCannon, removal, { mechanics: { shovelWindow: 400 } }).successCount).toBe(0);
+      });
+
+      it('should use the profile fly times', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 }
+        ];
+
+        const result = solveCobReuse(singleCannon, operations, { scene: 'day', mechanics: { flyTime: 380 } });
+
+        expect(result.fireResults[0].fireTime).toBe(620);
+        expect(result.nextAvailableTimes[0].nextAvailable).toBe(620 + 3475 + 380);
+      });
+    });
+
+    describe('Scenes', () => {
+      it('should fire 373cs before landing outside the roof', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 5, columns: '1-5', originalIndex: 0 }
+        ];
+
+        const roof = solveCobReuse(singleCannon, operations);
+        const pool = solveCobReuse(singleCannon, operations, { scene: 'pool' });
+
+        expect(roof.fireResults[0].fireTime).toBe(1000 - getRoofFlyTime(3, 5));
+        expect(pool.fireResults[0].fireTime).toBe(1000 - 373);
+        expect(pool.nextAvailableTimes[0].nextAvailable).toBe(1000 + 3475);
+      });
+
+      it('should use cannons in the sixth row of pool scenes', () => {
+        const result = solveCobReuse([{ row: 6, col: 1 }], [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, row: 6, columns: 'r6', originalIndex: 0 }
+        ], { scene: 'pool' });
+
+        expect(result.successCount).toBe(1);
+        expect(result.fireResults[0]).toMatchObject({ cannonRow: 6, cannonCol: 1, fireTime: 627 });
+      });
+    });
+    describe('Solve modes', () => {
+      // The second shot is too soon for the only cannon, the third is fine again
+      const operations = [
+        { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+        { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 1 },
+        { type: 'fire', absoluteTime: 5000, targetCol: 9, columns: '1-5', originalIndex: 2 }
+      ];
+
+      it('should stop at the first failure by default', () => {
+        const result = solveCobReuse(singleCannon, operations);
+
+        expect(result.successCount).toBe(1);
+        expect(result.failedOps).toEqual([1, 2]);
+      });
+
+      it('should skip failed operations and keep going in skip mode', () => {
+        const result = solveCobReuse(singleCannon, operations, { mode: 'skip' });
+
+        expect(result.successCount).toBe(2);
+        expect(result.fireResults.map(r => r.opIndex)).toEqual([0, 2]);
+        expect(result.failedOps).toEqual([1]);
+      });
+
+      it('should skip operations without any valid cannon in skip mode', () => {
+        const result = solveCobReuse(singleCannon, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '7', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 1 }
+        ], { mode: 'skip' });
+
+        expect(result.fireResults.map(r => r.opIndex)).toEqual([1]);
+        expect(result.failedOps).toEqual([0]);
+      });
+
+      it('should satisfy more operations than greedy skipping in maximize mode', () => {
+        // Taking the first shot blocks both of the later ones
+        const greedyTrap = [
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 5000, targetCol: 9, columns: '1-5', originalIndex: 2 }
+        ];
+
+        const skipped = solveCobReuse(singleCannon, greedyTrap, { mode: 'skip' });
+        const maximized = solveCobReuse(singleCannon, greedyTrap, { mode: 'maximize' });
+
+        expect(skipped.successCount).toBe(1);
+        expect(maximized.successCount).toBe(2);
+        expect(maximized.failedOps).toEqual([0]);
+      });
+
+      it('should diagnose against the operations the solver kept', () => {
+        const result = solveCobReuse(singleCannon, [
+          ...operations,
+          { type: 'fire', absoluteTime: 6000, targetCol: 9, columns: '1-5', originalIndex: 3 }
+        ], { mode: 'skip', diagnose: true });
+
+        expect(result.diagnosis.opIndex).toBe(1);
+        expect(result.diagnosis.conflictingOps).toEqual([0]);
+      });
+
+      it('should reject unknown modes', () => {
+        expect(() => solveCobReuse(singleCannon, operations, { mode: 'greedy' }))
+          .toThrow('Unknown solve mode: greedy');
+      });
+    });
+
+    describe('Row restrictions', () => {
+      it('should only use cannons from the allowed rows', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: 'r2-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1100, targetCol: 9, columns: 'r2-3', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 1200, targetCol: 9, columns: 'r2-3', originalIndex: 2 }
+        ];
+
+        const result = solveCobReuse(basicCannons, operations);
+
+        expect(result.successCount).toBe(2);
+        expect(result.fireResults.map(r => r.cannonRow).sort()).toEqual([2, 3]);
+      });
+
+      it('should combine rows and columns', () => {
+        const result = solveCobReuse(basicCannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: 'r1-2 c3-8', originalIndex: 0 }
+        ]);
+
+        expect(result.fireResults[0]).toMatchObject({ cannonRow: 2, cannonCol: 3 });
+      });
+    });
+
+    describe('Pinned cannons', () => {
+      it('should only fire from the pinned cannon', () => {
+        const result = solveCobReuse(basicCannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-8', cannon: '3-7', originalIndex: 0 }
+        ]);
+
+        expect(result.fireResults[0]).toMatchObject({ cannonRow: 3, cannonCol: 7 });
+      });
+
+      it('should choose among several pinned cannons', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-8', cannon: '1-1 2-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1100, targetCol: 9, columns: '1-8', cannon: '1-1 2-3', originalIndex: 1 }
+        ];
+
+        const result = solveCobReuse(basicCannons, operations);
+
+        expect(result.successCount).toBe(2);
+        expect(result.fireResults.map(r => `${r.cannonRow}-${r.cannonCol}`).sort()).toEqual(['1-1', '2-3']);
+      });
+
+      it('should fail when the pinned cannon is still cooling down', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-8', cannon: '2-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-8', cannon: '2-3', originalIndex: 1 }
+        ];
+
+        const result = solveCobReuse(basicCannons, operations, { diagnose: true });
+
+        expect(result.successCount).toBe(1);
+        expect(result.diagnosis.conflictingOps).toEqual([0]);
+        expect(result.diagnosis.cannons).toEqual([expect.objectContaining({ row: 2, col: 3 })]);
+      });
+
+      it('should combine the pin with the column set', () => {
+        const result = solveCobReuse(basicCannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', cannon: '3-7', originalIndex: 0 }
+        ], { diagnose: true });
+
+        expect(result.successCount).toBe(0);
+        expect(result.diagnosis.reason).toBe('no-cannon');
+        expect(result.diagnosis.cannon).toBe('3-7');
+      });
+    });
+
+    describe('Alternative assignments', () => {
+      const operations = [
+        { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-8', cannon: '1-1 2-3', originalIndex: 0, waveIndex: 0, opIndex: 0 },
+        { type: 'fire', absoluteTime: 1100, targetCol: 9, columns: '1-8', cannon: '3-7', originalIndex: 1, waveIndex: 0, opIndex: 1 }
+      ];
+
+      it('should rule out excluded assignments', () => {
+        const first = solveCobReuse(basicCannons, operations);
+        const used = `${first.fireResults[0].cannonRow}-${first.fireResults[0].cannonCol}`;
+
+        const result = solveCobReuse(basicCannons, operations, {
+          exclude: [[
+            { waveIndex: 0, opIndex: 0, cannonRow: first.fireResults[0].cannonRow, cannonCol: first.fireResults[0].cannonCol },
+            { waveIndex: 0, opIndex: 1, cannonRow: 3, cannonCol: 7 }
+          ]]
+        });
+
+        expect(result.successCount).toBe(2);
+        expect(`${result.fireResults[0].cannonRow}-${result.fireResults[0].cannonCol}`).not.toBe(used);
+      });
+
+      it('should fail when every assignment is excluded', () => {
+        const exclude = ['1-1', '2-3'].map(position => [
+          { waveIndex: 0, opIndex: 0, cannonRow: Number(position[0]), cannonCol: Number(position[2]) },
+          { waveIndex: 0, opIndex: 1, cannonRow: 3, cannonCol: 7 }
+        ]);
+
+        expect(solveCobReuse(basicCannons, operations, { exclude }).successCount).toBe(1);
+      });
+
+      it('should find the shots with a single possible cannon', () => {
+        const result = solveCobReuse(basicCannons, operations, { findForced: true });
+
+        expect(result.fireResults.map(r => r.forced)).toEqual([false, true]);
+        expect(solveCobReuse(basicCannons, operations).fireResults[0].forced).toBeUndefined();
+      });
+
+      it('should count a cannon as forced when the others are busy', () => {
+        const result = solveCobReuse(basicCannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-8', cannon: '2-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-8', cannon: '1-1 2-3', originalIndex: 1 }
+        ], { findForced: true });
+
+        expect(result.fireResults.map(r => [r.cannonCol, r.forced])).toEqual([[3, true], [1, true]]);
+      });
+
+      it('should not count shots as forced because a later shot failed', () => {
+        // Three cannons take the first three shots in any order; the fourth has none left
+        const cannons = [{ row: 1, col: 3 }, { row: 2, col: 3 }, { row: 3, col: 3 }];
+        const operations = [300, 300, 310, 800].map((absoluteTime, originalIndex) => ({
+          type: 'fire', absoluteTime, targetCol: 9, columns: '1-8', originalIndex
+        }));
+
+        const result = solveCobReuse(cannons, operations, { findForced: true });
+
+        expect(result.failedOps).toEqual([3]);
+        expect(result.fireResults.map(r => r.forced)).toEqual([false, false, false]);
+      });
+    });
+
+    describe('Objectives', () => {
+      const sameColumnCannons = [
+        { row: 1, col: 3 },
+        { row: 2, col: 3 }
+      ];
+      // The first two shots need both cannons, the third could use either
+      const operations = [
+        { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '3', originalIndex: 0 },
+        { type: 'fire', absoluteTime: 1500, targetCol: 9, columns: '3', originalIndex: 1 },
+        { type: 'fire', absoluteTime: 5000, targetCol: 9, columns: '3', originalIndex: 2 }
+      ];
+      const rowsUsed = (result) => result.fireResults.map(r => r.cannonRow);
+
+      it('should reuse the most recently fired cannon for nextAvailable', () => {
+        const result = solveCobReuse(sameColumnCannons, operations, { objective: 'nextAvailable' });
+
+        expect(rowsUsed(result)).toEqual([1, 2, 2]);
+      });
+
+      it('should follow the priority list', () => {
+        const result = solveCobReuse(sameColumnCannons, operations, {
+          objective: 'priority',
+          priority: [{ row: 2, col: 3 }, { row: 1, col: 3 }]
+        });
+
+        expect(rowsUsed(result)).toEqual([2, 1, 2]);
+      });
+
+      it('should prefer the shortest fly time', () => {
+        const cannons = [
+          { row: 3, col: 7 },
+          { row: 1, col: 1 }
+        ];
+        const result = solveCobReuse(cannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-7', originalIndex: 0 }
+        ], { objective: 'flyTime' });
+
+        expect(result.fireResults[0]).toMatchObject({ cannonRow: 1, cannonCol: 1 });
+      });
+
+      it('should keep using cannons that have already fired for fewestCannons', () => {
+        const result = solveCobReuse(basicCannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-7', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 5000, targetCol: 9, columns: '1-7', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 9000, targetCol: 9, columns: '1-7', originalIndex: 2 }
+        ], { objective: 'fewestCannons' });
+
+        expect(new Set(rowsUsed(result)).size).toBe(1);
+      });
+
+      it('should minimize the number of cannons rather than choose greedily', () => {
+        // 1-1 is the first choice for the first shot, but 2-3 alone covers both
+        const result = solveCobReuse([{ row: 1, col: 1 }, { row: 2, col: 3 }], [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 6000, targetCol: 9, columns: '3', originalIndex: 1 }
+        ], { objective: 'fewestCannons' });
+
+        expect(result.fireResults.map(r => [r.cannonRow, r.cannonCol])).toEqual([[2, 3], [2, 3]]);
+      });
+
+      it('should minimize the last fire times for nextAvailable', () => {
+        const cannons = [{ row: 1, col: 3 }, { row: 2, col: 3 }, { row: 3, col: 3 }];
+        // Either the first or the second cannon can take the last shot; reusing the one that
+        // fired at 1500 leaves last fires of 1000, 2000 and 5100 rather than 1500, 2000 and 5100
+        const result = solveCobReuse(cannons, [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '3', cannon: '1-3', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1500, targetCol: 9, columns: '3', cannon: '2-3', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '3', cannon: '3-3', originalIndex: 2 },
+          { type: 'fire', absoluteTime: 5100, targetCol: 9, columns: '3', cannon: '1-3 2-3', originalIndex: 3 }
+        ], { objective: 'nextAvailable' });
+
+        expect(result.fireResults[3].cannonRow).toBe(2);
+      });
+
+      it('should not give up satisfied operations in maximize mode', () => {
+        const greedyTrap = [
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 5000, targetCol: 9, columns: '1-5', originalIndex: 2 }
+        ];
+
+        const result = solveCobReuse(singleCannon, greedyTrap, { mode: 'maximize', objective: 'flyTime' });
+
+        expect(result.successCount).toBe(2);
+        expect(result.failedOps).toEqual([0]);
+      });
+
+      it('should keep the shots before a failed shot when optimizing', () => {
+        // Two cannons cannot take three shots within 500cs; the failed shot must not leave
+        // a requirement behind that makes the objective unsatisfiable
+        const waves = [
+          {
+            duration: 1200,
+            operations: ['300', '300', '800'].map((time, i) => ({
+              type: 'fire', time, row: i + 1, targetCol: 9, columns: '1-8'
+            }))
+          }
+        ];
+
+        ['nextAvailable', 'fewestCannons'].forEach(objective => {
+          const result = solveReuse(sameColumnCannons, waves, { objective });
+
+          expect(result.successCount).toBe(2);
+          expect(result.operations.map(op => op.success)).toEqual([true, true, false]);
+        });
+      });
+
+      it('should reject unknown objectives', () => {
+        expect(() => solveCobReuse(sameColumnCannons, operations, { objective: 'fastest' }))
+          .toThrow('Unknown objective: fastest');
+      });
+    });
+
+    describe('Cooldown encodings', () => {
+      it('should allow a cannon to fire again exactly one cooldown later', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 4475, targetCol: 9, columns: '1-5', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 7949, targetCol: 9, columns: '1-5', originalIndex: 2 }
+        ];
+
+        const result = solveCobReuse(singleCannon, operations, { mode: 'skip' });
+
+        expect(result.fireResults.map(r => r.opIndex)).toEqual([0, 1]);
+        expect(result.failedOps).toEqual([2]);
+      });
+
+      it('should agree with the pairwise encoding in every mode', () => {
+        // Shots every 700cs over three cannons, half of them limited to the back columns
+        const operations = Array.from({ length: 16 }, (_, i) => ({
+          type: 'fire',
+          absoluteTime: 1000 + i * 700,
+          targetCol: 9,
+          columns: i % 2 ? '1-2' : '1-5',
+          originalIndex: i
+        }));
+
+        ['prefix', 'skip', 'maximize'].forEach(mode => {
+          const ladder = solveCobReuse(basicCannons, operations, { mode });
+          const pairwise = solveCobReuse(basicCannons, operations, { mode, encoding: 'pairwise' });
+
+          expect(ladder.successCount).toBe(pairwise.successCount);
+          if (mode !== 'maximize') {
+            expect(ladder.failedOps).toEqual(pairwise.failedOps);
+          }
+        });
+      });
+
+      it('should reject unknown encodings', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 }
+        ];
+
+        expect(() => solveCobReuse(singleCannon, operations, { encoding: 'window' }))
+          .toThrow('Unknown cooldown encoding: window');
+      });
+    });
+
+    describe('Failure diagnosis', () => {
+      it('should report the earlier fire operations holding the only cannon', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 1 }
+        ];
+
+        const result = solveCobReuse(singleCannon, operations, { diagnose: true });
+
+        expect(result.successCount).toBe(1);
+        expect(result.diagnosis.opIndex).toBe(1);
+        expect(result.diagnosis.reason).toBe('conflict');
+        expect(result.diagnosis.conflictingOps).toEqual([0]);
+        expect(result.diagnosis.cannons).toEqual([
+          expect.objectContaining({ row: 1, col: 3, status: 'available' })
+        ]);
+      });
+
+      it('should keep only the operations needed for the conflict', () => {
+        const cannons = [
+          { row: 1, col: 1 },
+          { row: 2, col: 5 }
+        ];
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 1100, targetCol: 9, columns: '5', originalIndex: 1 },
+          { type: 'fire', absoluteTime: 1200, targetCol: 9, columns: '1', originalIndex: 2 }
+        ];
+
+        const result = solveCobReuse(cannons, operations, { diagnose: true });
+
+        expect(result.successCount).toBe(2);
+        expect(result.diagnosis.conflictingOps).toEqual([0]);
+      });
+
+      it('should report missing cannons together with the plant and remove operations', () => {
+        const operations = [
+          { type: 'remove', absoluteTime: 0, row: 1, targetCol: 3, originalIndex: 0 },
+          { type: 'plant', absoluteTime: 500, row: 2, targetCol: 3, originalIndex: 1 },
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '3', originalIndex: 2 }
+        ];
+
+        const result = solveCobReuse(singleCannon, operations, { diagnose: true });
+
+        expect(result.successCount).toBe(0);
+        expect(result.diagnosis.reason).toBe('no-cannon');
+        expect(result.diagnosis.conflictingOps).toEqual([]);
+        expect(result.diagnosis.blockingOps.sort()).toEqual([0, 1]);
+        expect(result.diagnosis.cannons.map(c => c.status)).toEqual(['removed', 'not-planted']);
+      });
+
+      it('should not diagnose unless asked or when everything succeeds', () => {
+        const operations = [
+          { type: 'fire', absoluteTime: 1000, targetCol: 9, columns: '1-5', originalIndex: 0 },
+          { type: 'fire', absoluteTime: 2000, targetCol: 9, columns: '1-5', originalIndex: 1 }
+        ];
+
+        expect(solveCobReuse(singleCannon, operations).diagnosis).toBeUndefined();
+        expect(solveCobReuse(singleCannon, operations.slice(0, 1), { diagnose: true }).diagnosis).toBeUndefined();
+      });
+    });
   });
 
   describe('solveReuse', () => {
+    describe('Solve modes', () => {
+      it('should report per-operation success after a failure in skip mode', () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { time: '300', type: 'fire', row: 1, targetCol: 9, columns: '1-5' },
+              { time: '500', type: 'fire', row: 2, targetCol: 9, columns: '1-5' }
+            ]
+          },
+          {
+            duration: 4000,
+            operations: [
+              { time: '3500', type: 'fire', row: 1, targetCol: 9, columns: '1-5' }
+            ]
+          }
+        ];
+
+        const result = solveReuse(singleCannon, waves, { mode: 'skip' });
+
+        expect(result.successCount).toBe(2);
+        expect(result.operations.map(op => op.success)).toEqual([true, false, true]);
+      });
+    });
+
+    describe('Failure diagnosis', () => {
+      it('should locate the failed and conflicting operations in the waves', () => {
+        const waves = [
+          {
+            duration: 1000,
+            operations: [
+              { time: '500', type: 'fire', row: 1, targetCol: 9, columns: '1-5' },
+              { time: 'w-200', type: 'fire', row: 2, targetCol: 9, columns: '1-5' }
+            ]
+          }
+        ];
+
+        const result = solveReuse(singleCannon, waves, { diagnose: true });
+
+        expect(result.diagnosis.operation).toMatchObject({ waveIndex: 0, opIndex: 1, time: 'w-200' });
+        expect(result.diagnosis.conflictingOps).toEqual([
+          { waveIndex: 0, opIndex: 0, type: 'fire', time: '500', absoluteTime: 500 }
+        ]);
+      });
+
+      it('should return no diagnosis when all fire operations succeed', () => {
+        const waves = [
+          { duration: 1000, operations: [{ time: '500', type: 'fire', row: 1, targetCol: 9, columns: '1-5' }] }
+        ];
+
+        expect(solveReuse(singleCannon, waves, { diagnose: true }).diagnosis).toBeNull();
+      });
+    });
+
+    describe('enumerateReuse', () => {
+      const waves = [
+        {
+          duration: 601,
+          operations: [
+            { time: '300', type: 'fire', row: 1, targetCol: 9, columns: '1-8', cannon: '1-1 2-3' },
+            { time: '400', type: 'fire', row: 2, targetCol: 9, columns: '1-8', cannon: '3-7' }
+          ]
+        }
+      ];
+
+      it('should list every assignment once', () => {
+        const result = enumerateReuse(basicCannons, waves);
+
+        expect(result.exhausted).toBe(true);
+        expect(result.solutions.map(shots => shots.map(s => `${s.cannonRow}-${s.cannonCol}`)[0]).sort()).toEqual(['1-1', '2-3']);
+        expect(result.solutions[0][1]).toEqual({ waveIndex: 0, opIndex: 1, cannonRow: 3, cannonCol: 7, landTime: 400 });
+        expect(result.forced).toEqual([
+          { waveIndex: 0, opIndex: 0, forced: false },
+          { waveIndex: 0, opIndex: 1, forced: true }
+        ]);
+      });
+
+      it('should stop at the limit', () => {
+        const result = enumerateReuse(basicCannons, waves, 1);
+
+        expect(result.solutions).toHaveLength(1);
+        expect(result.exhausted).toBe(false);
+      });
+
+      it('should find nothing when the plan does not solve', () => {
+        const result = enumerateReuse(singleCannon, [
+          { duration: 601, operations: [{ time: '300', type: 'fire', row: 1, targetCol: 9, columns: '1-5' }, { time: '400', type: 'fire', row: 1, targetCol: 9, columns: '1-5' }] }
+        ]);
+
+        expect(result).toEqual({ solutions: [], forced: null, exhausted: true });
+      });
+    });
+
     describe('Integration', () => {
       it('should integrate preprocessing and solving', () => {
         const waves = [
@@ -443,6 +1243,83 @@ describe('Solver Utility Functions', () => {
         expect(result.operations[1].success).toBe(false);
       });
 
+      it('should need flower pots to plant on the roof', () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'plant', time: '0', row: 2, targetCol: 3 },
+              { type: 'pot', time: '100', row: 3, targetCol: 3 },
+              { type: 'pot', time: '100', row: 3, targetCol: 4 },
+              { type: 'plant', time: '200', row: 3, targetCol: 3 },
+              { type: 'pot', time: '300', row: 1, targetCol: 1 },
+              { type: 'remove', time: '400', row: 1, targetCol: 1, removePots: true },
+              { type: 'plant', time: '500', row: 1, targetCol: 1 }
+            ]
+          }
+        ];
+
+        const result = solveReuse([{ row: 1, col: 1 }], waves, { scene: 'roof', pots: [{ row: 2, col: 3 }] });
+
+        // 2-4 has no pot, 1-1 already stands in one, and the remove took the pots with the cob
+        expect(result.operations.map(op => op.success)).toEqual([false, true, true, true, false, true, false]);
+        expect(solveReuse([{ row: 1, col: 1 }], waves, { scene: 'day' }).operations.map(op => op.success))
+          .toEqual([true, true, true, true, true, true, true]);
+      });
+
+      it('should place pots and remove cobs before a plant at the same time', () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'plant', time: '100', row: 2, targetCol: 3 },
+              { type: 'pot', time: '100', row: 2, targetCol: 3 },
+              { type: 'pot', time: '100', row: 2, targetCol: 4 },
+              { type: 'plant', time: '200', row: 1, targetCol: 1 },
+              { type: 'remove', time: '200', row: 1, targetCol: 1 }
+            ]
+          }
+        ];
+
+        const result = solveReuse([{ row: 1, col: 1 }], waves, { scene: 'roof' });
+
+        // The remove keeps the pots of 1-1 for the new cob
+        expect(result.operations.map(op => op.success)).toEqual([true, true, true, true, true]);
+      });
+
+      it('should check the tiles of card and shovel operations', () => {
+        const waves = [
+          {
+            duration: 601,
+            operations: [
+              { type: 'card', card: 'jalapeno', time: '0', row: 1, targetCol: 2 },
+              { type: 'card', card: 'ice', time: '0', row: 3, targetCol: 9 },
+              { type: 'card', card: 'doom', time: '100', row: 2, targetCol: 5 },
+              { type: 'pot', time: '200', row: 2, targetCol: 5 },
+              { type: 'plant', time: '300', row: 2, targetCol: 4 },
+              { type: 'shovel', time: '400', row: 1, targetCol: 1 },
+              { type: 'shovel', time: '400', row: 4, targetCol: 4 }
+            ]
+          },
+          {
+            duration: 18000,
+            operations: [
+              { type: 'pot', time: '17499', row: 2, targetCol: 5 },
+              { type: 'plant', time: '17499', row: 2, targetCol: 4 }
+            ]
+          }
+        ];
+        const pots = [{ row: 2, col: 4 }, { row: 2, col: 5 }];
+
+        const result = solveReuse([{ row: 1, col: 1 }], waves, { scene: 'roof', pots });
+
+        // The jalapeno is on the cob, the ice has no pot, the doom crater takes its pot and
+        // blocks the tile until 18100, and the cob is shoveled with a remove
+        expect(result.operations.map(op => op.success)).toEqual([false, false, true, false, false, false, true, true, true]);
+        expect(solveReuse([{ row: 1, col: 1 }], waves, { scene: 'day' }).operations.map(op => op.success))
+          .toEqual([false, true, true, false, false, false, true, true, true]);
+      });
+
       it('should handle cross-wave operations', () => {
         const result = solveReuse(edgeCases.crossWaveOps.cannons, edgeCases.crossWaveOps.waves);
         
@@ -475,5 +1352,23 @@ describe('Solver Utility Functions', () => {
       expect(end - start).toBeLessThan(5000); // Should complete within 5 seconds
       expect(result.operations).toHaveLength(10);
     });
+
+    it('should optimize an objective over many cannons and waves in bounded time', () => {
+      // 15 cannons and 10 waves of 4 shots; an exact minimum ran for minutes on this plan
+      const cannons = [1, 2, 3, 4, 5].flatMap(row => [1, 3, 5].map(col => ({ row, col })));
+      const waves = Array.from({ length: 10 }, () => ({
+        duration: 1800,
+        operations: [1, 2, 4, 5].map(row => ({ type: 'fire', time: '400', row, targetCol: 9, columns: '1-8' }))
+      }));
+
+      ['nextAvailable', 'flyTime', 'fewestCannons', 'priority'].forEach(objective => {
+        const start = performance.now();
+        const result = solveReuse(cannons, waves, { objective, priority: [...cannons].reverse() });
+        const end = performance.now();
+
+        expect(end - start).toBeLessThan(10000);
+        expect(result.successCount).toBe(40);
+      });
+    }, 60000);
   });
 });
\ No newline at end of file
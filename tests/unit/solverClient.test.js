@@ -0,0 +1,204 @@
+/**
+ * Unit tests for the asynchronous solver client
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  solveReuseAsync,
+  checkManualPlanAsync,
+  simulateCobQueueAsync,
+  analyzeCycleAsync
+} from '../../src/utils/solverClient.js';
+import { runSolverTask } from '../../src/utils/solverTasks.js';
+import { solveReuse } from '../../src/utils/solver.js';
+import { checkManualPlan } from '../../src/utils/verifier.js';
+import { simulateCobQueue } from '../../src/utils/cobQueue.js';
+import { analyzeCycle } from '../../src/utils/cycle.js';
+import { singleCannon, multipleCannons } from '../fixtures/testData.js';
+
+const waves = [
+  {
+    duration: 1000,
+    operations: [
+      { time: '500', type: 'fire', row: 1, targetCol: 9, columns: '1-8' },
+      { time: 'w-200', type: 'fire', row: 2, targetCol: 9, columns: '1-8' }
+    ]
+  }
+];
+
+/**
+ * Fake worker that answers like src/workers/solverWorker.js
+ * @param {Object} behaviour - 'respond' solves the request, 'hang' never answers, 'fail' reports an error,
+ *   'corrupt' answers with every shot on cannon 1-3
+ */
+function createFakeWorker(behaviour = 'respond') {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminate: vi.fn(),
+    postMessage: vi.fn(({ id, task, cannons, waves: requestWaves, options }) => {
+      if (behaviour === 'hang') return;
+      setTimeout(() => {
+        if (behaviour === 'fail') {
+          worker.onmessage({ data: { id, type: 'error', message: 'boom' } });
+          return;
+        }
+        const result = runSolverTask(task, cannons, requestWaves, {
+          ...options,
+          onProgress: (progress) => worker.onmessage({ data: { id, type: 'progress', ...progress } })
+        });
+        if (behaviour === 'corrupt') {
+          result.operations.forEach(op => {
+            Object.assign(op, { success: true, cannonRow: 1, cannonCol: 3, landTime: op.absoluteTime });
+          });
+        }
+        worker.onmessage({ data: { id, type: 'result', result } });
+      }, 0);
+    })
+  };
+  return worker;
+}
+
+describe('solveReuseAsync', () => {
+  describe('Without Web Workers', () => {
+    it('should resolve with the same result as solveReuse', async () => {
+      const result = await solveReuseAsync(multipleCannons, waves, { mode: 'skip' });
+
+      expect(result).toEqual(solveReuse(multipleCannons, waves, { mode: 'skip' }));
+    });
+
+    it('should report progress while solving', async () => {
+      const onProgress = vi.fn();
+
+      await solveReuseAsync(multipleCannons, waves, { onProgress });
+
+      expect(onProgress).toHaveBeenLastCalledWith({ processed: 2, total: 2 });
+    });
+
+    it('should reject when cancelled before the solve starts', async () => {
+      const controller = new AbortController();
+      const promise = solveReuseAsync(singleCannon, waves, { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('With a worker', () => {
+    it('should send plain data and resolve with the worker result', async () => {
+      const worker = createFakeWorker();
+      const onProgress = vi.fn();
+
+      const result = await solveReuseAsync(multipleCannons, waves, {
+        createWorker: () => worker,
+        onProgress,
+        diagnose: true
+      });
+
+      const message = worker.postMessage.mock.calls[0][0];
+      expect(message.options).toEqual({ diagnose: true });
+      expect(result.successCount).toBe(2);
+      expect(onProgress).toHaveBeenCalledWith({ processed: 2, total: 2 });
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    it('should terminate the worker and reject on timeout', async () => {
+      const worker = createFakeWorker('hang');
+
+      await expect(solveReuseAsync(singleCannon, waves, {
+        createWorker: () => worker,
+        timeout: 10
+      })).rejects.toThrow('Solver timed out after 10ms');
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    it('should terminate the worker and reject when cancelled', async () => {
+      const worker = createFakeWorker('hang');
+      const controller = new AbortController();
+
+      const promise = solveReuseAsync(singleCannon, waves, {
+        createWorker: () => worker,
+        signal: controller.signal
+      });
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    it('should log results that fail verification', async () => {
+      const worker = createFakeWorker('corrupt');
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await solveReuseAsync(singleCannon, waves, { createWorker: () => worker });
+
+      expect(consoleError).toHaveBeenCalledWith(
+        'Solver produced an invalid schedule:',
+        [expect.objectContaining({ type: 'cooldown', opIndex: 1 })]
+      );
+      consoleError.mockRestore();
+    });
+
+    it('should reject with the error reported by the worker', async () => {
+      const worker = createFakeWorker('fail');
+
+      await expect(solveReuseAsync(singleCannon, waves, {
+        createWorker: () => worker
+      })).rejects.toThrow('boom');
+    });
+  });
+});
+
+describe('Other solver tasks', () => {
+  const pinnedWaves = [
+    {
+      duration: 1000,
+      operations: [
+        { time: '500', type: 'fire', row: 1, targetCol: 9, columns: '1-8', cannon: '1-3' },
+        { time: 'w-200', type: 'fire', row: 2, targetCol: 9, columns: '1-8', cannon: '1-3' }
+      ]
+    }
+  ];
+
+  it('should check a manual plan in the worker', async () => {
+    const worker = createFakeWorker();
+
+    const result = await checkManualPlanAsync(singleCannon, pinnedWaves, { createWorker: () => worker });
+
+    expect(worker.postMessage.mock.calls[0][0].task).toBe('manual');
+    expect(result.violations).toEqual([expect.objectContaining({ type: 'cooldown', opIndex: 1 })]);
+    expect(result).toEqual(checkManualPlan(singleCannon, pinnedWaves));
+  });
+
+  it('should simulate a cob queue in the worker', async () => {
+    const worker = createFakeWorker();
+    const queue = [{ row: 3, col: 6 }, { row: 1, col: 2 }];
+
+    const result = await simulateCobQueueAsync(multipleCannons, waves, queue, { createWorker: () => worker });
+
+    const message = worker.postMessage.mock.calls[0][0];
+    expect(message.task).toBe('queue');
+    expect(message.options.queue).toEqual(queue);
+    expect(result).toEqual(simulateCobQueue(multipleCannons, waves, queue));
+  });
+
+  it('should analyze a cycle without Web Workers', async () => {
+    const result = await analyzeCycleAsync(singleCannon, waves, { start: 0, end: 0 }, { maxRepetitions: 2 });
+
+    expect(result).toEqual(analyzeCycle(singleCannon, waves, { start: 0, end: 0 }, { maxRepetitions: 2 }));
+  });
+
+  it('should terminate the worker and reject when a cycle analysis times out', async () => {
+    const worker = createFakeWorker('hang');
+
+    await expect(analyzeCycleAsync(singleCannon, waves, { start: 0, end: 0 }, {
+      createWorker: () => worker,
+      timeout: 10
+    })).rejects.toThrow('Solver timed out after 10ms');
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+
+  it('should reject unknown tasks', () => {
+    expect(() => runSolverTask('unknown', singleCannon, waves)).toThrow('Unknown solver task: unknown');
+  });
+});
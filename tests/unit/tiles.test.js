@@ -0,0 +1,35 @@
+/**
+ * Unit tests for the tiles of cards, shovels and craters
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findBlockedTile, applyCrater, CRATER_DURATION } from '../../src/utils/tiles.js';
+
+describe('Tiles', () => {
+  const cobs = [{ row: 1, col: 3 }];
+
+  it('should keep cards and shovels off the tiles of a cob', () => {
+    expect(findBlockedTile(cobs, new Map(), { type: 'card', card: 'jalapeno', row: 1, targetCol: 4, absoluteTime: 0 }))
+      .toEqual({ rule: 'cob', tile: '1-4' });
+    expect(findBlockedTile(cobs, new Map(), { type: 'shovel', row: 1, targetCol: 3, absoluteTime: 0 }))
+      .toEqual({ rule: 'cob', tile: '1-3' });
+    expect(findBlockedTile(cobs, new Map(), { type: 'card', card: 'ice', row: 1, targetCol: 5, absoluteTime: 0 })).toBeNull();
+    expect(findBlockedTile(cobs, new Map(), { type: 'shovel', row: 2, targetCol: 3, absoluteTime: 0 })).toBeNull();
+  });
+
+  it('should block plants in a doom-shroom crater until it is gone', () => {
+    const craters = new Map();
+    applyCrater(craters, { type: 'card', card: 'cherry', row: 2, targetCol: 6, absoluteTime: 100 });
+    expect(craters.size).toBe(0);
+    applyCrater(craters, { type: 'card', card: 'doom', row: 2, targetCol: 6, absoluteTime: 100 });
+
+    const gone = 100 + CRATER_DURATION;
+    expect(findBlockedTile([], craters, { type: 'plant', row: 2, targetCol: 5, absoluteTime: gone - 1 }))
+      .toEqual({ rule: 'crater', tile: '2-6' });
+    expect(findBlockedTile([], craters, { type: 'pot', row: 2, targetCol: 6, absoluteTime: gone - 1 }))
+      .toEqual({ rule: 'crater', tile: '2-6' });
+    expect(findBlockedTile([], craters, { type: 'card', card: 'ice', row: 2, targetCol: 6, absoluteTime: gone - 1 }))
+      .toEqual({ rule: 'crater', tile: '2-6' });
+    expect(findBlockedTile([], craters, { type: 'plant', row: 2, targetCol: 5, absoluteTime: gone })).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the independent schedule verifier
+ */
+
+import { describe, it, expect } from 'vitest';
+import { solveReuse, preprocessOperations } from '../../src/utils/solver.js';
+import { verifySchedule, verifyPlan, checkManualPlan } from '../../src/utils/verifier.js';
+import { complexScenario, multipleCannons, multipleWaves } from '../fixtures/testData.js';
+
+// Constant 373cs fly time keeps the expected fire times simple
+const options = { scene: 'day' };
+const cannon13 = [{ row: 1, col: 3 }];
+
+function fire(time, extra = {}) {
+  return { type: 'fire', time, row: 1, targetCol: 9, columns: '', ...extra };
+}
+
+function shot(opIndex, extra = {}) {
+  return { waveIndex: 0, opIndex, cannonRow: 1, cannonCol: 3, ...extra };
+}
+
+describe('Verifier', () => {
+  describe('verifyPlan', () => {
+    it('should accept solver output', () => {
+      [
+        [complexScenario.cannons, complexScenario.waves],
+        [multipleCannons, multipleWaves]
+      ].forEach(([cannons, waves]) => {
+        const solveResult = solveReuse(cannons, waves, { mode: 'skip' });
+        expect(verifyPlan(cannons, waves, solveResult.operations)).toEqual({ valid: true, violations: [] });
+      });
+    });
+
+    it('should report cooldown conflicts', () => {
+      const waves = [{ duration: 601, operations: [fire('300'), fire('1000')] }];
+
+      const result = verifyPlan(cannon13, waves, [shot(0), shot(1)], options);
+
+      expect(result.valid).toBe(false);
+      expect(result.violations).toEqual([{
+        type: 'cooldown',
+        waveIndex: 0,
+        opIndex: 1,
+        cannonRow: 1,
+        cannonCol: 3,
+        time: 627,
+        message: 'Fires 700cs after the previous fire at -73 (cooldown 3475)',
+        conflictWith: { waveIndex: 0, opIndex: 0 }
+      }]);
+    });
+
+    it('should report cannons that are not planted, not ready or shoveled', () => {
+      const waves = [{
+        duration: 601,
+        operations: [
+          { type: 'plant', time: '0', row: 2, targetCol: 3 },
+          { type: 'remove', time: '500', row: 1, targetCol: 3 },
+          fire('500', { row: 2 }),
+          fire('700'),
+          fire('900', { row: 3 })
+        ]
+      }];
+      const shots = [
+        shot(2, { cannonRow: 2 }),
+        shot(3),
+        shot(4, { cannonRow: 3 })
+      ];
+
+      const result = verifyPlan(cannon13, waves, shots, options);
+
+      expect(result.violations.map(v => [v.type, v.opIndex, v.time])).toEqual([
+        ['not-ready', 2, 127],
+        ['removed', 3, 327],
+        ['no-cannon', 4, 527]
+      ]);
+      expect(result.violations[0].message).toBe('Cannon 2-3 planted at 0 cannot fire before 625');
+      expect(result.violations[1].message).toBe('Cannon 1-3 shoveled at 500 must fire before 296');
+    });
+
+    it('should check the cannon set and the tolerance window', () => {
+      const waves = [{ duration: 601, operations: [fire('400', { columns: '1-2', tolerance: '0~10' })] }];
+
+      const result = verifyPlan(cannon13, waves, [shot(0, { landTime: 420 })], options);
+
+      expect(result.violations.map(v => v.type)).toEqual(['cannon-set', 'tolerance']);
+      expect(result.violations[1].message).toBe('Lands at 420, outside 400~410');
+    });
+
+    it('should skip failed shots and report unknown ones', () => {
+      const waves = [{ duration: 601, operations: [fire('300')] }];
+
+      const result = verifyPlan(cannon13, waves, [
+        { type: 'fire', success: false, waveIndex: 0, opIndex: 0 },
+        shot(5)
+      ], options);
+
+      expect(result.violations).toHaveLength(1);
+      expect(result.violations[0]).toMatchObject({ type: 'unknown-operation', waveIndex: 0, opIndex: 5 });
+    });
+  });
+
+  describe('verifySchedule', () => {
+    it('should check fire results against the preprocessed operations', () => {
+      const { operations } = preprocessOperations([{ duration: 601, operations: [fire('300')] }]);
+
+      expect(verifySchedule(cannon13, operations, [
+        { opIndex: 0, cannonRow: 1, cannonCol: 3, fireTime: -73, landTime: 300 }
+      ], options).valid).toBe(true);
+
+      const result = verifySchedule(cannon13, operations, [
+        { opIndex: 0, cannonRow: 1, cannonCol: 3, fireTime: -70, landTime: 300 },
+        { opIndex: 0, cannonRow: 1, cannonCol: 3 },
+        { opIndex: 7, cannonRow: 1, cannonCol: 3 }
+      ], options);
+
+      expect(result.violations.map(v => v.type)).toEqual(['duplicate', 'unknown-operation', 'fly-time']);
+    });
+
+    it('should use the mechanics profile', () => {
+      const { operations } = preprocessOperations([{ duration: 601, operations: [fire('300'), fire('3800')] }]);
+      const assignment = [
+        { opIndex: 0, cannonRow: 1, cannonCol: 3 },
+        { opIndex: 1, cannonRow: 1, cannonCol: 3 }
+      ];
+
+      expect(verifySchedule(cannon13, operations, assignment, options).valid).toBe(true);
+      expect(verifySchedule(cannon13, operations, assignment, { ...options, mechanics: { cooldown: 3501 } }).valid).toBe(false);
+    });
+  });
+
+  describe('checkManualPlan', () => {
+    it('should use the pinned cannon of every fire operation', () => {
+      const waves = [{
+        duration: 601,
+        operations: [
+          fire('300', { cannon: '1-3' }),
+          fire('3900', { cannon: '1-3' }),
+          fire('4000', { cannon: '2-3' }),
+          fire('4100', { cannon: '1-3 2-3' })
+        ]
+      }];
+
+      const result = checkManualPlan([{ row: 1, col: 3 }, { row: 2, col: 3 }], waves, options);
+
+      expect(result.operations.map(op => [op.success, op.cannonRow])).toEqual([
+        [true, 1],
+        [true, 1],
+        [true, 2],
+        [false, null]
+      ]);
+      expect(result.successCount).toBe(3);
+      expect(result.violations.map(v => [v.type, v.opIndex])).toEqual([['unassigned', 3]]);
+      // 1-3 last fires at 3527 and 2-3 at 3627; times are relative to the end of the 601cs wave
+      expect(result.nextAvailable[0]).toEqual({ position: '1-3', time: 3527 + 3475 + 373 - 601 });
+      expect(result.nextAvailable[1]).toEqual({ position: '2-3', time: 3627 + 3475 + 373 - 601 });
+    });
+
+    it('should fail the operations that break the rules', () => {
+      const waves = [{ duration: 601, operations: [fire('300', { cannon: '1-3' }), fire('1000', { cannon: '1-3' })] }];
+
+      const result = checkManualPlan(cannon13, waves, options);
+
+      expect(result.operations.map(op => op.success)).toEqual([true, false]);
+      expect(result.violations.map(v => v.type)).toEqual(['cooldown']);
+    });
+
+    it('should check plants against the flower pots on the roof', () => {
+      const waves = [{
+        duration: 601,
+        operations: [
+          { type: 'plant', time: '0', row: 2, targetCol: 3 },
+          { type: 'plant', time: '0', row: 4, targetCol: 3 }
+        ]
+      }];
+      const pots = [{ row: 2, col: 3 }, { row: 2, col: 4 }];
+
+      const result = checkManualPlan([], waves, { scene: 'roof', pots });
+
+      expect(result.operations.map(op => op.success)).toEqual([true, false]);
+      expect(checkManualPlan([], waves, options).operations.map(op => op.success)).toEqual([true, true]);
+    });
+
+    it('should land a shot with a tolerance as early in its window as its cannon allows', () => {
+      const waves = [{
+        duration: 601,
+        operations: [
+          fire('300', { cannon: '1-3', tolerance: '5~15' }),
+          fire('3770', { cannon: '1-3', tolerance: '0~20' })
+        ]
+      }];
+
+      const result = checkManualPlan(cannon13, waves, options);
+
+      // The second shot waits for the cooldown of the first, which lands at 305
+      expect(result.violations).toEqual([]);
+      expect(result.operations.map(op => op.landTime)).toEqual([305, 305 + 3475]);
+    });
+  });
+});